@@ -0,0 +1,50 @@
+/**
+ * @title Server configuration
+ * @dev Every value can be overridden from the environment, so the same server
+ * can run against a local Hardhat node or a public testnet.
+ */
+module.exports = {
+  // Port the Express server listens on
+  port: Number(process.env.PORT || 3001),
+
+  // JSON-RPC endpoint used for every on-chain read, also proxied to the web app at /api/rpc
+  rpcUrl: process.env.RPC_URL || "http://127.0.0.1:8545",
+
+  // Deployed contract addresses
+  addresses: {
+    swap: process.env.SWAP_ADDRESS,
+    gold: process.env.GOLD_ADDRESS,
+    silver: process.env.SILVER_ADDRESS,
+    // LimitOrderExecutor, optional: without it /api/orders is disabled
+    executor: process.env.EXECUTOR_ADDRESS,
+    // SimpleSwapFactory, optional: the order book then also accepts the pools it lists
+    factory: process.env.FACTORY_ADDRESS,
+  },
+
+  // Value of Express' "trust proxy" behind a reverse proxy, so the faucet limits the client's IP
+  trustProxy: process.env.TRUST_PROXY,
+
+  // Event indexer behind /api/history and /api/volume
+  indexer: {
+    file: process.env.INDEXER_FILE || "data/events.json",
+    startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+    reorgDepth: Number(process.env.INDEXER_REORG_DEPTH || 12),
+    pollInterval: Number(process.env.INDEXER_POLL_MS || 5000),
+  },
+
+  // Gold and Silver faucet behind /api/faucet, disabled until the tokens' owner key is set
+  faucet: {
+    privateKey: process.env.FAUCET_PRIVATE_KEY,
+    amount: BigInt(process.env.FAUCET_AMOUNT || "100000000000000000000"),
+    dailyCap: BigInt(process.env.FAUCET_DAILY_CAP || "10000000000000000000000"),
+    cooldown: Number(process.env.FAUCET_COOLDOWN || 86400),
+    file: process.env.FAUCET_FILE || "data/faucet.json",
+  },
+
+  // Signed limit orders behind /api/orders, filled by the keeper once its key is set
+  orders: {
+    file: process.env.ORDERS_FILE || "data/orders.json",
+    keeperPrivateKey: process.env.KEEPER_PRIVATE_KEY,
+    pollInterval: Number(process.env.KEEPER_POLL_MS || 5000),
+  },
+};
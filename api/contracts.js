@@ -0,0 +1,75 @@
+const { ethers } = require("ethers");
+
+/**
+ * @dev Human readable ABI fragments of the SimpleSwap views and events the API reads.
+ */
+const swapAbi = [
+  "function goldToken() view returns (address)",
+  "function silverToken() view returns (address)",
+  "function reserveGold() view returns (uint256)",
+  "function reserveSilver() view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function liquidities(address account) view returns (uint256)",
+  "function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) view returns (uint256)",
+  "function feeBps() view returns (uint256)",
+  "function protocolFeeBps() view returns (uint256)",
+  "function consult(address token, uint256 window) view returns (uint256)",
+  "function currentCumulativePrices() view returns (uint256 priceGoldCumulative, uint256 priceSilverCumulative, uint256 timestamp)",
+  "function getObservations() view returns (tuple(uint256 timestamp, uint256 priceGoldCumulative, uint256 priceSilverCumulative)[])",
+  "event LiquidityAdded(address indexed sender, address indexed to, uint256 amountGold, uint256 amountSilver, uint256 liquidity)",
+  "event LiquidityRemoved(address indexed sender, address indexed to, uint256 amountGold, uint256 amountSilver, uint256 liquidity)",
+  "event TokensSwapped(address indexed sender, address indexed to, address fromToken, address toToken, uint256 amountIn, uint256 amountOut, uint256 fee)",
+  "event Sync(uint256 reserveGold, uint256 reserveSilver)",
+  "event Unpaused(address account)",
+];
+
+/**
+ * @dev Human readable ABI fragments of the ERC20 views the API reads, and the
+ * owner only mint the faucet sends.
+ */
+const tokenAbi = [
+  "function symbol() view returns (string)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function mint(address to, uint256 amount)",
+];
+
+/**
+ * @dev Human readable ABI fragments of the LimitOrderExecutor functions and
+ * events the order book and the keeper use.
+ */
+const executorAbi = [
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function nonceUsed(address maker, uint256 nonce) view returns (bool)",
+  "function fill(tuple(address maker, address pool, address tokenIn, address tokenOut, uint256 amountIn, uint256 amountOutMin, uint256 expiry, uint256 nonce) order, bytes signature) returns (uint256 amountOut)",
+  "event OrderFilled(address indexed maker, uint256 indexed nonce, address indexed keeper, uint256 amountIn, uint256 amountOut)",
+  "event OrderCancelled(address indexed maker, uint256 indexed nonce)",
+];
+
+/**
+ * @dev Human readable ABI fragment of the SimpleSwapFactory registry the order book reads.
+ */
+const factoryAbi = ["function getPool(address tokenA, address tokenB) view returns (address)"];
+
+/**
+ * @notice Builds the contract instances used by the API.
+ * @param runner An ethers provider (or signer) connected to the target chain.
+ * @param addresses Object with the swap, gold and silver addresses, and optionally the executor and factory addresses.
+ * @returns {Object} The swap, gold and silver contract instances, plus the executor and the factory when their address is set.
+ */
+function connectContracts(runner, addresses) {
+  const contracts = {
+    swap: new ethers.Contract(addresses.swap, swapAbi, runner),
+    gold: new ethers.Contract(addresses.gold, tokenAbi, runner),
+    silver: new ethers.Contract(addresses.silver, tokenAbi, runner),
+  };
+  if (addresses.executor) {
+    contracts.executor = new ethers.Contract(addresses.executor, executorAbi, runner);
+  }
+  if (addresses.factory) {
+    contracts.factory = new ethers.Contract(addresses.factory, factoryAbi, runner);
+  }
+  return contracts;
+}
+
+module.exports = { swapAbi, tokenAbi, executorAbi, factoryAbi, connectContracts };
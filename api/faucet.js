@@ -0,0 +1,206 @@
+const express = require("express");
+const { ethers } = require("ethers");
+
+/**
+ * @notice Builds an error the faucet router answers with its status.
+ * @param status HTTP status.
+ * @param message Error message.
+ * @param retryAfter Seconds until the request can succeed, for 429 answers.
+ */
+function faucetError(status, message, retryAfter) {
+  const err = new Error(message);
+  err.status = status;
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+/**
+ * @notice Creates a faucet that mints Gold and Silver to testers.
+ * @dev Both mints are signed by the tokens' owner. Every address and every IP
+ * waits cooldown seconds between two requests and the tokens minted per UTC day
+ * are capped. The cooldowns and the daily total are persisted in the store, so
+ * a restart does not reset them.
+ * @param options.contracts Contract instances returned by connectContracts, with the owner as runner.
+ * @param options.store Store returned by createJsonStore.
+ * @param options.amount Maximum base units of each token per request, also the default.
+ * @param options.dailyCap Maximum base units of each token minted per UTC day.
+ * @param options.cooldown Seconds between two requests of the same address or IP.
+ * @param options.now Clock in milliseconds, Date.now outside the tests.
+ * @returns {Object} The faucet with status and drip.
+ */
+function createFaucet({ contracts, store, amount, dailyCap, cooldown = 86400, now = Date.now }) {
+  const { gold, silver } = contracts;
+  const state = store.state;
+  // A new store has no requests yet
+  state.minted = state.minted || "0";
+  state.addresses = state.addresses || {};
+  state.ips = state.ips || {};
+  // Mints one request at a time, each mint mined before the next is signed, so the owner's nonces never clash
+  let queue = Promise.resolve();
+
+  /**
+   * @dev Seconds left before the key may request again, 0 when it may.
+   */
+  function waitFor(requests, key, at) {
+    const last = requests[key];
+    return last === undefined ? 0 : Math.max(0, Math.ceil((last + cooldown * 1000 - at) / 1000));
+  }
+
+  /**
+   * @dev Starts a new daily total on the first request of a UTC day and forgets expired cooldowns.
+   */
+  function roll(at) {
+    const day = new Date(at).toISOString().slice(0, 10);
+    if (state.day !== day) {
+      state.day = day;
+      state.minted = "0";
+    }
+    for (const requests of [state.addresses, state.ips]) {
+      for (const key of Object.keys(requests)) {
+        if (waitFor(requests, key, at) === 0) {
+          delete requests[key];
+        }
+      }
+    }
+  }
+
+  /**
+   * @notice Faucet limits, the tokens left today and the wait of an address and an IP.
+   * @param address Tester address, optional.
+   * @param ip Tester IP.
+   */
+  function status(address, ip) {
+    const at = now();
+    roll(at);
+    // The cap may have been lowered below what was already minted today
+    const minted = BigInt(state.minted);
+    return {
+      amount: amount.toString(),
+      dailyCap: dailyCap.toString(),
+      remainingToday: (dailyCap > minted ? dailyCap - minted : 0n).toString(),
+      cooldown,
+      retryAfter: Math.max(address ? waitFor(state.addresses, address.toLowerCase(), at) : 0, waitFor(state.ips, ip, at)),
+    };
+  }
+
+  /**
+   * @notice Mints Gold and Silver to a tester and waits for both receipts.
+   * @dev The cooldowns and the daily total are taken before minting, so concurrent
+   * requests see them, and given back when no token could be minted.
+   * @param address Recipient.
+   * @param ip IP the request came from.
+   * @param requested Base units of each token, at most amount.
+   * @returns {Object} The recipient, the amount of each token and the mint transaction hashes.
+   */
+  async function drip(address, ip, requested = amount) {
+    if (requested <= 0n || requested > amount) {
+      throw faucetError(400, `amount must be between 1 and ${amount} base units`);
+    }
+
+    const at = now();
+    roll(at);
+    const key = address.toLowerCase();
+    const wait = Math.max(waitFor(state.addresses, key, at), waitFor(state.ips, ip, at));
+    if (wait > 0) {
+      throw faucetError(429, "Faucet cooldown, try again later", wait);
+    }
+    if (BigInt(state.minted) + requested > dailyCap) {
+      const midnight = Date.parse(state.day) + 24 * 60 * 60 * 1000;
+      throw faucetError(429, "Daily faucet cap reached", Math.ceil((midnight - at) / 1000));
+    }
+
+    const previous = { address: state.addresses[key], ip: state.ips[ip], minted: state.minted };
+    state.addresses[key] = at;
+    state.ips[ip] = at;
+    state.minted = (BigInt(state.minted) + requested).toString();
+    store.save();
+
+    const transactions = [];
+    const minted = queue.then(async () => {
+      for (const token of [gold, silver]) {
+        const tx = await token.mint(address, requested);
+        await tx.wait();
+        transactions.push(tx.hash);
+      }
+    });
+    queue = minted.catch(() => {});
+
+    try {
+      await minted;
+    } catch (err) {
+      // Once a token was minted the cooldown stands
+      if (transactions.length === 0) {
+        setOrDelete(state.addresses, key, previous.address);
+        setOrDelete(state.ips, ip, previous.ip);
+        state.minted = previous.minted;
+        store.save();
+      }
+      throw err;
+    }
+
+    return { address: ethers.getAddress(address), amount: requested.toString(), transactions };
+  }
+
+  function setOrDelete(requests, key, value) {
+    if (value === undefined) {
+      delete requests[key];
+    } else {
+      requests[key] = value;
+    }
+  }
+
+  return { status, drip };
+}
+
+/**
+ * @notice Builds the faucet API.
+ * @param faucet Faucet returned by createFaucet.
+ * @returns {express.Router} Router exposing GET and POST /faucet.
+ */
+function createFaucetRouter(faucet) {
+  const router = express.Router();
+
+  /**
+   * GET /faucet?address=0x...
+   * Amount per request, daily cap, tokens left today and the seconds the address and IP must wait.
+   */
+  router.get("/faucet", (req, res) => {
+    const { address } = req.query;
+    if (address !== undefined && !ethers.isAddress(address)) {
+      return res.status(400).json({ error: "Invalid address" });
+    }
+    res.json(faucet.status(address, req.ip));
+  });
+
+  /**
+   * POST /faucet {"address": "0x...", "amount": "1000"}
+   * Mints amount base units (default and maximum the faucet amount) of Gold and of Silver to address.
+   */
+  router.post("/faucet", express.json(), async (req, res) => {
+    const { address, amount } = req.body || {};
+    if (typeof address !== "string" || !ethers.isAddress(address)) {
+      return res.status(400).json({ error: "Invalid address" });
+    }
+    if (amount !== undefined && !/^\d+$/.test(String(amount))) {
+      return res.status(400).json({ error: "amount must be a whole number of base units" });
+    }
+
+    res.json(await faucet.drip(address, req.ip, amount === undefined ? undefined : BigInt(amount)));
+  });
+
+  // Limits answer with their status, errors from the RPC with 502
+  router.use((err, req, res, next) => {
+    if (err.status) {
+      if (err.retryAfter) {
+        res.set("Retry-After", String(err.retryAfter));
+      }
+      return res.status(err.status).json({ error: err.message, retryAfter: err.retryAfter });
+    }
+    console.error("Faucet request failed:", err.shortMessage || err.message);
+    res.status(502).json({ error: err.shortMessage || err.message });
+  });
+
+  return router;
+}
+
+module.exports = { createFaucet, createFaucetRouter };
@@ -0,0 +1,60 @@
+const express = require("express");
+const { ethers } = require("ethers");
+const { EVENT_TYPES } = require("./indexer");
+
+/**
+ * @notice Parses a positive integer query parameter.
+ * @param value Raw query string value.
+ * @param fallback Value used when the parameter is missing.
+ * @returns {number|null} The number, or null when it is not a positive integer.
+ */
+function positiveInt(value, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+  return /^[1-9]\d*$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * @notice Builds the JSON API over the events recorded by the indexer.
+ * @param indexer Indexer returned by createIndexer.
+ * @returns {express.Router} Router exposing /history and /volume.
+ */
+function createHistoryRouter(indexer) {
+  const router = express.Router();
+
+  /**
+   * GET /history?account=0x...&type=TokensSwapped&page=1&pageSize=20
+   * Indexed events, newest first. Every filter is optional.
+   */
+  router.get("/history", (req, res) => {
+    const { account, type } = req.query;
+
+    if (account !== undefined && !ethers.isAddress(account)) {
+      return res.status(400).json({ error: "Invalid account" });
+    }
+    if (type !== undefined && !EVENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${EVENT_TYPES.join(", ")}` });
+    }
+
+    const page = positiveInt(req.query.page, 1);
+    const pageSize = positiveInt(req.query.pageSize, 20);
+    if (page === null || pageSize === null || pageSize > 100) {
+      return res.status(400).json({ error: "page and pageSize must be positive integers, pageSize at most 100" });
+    }
+
+    res.json(indexer.history({ account, type, page, pageSize }));
+  });
+
+  /**
+   * GET /volume
+   * Swap count, Gold/Silver volume and fees per UTC day.
+   */
+  router.get("/volume", (req, res) => {
+    res.json(indexer.volumeByDay());
+  });
+
+  return router;
+}
+
+module.exports = { createHistoryRouter };
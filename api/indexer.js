@@ -0,0 +1,243 @@
+/**
+ * @notice Names of the SimpleSwap events the indexer records.
+ */
+const EVENT_TYPES = ["LiquidityAdded", "LiquidityRemoved", "TokensSwapped"];
+
+/**
+ * @notice Creates an indexer for the events emitted by a SimpleSwap pool.
+ * @dev Backfills from startBlock in batches, then polls for new blocks. The
+ * hashes of the last reorgDepth blocks are kept so that a chain reorganization
+ * is detected and the affected blocks are rolled back and indexed again.
+ * Reorgs deeper than reorgDepth require deleting the store to reindex.
+ * @param options.provider Ethers provider of the chain.
+ * @param options.contracts Contract instances returned by connectContracts.
+ * @param options.store Store returned by createJsonStore.
+ * @param options.startBlock First block to index (usually the deployment block).
+ * @param options.reorgDepth Number of recent blocks checked for reorgs.
+ * @param options.batchSize Maximum block range per eth_getLogs request.
+ * @param options.pollInterval Milliseconds between two syncs when following the chain.
+ * @returns {Object} The indexer with sync, start, stop, history and volumeByDay.
+ */
+function createIndexer({
+  provider,
+  contracts,
+  store,
+  startBlock = 0,
+  reorgDepth = 12,
+  batchSize = 2000,
+  pollInterval = 5000,
+}) {
+  const { swap, gold } = contracts;
+  const state = store.state;
+  let timer = null;
+
+  /**
+   * @dev Converts a parsed log into the plain JSON record persisted in the store.
+   */
+  function toRecord(parsed, log, timestamp, goldAddress) {
+    const record = {
+      type: parsed.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      timestamp,
+      sender: parsed.args.sender,
+      to: parsed.args.to,
+    };
+
+    if (parsed.name === "TokensSwapped") {
+      const goldIn = parsed.args.fromToken.toLowerCase() === goldAddress;
+      record.fromToken = parsed.args.fromToken;
+      record.toToken = parsed.args.toToken;
+      record.amountIn = parsed.args.amountIn.toString();
+      record.amountOut = parsed.args.amountOut.toString();
+      record.amountGold = (goldIn ? parsed.args.amountIn : parsed.args.amountOut).toString();
+      record.amountSilver = (goldIn ? parsed.args.amountOut : parsed.args.amountIn).toString();
+      record.fee = parsed.args.fee.toString();
+      // The fee is charged in the input token
+      record.feeGold = (goldIn ? parsed.args.fee : 0n).toString();
+      record.feeSilver = (goldIn ? 0n : parsed.args.fee).toString();
+    } else {
+      record.amountGold = parsed.args.amountGold.toString();
+      record.amountSilver = parsed.args.amountSilver.toString();
+      record.liquidity = parsed.args.liquidity.toString();
+    }
+
+    return record;
+  }
+
+  /**
+   * @notice Compares the recorded block hashes with the chain and drops
+   * everything indexed after the most recent block both agree on.
+   * @returns {number} Number of events removed.
+   */
+  async function rollbackReorg() {
+    const numbers = Object.keys(state.blocks).map(Number).sort((a, b) => b - a);
+    if (numbers.length === 0) {
+      return 0;
+    }
+
+    let common = null;
+    for (const number of numbers) {
+      const block = await provider.getBlock(number);
+      if (block && block.hash === state.blocks[number]) {
+        common = number;
+        break;
+      }
+    }
+
+    if (common === numbers[0]) {
+      return 0;
+    }
+
+    // Nothing matched: the reorg is at least as deep as the window we keep
+    const rollbackTo = common === null ? numbers[numbers.length - 1] - 1 : common;
+    const before = state.events.length;
+
+    state.events = state.events.filter((event) => event.blockNumber <= rollbackTo);
+    for (const number of numbers) {
+      if (number > rollbackTo) {
+        delete state.blocks[number];
+      }
+    }
+    state.lastBlock = rollbackTo < startBlock ? null : rollbackTo;
+
+    return before - state.events.length;
+  }
+
+  /**
+   * @notice Indexes every block up to the current head.
+   * @returns {Object} The head block and the number of events added and rolled back.
+   */
+  async function sync() {
+    const swapAddress = await swap.getAddress();
+    const goldAddress = (await gold.getAddress()).toLowerCase();
+
+    const removed = await rollbackReorg();
+    const head = await provider.getBlockNumber();
+    let added = 0;
+
+    let from = state.lastBlock === null ? startBlock : state.lastBlock + 1;
+    while (from <= head) {
+      const to = Math.min(from + batchSize - 1, head);
+      const logs = await provider.getLogs({ address: swapAddress, fromBlock: from, toBlock: to });
+      const timestamps = {};
+
+      for (const log of logs) {
+        const parsed = swap.interface.parseLog(log);
+        if (!parsed || !EVENT_TYPES.includes(parsed.name)) {
+          continue;
+        }
+        if (!(log.blockNumber in timestamps)) {
+          timestamps[log.blockNumber] = (await provider.getBlock(log.blockNumber)).timestamp;
+        }
+        state.events.push(toRecord(parsed, log, timestamps[log.blockNumber], goldAddress));
+        added++;
+      }
+
+      // Only the blocks that can still be reorganized need their hash
+      for (let number = Math.max(from, head - reorgDepth + 1); number <= to; number++) {
+        state.blocks[number] = (await provider.getBlock(number)).hash;
+      }
+
+      state.lastBlock = to;
+      from = to + 1;
+    }
+
+    for (const number of Object.keys(state.blocks)) {
+      if (Number(number) <= head - reorgDepth) {
+        delete state.blocks[number];
+      }
+    }
+
+    store.save();
+    return { head, added, removed };
+  }
+
+  /**
+   * @notice Syncs now and then keeps following new blocks every pollInterval.
+   */
+  function start() {
+    const loop = async () => {
+      try {
+        await sync();
+      } catch (err) {
+        console.error("Indexer sync failed:", err.shortMessage || err.message);
+      }
+      if (timer !== null) {
+        timer = setTimeout(loop, pollInterval);
+      }
+    };
+    timer = setTimeout(loop, 0);
+  }
+
+  /**
+   * @notice Stops following the chain.
+   */
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  /**
+   * @notice Returns a page of indexed events, newest first.
+   * @param filter.account Only events where the account is the sender or the recipient.
+   * @param filter.type Only events of this type (one of EVENT_TYPES).
+   * @param filter.page Page number starting at 1.
+   * @param filter.pageSize Events per page.
+   */
+  function history({ account, type, page = 1, pageSize = 20 } = {}) {
+    let events = state.events;
+
+    if (account) {
+      const lower = account.toLowerCase();
+      events = events.filter((e) => e.sender.toLowerCase() === lower || e.to.toLowerCase() === lower);
+    }
+    if (type) {
+      events = events.filter((e) => e.type === type);
+    }
+
+    const offset = (page - 1) * pageSize;
+    const items = events.slice().reverse().slice(offset, offset + pageSize);
+
+    return { items, page, pageSize, total: events.length };
+  }
+
+  /**
+   * @notice Aggregates swap volume and fees per UTC day.
+   * @dev Every swap moves exactly one Gold leg and one Silver leg, both are summed.
+   * @returns {Array} Days in ascending order with the swap count, the volume and the fees of each token.
+   */
+  function volumeByDay() {
+    const days = new Map();
+
+    for (const event of state.events) {
+      if (event.type !== "TokensSwapped") {
+        continue;
+      }
+      const day = new Date(event.timestamp * 1000).toISOString().slice(0, 10);
+      const entry = days.get(day) || { day, swaps: 0, volumeGold: 0n, volumeSilver: 0n, feeGold: 0n, feeSilver: 0n };
+      entry.swaps++;
+      entry.volumeGold += BigInt(event.amountGold);
+      entry.volumeSilver += BigInt(event.amountSilver);
+      entry.feeGold += BigInt(event.feeGold);
+      entry.feeSilver += BigInt(event.feeSilver);
+      days.set(day, entry);
+    }
+
+    return [...days.values()]
+      .sort((a, b) => a.day.localeCompare(b.day))
+      .map((entry) => ({
+        ...entry,
+        volumeGold: entry.volumeGold.toString(),
+        volumeSilver: entry.volumeSilver.toString(),
+        feeGold: entry.feeGold.toString(),
+        feeSilver: entry.feeSilver.toString(),
+      }));
+  }
+
+  return { sync, start, stop, history, volumeByDay };
+}
+
+module.exports = { createIndexer, EVENT_TYPES };
@@ -0,0 +1,185 @@
+const { ethers } = require("ethers");
+const { swapAbi } = require("./contracts");
+
+/**
+ * @notice SimpleSwap events after which the open orders of a pool are priced again:
+ * every reserve change, and the end of a pause.
+ */
+const RESERVE_EVENTS = ["TokensSwapped", "LiquidityAdded", "LiquidityRemoved", "Sync", "Unpaused"];
+
+/**
+ * @notice Creates the keeper that fills the open orders of an order book.
+ * @dev Every poll reads the executor's OrderFilled and OrderCancelled events to
+ * close the orders filled or cancelled on-chain, expires the orders past their
+ * expiry, then prices the open orders again when their pool emitted one of
+ * RESERVE_EVENTS since the last poll (new orders and every order after a restart
+ * are priced once anyway). An order whose getAmountOut on the current reserves
+ * reaches amountOutMin is filled through the executor. A fill that fails (no
+ * allowance, pool paused...) keeps the order open with the error, it is tried
+ * again after the next reserve change.
+ * @param options.provider Ethers provider of the chain.
+ * @param options.executor LimitOrderExecutor contract instance, with the keeper's signer as runner.
+ * @param options.orderBook Order book returned by createOrderBook.
+ * @param options.store Store returned by createJsonStore, the one of the order book.
+ * @param options.batchSize Maximum block range per eth_getLogs request.
+ * @param options.pollInterval Milliseconds between two polls.
+ * @param options.now Clock in milliseconds, Date.now outside the tests.
+ * @returns {Object} The keeper with poll, start and stop.
+ */
+function createKeeper({ provider, executor, orderBook, store, batchSize = 2000, pollInterval = 5000, now = Date.now }) {
+  const state = store.state;
+  const poolInterface = new ethers.Interface(swapAbi);
+  const reserveTopics = RESERVE_EVENTS.map((name) => poolInterface.getEvent(name).topicHash);
+  // Orders priced since their pool last moved, forgotten on restart
+  const priced = new Set();
+  let timer = null;
+
+  /**
+   * @dev Closes the orders the executor filled or cancelled in a block range.
+   */
+  async function readExecutorEvents(fromBlock, toBlock) {
+    const logs = await provider.getLogs({ address: await executor.getAddress(), fromBlock, toBlock });
+    for (const log of logs) {
+      const parsed = executor.interface.parseLog(log);
+      const stored = parsed && orderBook.find(parsed.args.maker, parsed.args.nonce);
+      if (!stored || stored.status === "filled" || stored.status === "cancelled") {
+        continue;
+      }
+      if (parsed.name === "OrderFilled") {
+        orderBook.update(stored, {
+          status: "filled",
+          amountOut: parsed.args.amountOut.toString(),
+          transactionHash: log.transactionHash,
+        });
+      } else if (parsed.name === "OrderCancelled") {
+        orderBook.update(stored, { status: "cancelled", transactionHash: log.transactionHash });
+      }
+    }
+  }
+
+  /**
+   * @dev Returns the pools, lower cased, whose reserves changed in a block range.
+   */
+  async function readMovedPools(pools, fromBlock, toBlock) {
+    if (pools.length === 0) {
+      return new Set();
+    }
+    const logs = await provider.getLogs({ address: pools, topics: [reserveTopics], fromBlock, toBlock });
+    return new Set(logs.map((log) => log.address.toLowerCase()));
+  }
+
+  /**
+   * @dev Returns what the pool pays now for the order's input.
+   */
+  async function quote(order) {
+    const pool = new ethers.Contract(order.pool, swapAbi, provider);
+    const goldIn = (await pool.goldToken()) === order.tokenIn;
+    const reserveGold = await pool.reserveGold();
+    const reserveSilver = await pool.reserveSilver();
+    if (reserveGold === 0n || reserveSilver === 0n) {
+      return 0n;
+    }
+    return goldIn
+      ? pool.getAmountOut(order.amountIn, reserveGold, reserveSilver)
+      : pool.getAmountOut(order.amountIn, reserveSilver, reserveGold);
+  }
+
+  /**
+   * @dev Fills an order whose limit the pool reaches, a simulation first so a
+   * revert costs no gas.
+   * @returns {boolean} Whether the order was filled.
+   */
+  async function tryFill(stored) {
+    if ((await quote(stored.order)) < BigInt(stored.order.amountOutMin)) {
+      return false;
+    }
+    try {
+      await executor.fill.staticCall(stored.order, stored.signature);
+      const receipt = await (await executor.fill(stored.order, stored.signature)).wait();
+      const filled = receipt.logs
+        .map((log) => executor.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "OrderFilled");
+      orderBook.update(stored, {
+        status: "filled",
+        amountOut: filled.args.amountOut.toString(),
+        transactionHash: receipt.hash,
+        error: undefined,
+      });
+      return true;
+    } catch (err) {
+      orderBook.update(stored, { error: err.shortMessage || err.message });
+      return false;
+    }
+  }
+
+  /**
+   * @notice Reads the chain up to the current head and fills every open order the pools reach.
+   * @dev The first poll of a new store starts at the head: no order existed before.
+   * @returns {Object} The head block and the number of orders filled and expired.
+   */
+  async function poll() {
+    const head = await provider.getBlockNumber();
+    const moved = new Set();
+
+    let from = state.lastBlock === undefined || state.lastBlock === null ? head : state.lastBlock + 1;
+    while (from <= head) {
+      const to = Math.min(from + batchSize - 1, head);
+      await readExecutorEvents(from, to);
+      const pools = [...new Set(orderBook.openOrders().map((stored) => stored.order.pool))];
+      for (const pool of await readMovedPools(pools, from, to)) {
+        moved.add(pool);
+      }
+      state.lastBlock = to;
+      from = to + 1;
+    }
+    store.save();
+
+    let filled = 0;
+    let expired = 0;
+    for (const stored of orderBook.openOrders()) {
+      if (Number(stored.order.expiry) * 1000 <= now()) {
+        orderBook.update(stored, { status: "expired" });
+        expired++;
+        continue;
+      }
+      if (priced.has(stored.id) && !moved.has(stored.order.pool.toLowerCase())) {
+        continue;
+      }
+      if (await tryFill(stored)) {
+        filled++;
+      }
+      priced.add(stored.id);
+    }
+
+    return { head, filled, expired };
+  }
+
+  /**
+   * @notice Polls now and then every pollInterval.
+   */
+  function start() {
+    const loop = async () => {
+      try {
+        await poll();
+      } catch (err) {
+        console.error("Keeper poll failed:", err.shortMessage || err.message);
+      }
+      if (timer !== null) {
+        timer = setTimeout(loop, pollInterval);
+      }
+    };
+    timer = setTimeout(loop, 0);
+  }
+
+  /**
+   * @notice Stops polling.
+   */
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return { poll, start, stop };
+}
+
+module.exports = { createKeeper, RESERVE_EVENTS };
@@ -0,0 +1,101 @@
+/**
+ * @notice Interpolates the price accumulators at a given time, as SimpleSwap
+ * does in consult.
+ * @dev The price is constant between two accumulator points, so the
+ * accumulators grow linearly in between.
+ * @param points Accumulators oldest first, see readOracle.
+ * @param target Timestamp between the first and the last point.
+ * @returns {Object} The timestamp and both accumulators at target.
+ */
+function cumulativesAt(points, target) {
+  const index = points.findIndex((point) => point.timestamp >= target);
+  const next = points[index];
+  if (next.timestamp === target || index === 0) {
+    return next;
+  }
+
+  const before = points[index - 1];
+  const span = next.timestamp - before.timestamp;
+  const offset = target - before.timestamp;
+  const interpolate = (key) => before[key] + ((next[key] - before[key]) * offset) / span;
+
+  return {
+    timestamp: target,
+    priceGoldCumulative: interpolate("priceGoldCumulative"),
+    priceSilverCumulative: interpolate("priceSilverCumulative"),
+  };
+}
+
+/**
+ * @notice Builds the spot and time-weighted price series of a window from the
+ * oracle accumulators.
+ * @dev Each point closes an interval: its spot prices held since the previous
+ * point and its TWAPs average the prices since the start of the window.
+ * Prices are scaled by 1e18, like SimpleSwap.consult.
+ * @param points Accumulators oldest first, ending with the current ones, see readOracle.
+ * @param from Start of the window, moved to the first point when the history is shorter.
+ * @returns {Object} The window bounds, its TWAPs and the points, or null when the window is empty.
+ */
+function priceSeries(points, from) {
+  const last = points[points.length - 1];
+  if (from >= last.timestamp || points.length < 2) {
+    return null;
+  }
+  const start = cumulativesAt(points, from > points[0].timestamp ? from : points[0].timestamp);
+
+  const inWindow = points.filter((point) => point.timestamp > start.timestamp);
+  const series = [];
+  let previous = start;
+
+  for (const point of inWindow) {
+    const elapsed = point.timestamp - previous.timestamp;
+    const sinceStart = point.timestamp - start.timestamp;
+    series.push({
+      timestamp: Number(point.timestamp),
+      priceGoldInSilver: (point.priceGoldCumulative - previous.priceGoldCumulative) / elapsed,
+      priceSilverInGold: (point.priceSilverCumulative - previous.priceSilverCumulative) / elapsed,
+      twapGoldInSilver: (point.priceGoldCumulative - start.priceGoldCumulative) / sinceStart,
+      twapSilverInGold: (point.priceSilverCumulative - start.priceSilverCumulative) / sinceStart,
+    });
+    previous = point;
+  }
+
+  const end = series[series.length - 1];
+  return {
+    from: Number(start.timestamp),
+    to: Number(last.timestamp),
+    twapGoldInSilver: end.twapGoldInSilver,
+    twapSilverInGold: end.twapSilverInGold,
+    points: series,
+  };
+}
+
+/**
+ * @notice Reads the oracle observations of a SimpleSwap pool and its current
+ * accumulators, all from the same block.
+ * @param swap SimpleSwap contract instance.
+ * @returns {Array} Accumulator points oldest first, the last one at the current block.
+ */
+async function readOracle(swap) {
+  const blockTag = await swap.runner.provider.getBlockNumber();
+  const [observations, current] = await Promise.all([
+    swap.getObservations({ blockTag }),
+    swap.currentCumulativePrices({ blockTag }),
+  ]);
+
+  const points = observations.map((observation) => ({
+    timestamp: observation.timestamp,
+    priceGoldCumulative: observation.priceGoldCumulative,
+    priceSilverCumulative: observation.priceSilverCumulative,
+  }));
+  if (current.timestamp > points[points.length - 1].timestamp) {
+    points.push({
+      timestamp: current.timestamp,
+      priceGoldCumulative: current.priceGoldCumulative,
+      priceSilverCumulative: current.priceSilverCumulative,
+    });
+  }
+  return points;
+}
+
+module.exports = { cumulativesAt, priceSeries, readOracle };
@@ -0,0 +1,252 @@
+const express = require("express");
+const { ethers } = require("ethers");
+const { swapAbi } = require("./contracts");
+
+/**
+ * @notice EIP-712 type of a limit order, as LimitOrderExecutor hashes it.
+ */
+const ORDER_TYPES = {
+  Order: [
+    { name: "maker", type: "address" },
+    { name: "pool", type: "address" },
+    { name: "tokenIn", type: "address" },
+    { name: "tokenOut", type: "address" },
+    { name: "amountIn", type: "uint256" },
+    { name: "amountOutMin", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+/**
+ * @notice Statuses of a stored order. Only open orders are watched by the keeper.
+ */
+const ORDER_STATUSES = ["open", "filled", "cancelled", "expired"];
+
+/**
+ * @notice Builds an error the orders router answers with its status.
+ * @param status HTTP status.
+ * @param message Error message.
+ */
+function orderError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * @notice Creates the book of limit orders signed for a LimitOrderExecutor.
+ * @dev Orders are checked before they are stored: the maker's signature, the
+ * pool, its token pair, the expiry and the nonce. Only the configured pools and
+ * the ones the factory lists are accepted, the keeper spends gas on no other
+ * contract. The book does not fill anything, the keeper (createKeeper) watches
+ * its open orders and updates their status.
+ * @param options.executor LimitOrderExecutor contract instance, with a provider as runner.
+ * @param options.pools Addresses of the pools accepted without the factory.
+ * @param options.factory SimpleSwapFactory contract instance, optional.
+ * @param options.store Store returned by createJsonStore.
+ * @param options.now Clock in milliseconds, Date.now outside the tests.
+ * @returns {Object} The order book with domain, place, list, openOrders, find and update.
+ */
+function createOrderBook({ executor, pools = [], factory, store, now = Date.now }) {
+  const state = store.state;
+  // A new store has no orders yet
+  state.orders = state.orders || [];
+  const listedPools = new Set(pools.map((pool) => ethers.getAddress(pool)));
+  let domain = null;
+
+  /**
+   * @notice EIP-712 domain the orders are signed for, read once from the executor.
+   */
+  async function getDomain() {
+    if (domain === null) {
+      const { name, version, chainId, verifyingContract } = await executor.eip712Domain();
+      domain = { name, version, chainId: Number(chainId), verifyingContract };
+    }
+    return domain;
+  }
+
+  /**
+   * @dev Checks the fields of a posted order and returns it with checksummed
+   * addresses and amounts as base-unit strings.
+   */
+  function normalize(order) {
+    if (!order || typeof order !== "object") {
+      throw orderError(400, "Missing order");
+    }
+    const normalized = {};
+    for (const { name, type } of ORDER_TYPES.Order) {
+      const value = order[name];
+      if (type === "address") {
+        if (typeof value !== "string" || !ethers.isAddress(value)) {
+          throw orderError(400, `Invalid ${name}`);
+        }
+        normalized[name] = ethers.getAddress(value);
+      } else {
+        if (!/^\d+$/.test(String(value)) || BigInt(value) > ethers.MaxUint256) {
+          throw orderError(400, `${name} must be a whole number of base units`);
+        }
+        normalized[name] = BigInt(value).toString();
+      }
+    }
+    if (BigInt(normalized.amountIn) === 0n) {
+      throw orderError(400, "amountIn must be positive");
+    }
+    return normalized;
+  }
+
+  /**
+   * @dev Whether the order's pool is one of the configured pools, or the pool
+   * the factory lists for the order's pair.
+   */
+  async function isListed(order) {
+    if (listedPools.has(order.pool)) {
+      return true;
+    }
+    return factory !== undefined && (await factory.getPool(order.tokenIn, order.tokenOut)) === order.pool;
+  }
+
+  function idOf(order) {
+    return `${order.maker.toLowerCase()}-${order.nonce}`;
+  }
+
+  /**
+   * @notice Stores a signed order as open.
+   * @param order The order fields, as signed.
+   * @param signature Maker's EIP-712 signature.
+   * @returns {Object} The stored order.
+   */
+  async function place(order, signature) {
+    order = normalize(order);
+    if (typeof signature !== "string" || !ethers.isHexString(signature)) {
+      throw orderError(400, "Invalid signature");
+    }
+    if (Number(order.expiry) * 1000 <= now()) {
+      throw orderError(400, "Order expired");
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(await getDomain(), ORDER_TYPES, order, signature);
+    } catch (err) {
+      throw orderError(400, "Invalid signature");
+    }
+    if (signer !== order.maker) {
+      throw orderError(400, "Invalid signature");
+    }
+
+    if (!(await isListed(order))) {
+      throw orderError(400, "Unknown pool");
+    }
+
+    const pool = new ethers.Contract(order.pool, swapAbi, executor.runner);
+    let pair;
+    try {
+      pair = [await pool.goldToken(), await pool.silverToken()];
+    } catch (err) {
+      throw orderError(400, "pool is not a SimpleSwap pool");
+    }
+    if (!(order.tokenIn === pair[0] && order.tokenOut === pair[1]) && !(order.tokenIn === pair[1] && order.tokenOut === pair[0])) {
+      throw orderError(400, "Invalid token pair");
+    }
+
+    const id = idOf(order);
+    if (state.orders.some((stored) => stored.id === id) || (await executor.nonceUsed(order.maker, order.nonce))) {
+      throw orderError(409, "Nonce already used");
+    }
+
+    const stored = { id, order, signature, status: "open", createdAt: Math.floor(now() / 1000) };
+    state.orders.push(stored);
+    store.save();
+    return stored;
+  }
+
+  /**
+   * @notice Returns the stored orders, newest first.
+   * @param filter.maker Only the orders of this maker.
+   * @param filter.status Only the orders with this status (one of ORDER_STATUSES).
+   */
+  function list({ maker, status } = {}) {
+    let orders = state.orders;
+    if (maker) {
+      const lower = maker.toLowerCase();
+      orders = orders.filter((stored) => stored.order.maker.toLowerCase() === lower);
+    }
+    if (status) {
+      orders = orders.filter((stored) => stored.status === status);
+    }
+    return { items: orders.slice().reverse(), total: orders.length };
+  }
+
+  /**
+   * @notice Returns the orders the keeper still has to fill, oldest first.
+   */
+  function openOrders() {
+    return state.orders.filter((stored) => stored.status === "open");
+  }
+
+  /**
+   * @notice Finds an order by maker and nonce.
+   * @returns {Object|undefined} The stored order.
+   */
+  function find(maker, nonce) {
+    const id = idOf({ maker, nonce: nonce.toString() });
+    return state.orders.find((stored) => stored.id === id);
+  }
+
+  /**
+   * @notice Changes the fields of a stored order, its status included, and saves the book.
+   */
+  function update(stored, fields) {
+    Object.assign(stored, fields, { updatedAt: Math.floor(now() / 1000) });
+    store.save();
+  }
+
+  return { domain: getDomain, place, list, openOrders, find, update };
+}
+
+/**
+ * @notice Builds the limit orders API.
+ * @param orderBook Order book returned by createOrderBook.
+ * @returns {express.Router} Router exposing GET and POST /orders.
+ */
+function createOrdersRouter(orderBook) {
+  const router = express.Router();
+
+  /**
+   * GET /orders?maker=0x...&status=open
+   * Stored orders, newest first, with the EIP-712 domain they are signed for.
+   */
+  router.get("/orders", async (req, res) => {
+    const { maker, status } = req.query;
+    if (maker !== undefined && !ethers.isAddress(maker)) {
+      return res.status(400).json({ error: "Invalid maker" });
+    }
+    if (status !== undefined && !ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${ORDER_STATUSES.join(", ")}` });
+    }
+    res.json({ domain: await orderBook.domain(), ...orderBook.list({ maker, status }) });
+  });
+
+  /**
+   * POST /orders {"order": {"maker": "0x...", "pool": "0x...", ...}, "signature": "0x..."}
+   * Stores a signed order, the keeper fills it once the pool pays amountOutMin.
+   */
+  router.post("/orders", express.json(), async (req, res) => {
+    const { order, signature } = req.body || {};
+    res.status(201).json(await orderBook.place(order, signature));
+  });
+
+  // Invalid orders answer with their status, errors from the RPC with 502
+  router.use((err, req, res, next) => {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Order request failed:", err.shortMessage || err.message);
+    res.status(502).json({ error: err.shortMessage || err.message });
+  });
+
+  return router;
+}
+
+module.exports = { createOrderBook, createOrdersRouter, ORDER_TYPES, ORDER_STATUSES };
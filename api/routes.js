@@ -0,0 +1,223 @@
+const express = require("express");
+const { ethers } = require("ethers");
+const { priceSeries, readOracle } = require("./oracle");
+
+// Window of GET /prices when none is given, in seconds
+const DEFAULT_PRICE_WINDOW = 24 * 60 * 60;
+
+/**
+ * @notice Returns the spot price of the base token in the quote token, scaled by 1e18.
+ * @dev Same scale as SimpleSwap.getPrice, but read from the internal reserves the swaps use.
+ * @param reserveBase Pool reserve of the base token.
+ * @param reserveQuote Pool reserve of the quote token.
+ * @returns {string|null} The scaled price, or null when the base reserve is empty.
+ */
+function spotPrice(reserveBase, reserveQuote) {
+  if (reserveBase === 0n) {
+    return null;
+  }
+  return ((reserveQuote * ethers.WeiPerEther) / reserveBase).toString();
+}
+
+/**
+ * @notice Parses a non-negative integer amount of base units.
+ * @param value Raw query string value.
+ * @returns {bigint|null} The amount, or null when it is not a whole number.
+ */
+function parseAmount(value) {
+  if (typeof value !== "string" || !/^\d+$/.test(value)) {
+    return null;
+  }
+  return BigInt(value);
+}
+
+/**
+ * @notice Builds the read-only JSON API for a SimpleSwap pool.
+ * @param contracts Contract instances returned by connectContracts.
+ * @returns {express.Router} Router exposing /pool, /quote, /positions/:address, /twap and /prices.
+ */
+function createApiRouter(contracts) {
+  const { swap, gold, silver } = contracts;
+  const router = express.Router();
+
+  /**
+   * @dev Reads both reserves, the LP supply and the swap fees.
+   */
+  async function readPool() {
+    const [reserveGold, reserveSilver, totalSupply, feeBps, protocolFeeBps] = await Promise.all([
+      swap.reserveGold(),
+      swap.reserveSilver(),
+      swap.totalSupply(),
+      swap.feeBps(),
+      swap.protocolFeeBps(),
+    ]);
+    return { reserveGold, reserveSilver, totalSupply, feeBps, protocolFeeBps };
+  }
+
+  /**
+   * GET /pool
+   * Reserves, LP total supply, spot prices in both directions and swap fees.
+   */
+  router.get("/pool", async (req, res) => {
+    const pool = await readPool();
+
+    res.json({
+      swap: await swap.getAddress(),
+      gold: await gold.getAddress(),
+      silver: await silver.getAddress(),
+      reserveGold: pool.reserveGold.toString(),
+      reserveSilver: pool.reserveSilver.toString(),
+      totalSupply: pool.totalSupply.toString(),
+      priceGoldInSilver: spotPrice(pool.reserveGold, pool.reserveSilver),
+      priceSilverInGold: spotPrice(pool.reserveSilver, pool.reserveGold),
+      feeBps: Number(pool.feeBps),
+      protocolFeeBps: Number(pool.protocolFeeBps),
+    });
+  });
+
+  /**
+   * GET /quote?from=GLD&amountIn=1000
+   * Output of an exact input swap, computed by SimpleSwap.getAmountOut on the current reserves,
+   * and the swap fee charged on the input.
+   */
+  router.get("/quote", async (req, res) => {
+    const from = String(req.query.from || "").toUpperCase();
+    if (from !== "GLD" && from !== "SLV") {
+      return res.status(400).json({ error: "from must be GLD or SLV" });
+    }
+
+    const amountIn = parseAmount(req.query.amountIn);
+    if (amountIn === null || amountIn === 0n) {
+      return res.status(400).json({ error: "amountIn must be a positive integer in base units" });
+    }
+
+    const pool = await readPool();
+    const goldIn = from === "GLD";
+    const reserveIn = goldIn ? pool.reserveGold : pool.reserveSilver;
+    const reserveOut = goldIn ? pool.reserveSilver : pool.reserveGold;
+
+    if (reserveIn === 0n || reserveOut === 0n) {
+      return res.status(409).json({ error: "Pool has no liquidity" });
+    }
+
+    const amountOut = await swap.getAmountOut(amountIn, reserveIn, reserveOut);
+
+    res.json({
+      from,
+      to: goldIn ? "SLV" : "GLD",
+      amountIn: amountIn.toString(),
+      amountOut: amountOut.toString(),
+      fee: ((amountIn * pool.feeBps) / 10000n).toString(),
+      reserveIn: reserveIn.toString(),
+      reserveOut: reserveOut.toString(),
+      spotPrice: spotPrice(reserveIn, reserveOut),
+    });
+  });
+
+  /**
+   * GET /positions/:address
+   * GSLP balance, liquidities entry and the Gold/Silver the balance is worth.
+   */
+  router.get("/positions/:address", async (req, res) => {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: "Invalid address" });
+    }
+    const account = ethers.getAddress(req.params.address);
+
+    const [pool, balance, liquidity] = await Promise.all([
+      readPool(),
+      swap.balanceOf(account),
+      swap.liquidities(account),
+    ]);
+
+    const share = (reserve) => (pool.totalSupply === 0n ? 0n : (balance * reserve) / pool.totalSupply);
+
+    res.json({
+      address: account,
+      balance: balance.toString(),
+      liquidities: liquidity.toString(),
+      totalSupply: pool.totalSupply.toString(),
+      underlyingGold: share(pool.reserveGold).toString(),
+      underlyingSilver: share(pool.reserveSilver).toString(),
+    });
+  });
+
+  /**
+   * GET /twap?token=GLD&window=3600
+   * Time-weighted average price of a token over the last window seconds, from SimpleSwap.consult.
+   */
+  router.get("/twap", async (req, res) => {
+    const token = String(req.query.token || "").toUpperCase();
+    if (token !== "GLD" && token !== "SLV") {
+      return res.status(400).json({ error: "token must be GLD or SLV" });
+    }
+
+    const window = parseAmount(req.query.window);
+    if (window === null || window === 0n) {
+      return res.status(400).json({ error: "window must be a positive number of seconds" });
+    }
+
+    // consult reverts for windows older than the observations it keeps
+    const points = await readOracle(swap);
+    const history = points[points.length - 1].timestamp - points[0].timestamp;
+    if (window > history) {
+      return res.status(409).json({ error: "Window exceeds history", history: Number(history) });
+    }
+
+    const goldIn = token === "GLD";
+    const [price, pool] = await Promise.all([
+      swap.consult(goldIn ? await gold.getAddress() : await silver.getAddress(), window),
+      readPool(),
+    ]);
+
+    res.json({
+      token,
+      window: Number(window),
+      price: price.toString(),
+      spotPrice: goldIn ? spotPrice(pool.reserveGold, pool.reserveSilver) : spotPrice(pool.reserveSilver, pool.reserveGold),
+    });
+  });
+
+  /**
+   * GET /prices?window=86400
+   * Spot and TWAP series of both prices over the last window seconds (default 24 hours),
+   * starting at the oldest observation when the history is shorter.
+   */
+  router.get("/prices", async (req, res) => {
+    const window = req.query.window === undefined ? BigInt(DEFAULT_PRICE_WINDOW) : parseAmount(req.query.window);
+    if (window === null || window === 0n) {
+      return res.status(400).json({ error: "window must be a positive number of seconds" });
+    }
+
+    const points = await readOracle(swap);
+    const series = priceSeries(points, points[points.length - 1].timestamp - window);
+    if (series === null) {
+      return res.json({ window: Number(window), points: [] });
+    }
+
+    res.json({
+      window: Number(window),
+      from: series.from,
+      to: series.to,
+      twapGoldInSilver: series.twapGoldInSilver.toString(),
+      twapSilverInGold: series.twapSilverInGold.toString(),
+      points: series.points.map((point) => ({
+        timestamp: point.timestamp,
+        priceGoldInSilver: point.priceGoldInSilver.toString(),
+        priceSilverInGold: point.priceSilverInGold.toString(),
+        twapGoldInSilver: point.twapGoldInSilver.toString(),
+        twapSilverInGold: point.twapSilverInGold.toString(),
+      })),
+    });
+  });
+
+  // Errors from the RPC end up here, Express 5 forwards rejected handlers
+  router.use((err, req, res, next) => {
+    console.error("API request failed:", err.shortMessage || err.message);
+    res.status(502).json({ error: err.shortMessage || err.message });
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter, spotPrice };
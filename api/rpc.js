@@ -0,0 +1,173 @@
+const express = require("express");
+
+// JSON-RPC methods the proxy forwards. Only reads: transactions are signed and sent by the user's wallet
+const READ_METHODS = new Set([
+  "eth_chainId",
+  "net_version",
+  "eth_blockNumber",
+  "eth_call",
+  "eth_estimateGas",
+  "eth_gasPrice",
+  "eth_maxPriorityFeePerGas",
+  "eth_feeHistory",
+  "eth_getBalance",
+  "eth_getCode",
+  "eth_getStorageAt",
+  "eth_getTransactionCount",
+  "eth_getTransactionByHash",
+  "eth_getTransactionReceipt",
+  "eth_getBlockByNumber",
+  "eth_getBlockByHash",
+  "eth_getLogs",
+]);
+
+// Calls accepted in one batch request
+const MAX_BATCH = 20;
+
+// Blocks one eth_getLogs call may span, wider ranges are left to nodes the caller pays for
+const MAX_LOG_BLOCKS = 2000;
+
+// Block tags eth_getLogs reads as the upstream node's latest block
+const HEAD_TAGS = new Set(["latest", "pending", "safe", "finalized"]);
+
+// Milliseconds to wait for the upstream node before failing the call
+const UPSTREAM_TIMEOUT_MS = 10000;
+
+/**
+ * @notice Builds a JSON-RPC error response.
+ * @param id Id of the call, null when the request could not be read.
+ * @param code JSON-RPC error code.
+ * @param message Error message.
+ * @returns {Object} The response object.
+ */
+function rpcError(id, code, message) {
+  return { jsonrpc: "2.0", id: id === undefined ? null : id, error: { code, message } };
+}
+
+/**
+ * @notice Builds the JSON-RPC proxy the web app reads through when there is no wallet.
+ * @dev Calls are forwarded one by one to the upstream node, so the node does not need
+ * batch support and its URL, API key included, never reaches the browser.
+ * @param rpcUrl Upstream JSON-RPC endpoint.
+ * @returns {express.Router} Router exposing POST /rpc.
+ */
+function createRpcRouter(rpcUrl) {
+  const router = express.Router();
+
+  /**
+   * @dev Sends one call to the upstream node. Throws when the node cannot be reached.
+   */
+  async function send(id, method, params) {
+    const response = await fetch(rpcUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id, method, params }),
+      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      return rpcError(id, -32603, `Upstream node answered ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * @dev Checks that an eth_getLogs filter spans at most MAX_LOG_BLOCKS blocks.
+   * A blockHash filter reads a single block, "earliest" is block 0.
+   * @returns {Object|null} The error to answer, or null when the filter can be forwarded.
+   */
+  async function checkLogRange(call) {
+    const filter = Array.isArray(call.params) ? call.params[0] : undefined;
+    if (!filter || typeof filter !== "object") {
+      return rpcError(call.id, -32602, "eth_getLogs takes a filter object");
+    }
+    if (filter.blockHash !== undefined) {
+      return null;
+    }
+
+    let head;
+    const range = [];
+    for (const block of [filter.fromBlock ?? "latest", filter.toBlock ?? "latest"]) {
+      if (block === "earliest") {
+        range.push(0n);
+      } else if (typeof block === "string" && /^0x[0-9a-fA-F]+$/.test(block)) {
+        range.push(BigInt(block));
+      } else if (HEAD_TAGS.has(block)) {
+        if (head === undefined) {
+          const latest = await send(call.id, "eth_blockNumber", []);
+          if (latest.error) {
+            return latest;
+          }
+          head = BigInt(latest.result);
+        }
+        range.push(head);
+      } else {
+        return rpcError(call.id, -32602, `Invalid block ${JSON.stringify(block)}`);
+      }
+    }
+
+    if (range[1] - range[0] >= BigInt(MAX_LOG_BLOCKS)) {
+      return rpcError(call.id, -32005, `eth_getLogs is limited to ${MAX_LOG_BLOCKS} blocks per call`);
+    }
+    return null;
+  }
+
+  /**
+   * @dev Forwards one call and returns the upstream response, or an error for
+   * methods outside READ_METHODS and log filters over too many blocks.
+   */
+  async function forward(call) {
+    if (!call || typeof call !== "object" || typeof call.method !== "string") {
+      return rpcError(call && call.id, -32600, "Invalid request");
+    }
+    if (!READ_METHODS.has(call.method)) {
+      return rpcError(call.id, -32601, `${call.method} is not available through the read-only RPC`);
+    }
+    if (call.method === "eth_getLogs") {
+      const error = await checkLogRange(call);
+      if (error) {
+        return error;
+      }
+    }
+
+    return send(call.id, call.method, call.params || []);
+  }
+
+  /**
+   * @dev Forwards a call of a batch, a node failure answers that call alone.
+   */
+  async function forwardInBatch(call) {
+    try {
+      return await forward(call);
+    } catch (err) {
+      console.error("RPC proxy failed:", err.message);
+      return rpcError(call.id, -32603, "Upstream node unavailable");
+    }
+  }
+
+  /**
+   * POST /rpc
+   * A JSON-RPC call or a batch of calls, answered by the configured node.
+   */
+  router.post("/rpc", express.json({ limit: "100kb" }), async (req, res) => {
+    if (!Array.isArray(req.body)) {
+      return res.json(await forward(req.body));
+    }
+    if (req.body.length === 0 || req.body.length > MAX_BATCH) {
+      return res.status(400).json(rpcError(null, -32600, `A batch must have between 1 and ${MAX_BATCH} calls`));
+    }
+    res.json(await Promise.all(req.body.map(forwardInBatch)));
+  });
+
+  // Unreadable bodies and unreachable nodes, answered as JSON-RPC errors
+  router.use((err, req, res, next) => {
+    if (err.type === "entity.parse.failed") {
+      return res.status(400).json(rpcError(null, -32700, "Parse error"));
+    }
+    console.error("RPC proxy failed:", err.message);
+    res.status(502).json(rpcError(null, -32603, "Upstream node unavailable"));
+  });
+
+  return router;
+}
+
+module.exports = { createRpcRouter, READ_METHODS };
@@ -0,0 +1,33 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @notice Creates a JSON file backed store for indexed events, or any other state.
+ * @dev The whole state is small enough to keep in memory; save() rewrites
+ * the file atomically through a temporary file and a rename.
+ * @param file Path of the JSON file, created on the first save.
+ * @param initial State until the first save, the indexer's by default.
+ * @returns {Object} The store with its state and save().
+ */
+function createJsonStore(file, initial = { lastBlock: null, blocks: {}, events: [] }) {
+  let state = initial;
+
+  if (fs.existsSync(file)) {
+    state = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+
+    save() {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(state));
+      fs.renameSync(tmp, file);
+    },
+  };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {SimpleSwap} from "./SimpleSwap.sol";
+
+/**
+ * @title Limit order executor for SimpleSwap pools
+ * @notice Fills limit orders signed off-chain (EIP-712): anyone holding a maker's
+ * signed order can swap the maker's tokens through the pool, once the pool pays at
+ * least the order's minimum output. The output always goes to the maker.
+ * @dev The maker approves this contract for the input token. Nonces are unordered,
+ * each one is used once, by a fill or by a cancellation.
+ */
+contract LimitOrderExecutor is EIP712 {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @notice A limit order, signed by its maker.
+     * @param maker Owner of the input tokens and recipient of the output.
+     * @param pool SimpleSwap pool of the pair.
+     * @param tokenIn Token sold, one of the pool's tokens.
+     * @param tokenOut Token bought, the pool's other token.
+     * @param amountIn Exact amount of tokenIn sold.
+     * @param amountOutMin Minimum amount of tokenOut, the limit price times amountIn.
+     * @param expiry Timestamp after which the order can no longer be filled.
+     * @param nonce Maker chosen number, used once.
+     */
+    struct Order {
+        address maker;
+        address pool;
+        address tokenIn;
+        address tokenOut;
+        uint amountIn;
+        uint amountOutMin;
+        uint expiry;
+        uint nonce;
+    }
+
+    bytes32 public constant ORDER_TYPEHASH = keccak256(
+        "Order(address maker,address pool,address tokenIn,address tokenOut,uint256 amountIn,uint256 amountOutMin,uint256 expiry,uint256 nonce)"
+    );
+
+    /// @notice Nonces of every maker already filled or cancelled.
+    mapping(address => mapping(uint => bool)) public nonceUsed;
+
+    /// @notice Deploys the executor with its EIP-712 domain.
+    constructor() EIP712("SimpleSwap Limit Orders", "1") {}
+
+    /**
+     * @notice Swaps the maker's tokens as the order says, sending the output to the maker.
+     * @dev Reverts when the order expired, its nonce was used, the signature is not
+     * the maker's, or the pool pays less than amountOutMin.
+     * @param order The signed order.
+     * @param signature Maker's EIP-712 signature of the order.
+     * @return amountOut Amount of tokenOut sent to the maker.
+     */
+    function fill(Order calldata order, bytes calldata signature) external returns (uint amountOut) {
+        require(block.timestamp <= order.expiry, "Order expired");
+        require(!nonceUsed[order.maker][order.nonce], "Nonce already used");
+        require(ECDSA.recover(hashOrder(order), signature) == order.maker, "Invalid signature");
+
+        SimpleSwap pool = SimpleSwap(order.pool);
+        address gold = address(pool.goldToken());
+        address silver = address(pool.silverToken());
+        require(
+            (order.tokenIn == gold && order.tokenOut == silver) || (order.tokenIn == silver && order.tokenOut == gold),
+            "Invalid token pair"
+        );
+
+        nonceUsed[order.maker][order.nonce] = true;
+
+        IERC20(order.tokenIn).safeTransferFrom(order.maker, address(this), order.amountIn);
+        IERC20(order.tokenIn).forceApprove(order.pool, order.amountIn);
+
+        address[] memory path = new address[](2);
+        path[0] = order.tokenIn;
+        path[1] = order.tokenOut;
+        amountOut = pool.swapExactTokensForTokens(order.amountIn, order.amountOutMin, path, order.maker, block.timestamp)[1];
+
+        emit OrderFilled(order.maker, order.nonce, msg.sender, order.amountIn, amountOut);
+    }
+
+    /**
+     * @notice Cancels an order of msg.sender, its signature can no longer be filled.
+     * @param nonce Nonce of the order.
+     */
+    function cancel(uint nonce) external {
+        require(!nonceUsed[msg.sender][nonce], "Nonce already used");
+        nonceUsed[msg.sender][nonce] = true;
+
+        emit OrderCancelled(msg.sender, nonce);
+    }
+
+    /**
+     * @notice Returns the EIP-712 digest the maker signs for an order.
+     */
+    function hashOrder(Order calldata order) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(ORDER_TYPEHASH, order)));
+    }
+
+    /**
+     * EVENTS
+     */
+
+    /**
+     * @dev Issued when an order is filled, keeper is the account that sent the fill.
+     */
+    event OrderFilled(address indexed maker, uint indexed nonce, address indexed keeper, uint amountIn, uint amountOut);
+
+    /**
+     * @dev Issued when a maker cancels an order.
+     */
+    event OrderCancelled(address indexed maker, uint indexed nonce);
+}
@@ -3,16 +3,20 @@ pragma solidity ^0.8.0;
 
 import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {Pausable} from "@openzeppelin/contracts/utils/Pausable.sol";
 
 /**
  * @title Gold Token
  * @notice ERC20 token representing Gold, only the owner can mint.
+ * @dev Supports EIP-2612 permit, so allowances can be given with a signature.
  */
-contract Gold is ERC20, Ownable {
+contract Gold is ERC20, ERC20Permit, Ownable {
 
     /// @notice Deploys the Gold token and mints initial supply to the owner.
-    constructor() ERC20("Gold", "GLD") Ownable(msg.sender) {
+    constructor() ERC20("Gold", "GLD") ERC20Permit("Gold") Ownable(msg.sender) {
         _mint(msg.sender, 1000);
     }
 
@@ -29,11 +33,12 @@ contract Gold is ERC20, Ownable {
 /**
  * @title Silver Token
  * @notice ERC20 token representing Silver, only the owner can mint.
+ * @dev Supports EIP-2612 permit, so allowances can be given with a signature.
  */
-contract Silver is ERC20, Ownable {
+contract Silver is ERC20, ERC20Permit, Ownable {
 
     /// @notice Deploys the Silver token and mints initial supply to the owner.
-    constructor() ERC20("Silver", "SLV") Ownable(msg.sender) {
+    constructor() ERC20("Silver", "SLV") ERC20Permit("Silver") Ownable(msg.sender) {
         _mint(msg.sender, 1000);
     }
 
@@ -53,6 +58,15 @@ contract Silver is ERC20, Ownable {
  */
 interface ISimpleSwap {
 
+    /**
+     * @notice EIP-2612 permit signature of a token holder, split in its v, r and s parts.
+     */
+    struct PermitSignature {
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
     /**
      * @notice Adds liquidity to the token pool.
      * @param goldAddress Address of the Gold token contract.
@@ -78,6 +92,26 @@ interface ISimpleSwap {
         uint deadline
     ) external returns (uint amountGold, uint amountSilver, uint liquidity);
 
+    /**
+     * @notice Adds liquidity after approving both tokens with permit signatures.
+     * @dev Same parameters as addLiquidity. Each signature permits the desired
+     * amount of its token until deadline.
+     * @param goldPermit Permit signature of msg.sender for amountGoldDesired of Gold.
+     * @param silverPermit Permit signature of msg.sender for amountSilverDesired of Silver.
+     */
+    function addLiquidityWithPermit(
+        address goldAddress,
+        address silverAddress,
+        uint amountGoldDesired,
+        uint amountSilverDesired,
+        uint amountGoldMin,
+        uint amountSilverMin,
+        address to,
+        uint deadline,
+        PermitSignature calldata goldPermit,
+        PermitSignature calldata silverPermit
+    ) external returns (uint amountGold, uint amountSilver, uint liquidity);
+
     /**
      * @notice Removes liquidity from the pool.
      * @param goldAddress Address of the Gold token contract.
@@ -117,6 +151,53 @@ interface ISimpleSwap {
         uint deadline
     ) external returns (uint[] memory amounts);
 
+    /**
+     * @notice Swaps an exact amount of tokens after approving the input token with a permit signature.
+     * @dev Same parameters as swapExactTokensForTokens. The signature permits
+     * amountIn of path[0] until deadline.
+     * @param permit Permit signature of msg.sender for amountIn of the input token.
+     */
+    function swapExactTokensForTokensWithPermit(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline,
+        PermitSignature calldata permit
+    ) external returns (uint[] memory amounts);
+
+    /**
+     * @notice Swaps as few input tokens as possible for an exact amount of output tokens.
+     * @param amountOut Exact amount of output tokens to receive.
+     * @param amountInMax Maximum amount of input tokens to spend (slippage protection).
+     * @param path Token address path (e.g., [Gold, Silver]).
+     * @param to Address to receive the output tokens.
+     * @param deadline Latest time the swap is valid.
+     * @return amounts Array of input and output token amounts.
+     */
+    function swapTokensForExactTokens(
+        uint amountOut,
+        uint amountInMax,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external returns (uint[] memory amounts);
+
+    /**
+     * @notice Swaps for an exact amount of tokens after approving the input token with a permit signature.
+     * @dev Same parameters as swapTokensForExactTokens. The signature permits
+     * amountInMax of path[0] until deadline.
+     * @param permit Permit signature of msg.sender for amountInMax of the input token.
+     */
+    function swapTokensForExactTokensWithPermit(
+        uint amountOut,
+        uint amountInMax,
+        address[] calldata path,
+        address to,
+        uint deadline,
+        PermitSignature calldata permit
+    ) external returns (uint[] memory amounts);
+
     /**
      * @notice Gets the price of tokenA in terms of tokenB.
      * @param tokenA Base token address.
@@ -129,7 +210,7 @@ interface ISimpleSwap {
     ) external view returns (uint price);
 
     /**
-     * @notice Calculates the amount of output tokens for a given input amount.
+     * @notice Calculates the amount of output tokens for a given input amount, after the swap fee.
      * @param amountIn Amount of input tokens.
      * @param reserveIn Reserve amount of input token.
      * @param reserveOut Reserve amount of output token.
@@ -139,20 +220,47 @@ interface ISimpleSwap {
         uint amountIn,
         uint reserveIn,
         uint reserveOut
-    ) external pure returns (uint amountOut);
+    ) external view returns (uint amountOut);
+
+    /**
+     * @notice Calculates the input tokens needed for a given output amount, including the swap fee.
+     * @param amountOut Amount of output tokens wanted.
+     * @param reserveIn Reserve amount of input token.
+     * @param reserveOut Reserve amount of output token.
+     * @return amountIn Amount of input tokens required.
+     */
+    function getAmountIn(
+        uint amountOut,
+        uint reserveIn,
+        uint reserveOut
+    ) external view returns (uint amountIn);
+
+    /**
+     * @notice Gets the time-weighted average price of a token over a recent window.
+     * @param token Base token address, the price is denominated in the other token of the pair.
+     * @param window Length of the window in seconds, ending now.
+     * @return price Average price of token over the window, scaled by 1e18.
+     */
+    function consult(
+        address token,
+        uint window
+    ) external view returns (uint price);
 }
 
 /**
  * @title SimpleSwap DEX contract
  * @notice Handles liquidity provisioning and token swaps between Gold and Silver.
+ * @dev Works with any pair of ERC20 tokens. For pools created by SimpleSwapFactory
+ * "Gold" and "Silver" stand for the first and second token of the pair. The
+ * owner can pause swaps and deposits, removing liquidity is always possible.
  */
-contract SimpleSwap is ISimpleSwap, ERC20, Ownable {
+contract SimpleSwap is ISimpleSwap, ERC20, Ownable, Pausable {
 
-    /// @notice Token contract for Gold.
-    Gold private goldToken;
+    /// @notice Token contract for Gold (first token of the pair).
+    IERC20 public goldToken;
 
-    /// @notice Token contract for Silver.
-    Silver private silverToken;
+    /// @notice Token contract for Silver (second token of the pair).
+    IERC20 public silverToken;
 
     /// @notice Current reserve of Gold in the pool.
     uint public reserveGold;
@@ -163,14 +271,79 @@ contract SimpleSwap is ISimpleSwap, ERC20, Ownable {
     /// @notice Mapping of user addresses to their liquidity shares.
     mapping(address => uint) public liquidities;
 
+    /// @notice GSLP locked forever by the first deposit of an empty pool, so the supply never drops back to a few wei.
+    uint public constant MINIMUM_LIQUIDITY = 1000;
+
+    /// @dev Holder of the locked MINIMUM_LIQUIDITY, ERC20 does not mint to the zero address.
+    address private constant LOCKED_LIQUIDITY = address(0xdead);
+
+    /// @notice Highest swap fee the owner can set, in basis points (1%).
+    uint public constant MAX_FEE_BPS = 100;
+
+    /// @notice Highest share of the swap fee the owner can send to the protocol, in basis points (50%).
+    uint public constant MAX_PROTOCOL_FEE_BPS = 5000;
+
+    /// @notice Swap fee charged on the input amount, in basis points (30 = 0.30%).
+    uint public feeBps = 30;
+
+    /// @notice Share of the swap fee sent to feeTo, in basis points of the fee.
+    uint public protocolFeeBps;
+
+    /// @notice Recipient of the protocol share of the swap fee.
+    address public feeTo;
+
+    /// @notice Number of observations kept by the price oracle, older ones are overwritten.
+    uint public constant OBSERVATION_CARDINALITY = 144;
+
+    /// @notice Sum of the Gold price in Silver (scaled by 1e18) times the seconds it held, up to blockTimestampLast.
+    uint public priceGoldCumulativeLast;
+
+    /// @notice Sum of the Silver price in Gold (scaled by 1e18) times the seconds it held, up to blockTimestampLast.
+    uint public priceSilverCumulativeLast;
+
+    /// @notice Timestamp of the last block that changed the reserves.
+    uint public blockTimestampLast;
+
+    /**
+     * @notice Price accumulators at the first reserve change of a block.
+     * @dev The price is constant between two consecutive observations, so the
+     * accumulators at any time in between are a linear interpolation.
+     */
+    struct Observation {
+        uint timestamp;
+        uint priceGoldCumulative;
+        uint priceSilverCumulative;
+    }
+
+    /// @notice Ring buffer of the oracle observations, see observationIndex.
+    Observation[OBSERVATION_CARDINALITY] public observations;
+
+    /// @notice Position of the newest observation in the ring buffer.
+    uint public observationIndex;
+
+    /// @notice Number of observations written, at most OBSERVATION_CARDINALITY.
+    uint public observationCount;
+
     /**
      * @notice Initializes the DEX with Gold and Silver token addresses and initial liquidity.
+     * @dev A pool deployed by a contract (the factory) starts empty, its first
+     * addLiquidity sets the price: tokens anyone sent to the deployer are not
+     * counted as reserves.
      * @param _goldToken Address of deployed Gold token contract.
      * @param _silverToken Address of deployed Silver token contract.
      */
     constructor(address _goldToken, address _silverToken) ERC20("GoldSilverLP", "GSLP") Ownable(msg.sender) {
-        goldToken = Gold(_goldToken);
-        silverToken = Silver(_silverToken);
+        goldToken = IERC20(_goldToken);
+        silverToken = IERC20(_silverToken);
+
+        // The accumulators start at zero with the first observation
+        blockTimestampLast = block.timestamp;
+        observations[0] = Observation(block.timestamp, 0, 0);
+        observationCount = 1;
+
+        if (msg.sender.code.length > 0) {
+            return;
+        }
 
         reserveGold = goldToken.balanceOf(address(owner()));
         reserveSilver = silverToken.balanceOf(address(owner()));
@@ -182,9 +355,11 @@ contract SimpleSwap is ISimpleSwap, ERC20, Ownable {
 
     /**
      * @notice Adds liquidity to the Gold/Silver pool.
-     * @dev Calculates optimal amounts and mints LP tokens to the user.
-     * @param goldAddress Address of the Gold token.
-     * @param silverAddress Address of the Silver token.
+     * @dev Calculates optimal amounts and mints LP tokens to the user. The first
+     * deposit of an empty pool (e.g. one created by the factory) sets the price
+     * and MINIMUM_LIQUIDITY of its GSLP is locked.
+     * @param goldAddress Address of the Gold token, must be goldToken.
+     * @param silverAddress Address of the Silver token, must be silverToken.
      * @param amountGoldDesired Desired amount of Gold to add.
      * @param amountSilverDesired Desired amount of Silver to add.
      * @param amountGoldMin Minimum acceptable amount of Gold (slippage protection).
@@ -204,27 +379,35 @@ contract SimpleSwap is ISimpleSwap, ERC20, Ownable {
         uint amountSilverMin,
         address to,
         uint deadline
-    ) external returns (uint amountGold, uint amountSilver, uint liquidity) {
+    ) public whenNotPaused returns (uint amountGold, uint amountSilver, uint liquidity) {
         /// Ensure the transaction hasn't expired
         require(block.timestamp <= deadline, "Transaction expired");
+        require(goldAddress == address(goldToken) && silverAddress == address(silverToken), "Invalid token pair");
 
         address _thisAddress = address(this);
+        uint256 totalSupply = totalSupply();
 
-        // Calculate the optimal amount of Silver to match Gold at pool ratio
-        uint amountSilverFinal = (amountGoldDesired * reserveSilver) / reserveGold;
-
-        if (amountSilverFinal <= amountSilverDesired) {
-            // Accept optimal Silver if it’s within allowed slippage
-            require(amountSilverFinal >= amountSilverMin, "Insufficient Silver amount");
+        if (totalSupply == 0) {
+            // First deposit of an empty pool sets the price, both amounts are taken as is
             amountGold = amountGoldDesired;
-            amountSilver = amountSilverFinal;
-        } else {
-            // Otherwise, recalculate optimal Gold for given Silver and validate against slippage
-            uint amountGoldFinal = (amountSilverDesired * reserveGold) / reserveSilver;
-            require(amountGoldFinal <= amountGoldDesired, "Insufficient Gold amount");
-            require(amountGoldFinal >= amountGoldMin, "Insufficient Gold amount");
-            amountGold = amountGoldFinal;
             amountSilver = amountSilverDesired;
+        } else {
+            // Calculate the optimal amount of Silver to match Gold at pool ratio
+            uint amountSilverFinal = (amountGoldDesired * reserveSilver) / reserveGold;
+
+            if (amountSilverFinal <= amountSilverDesired) {
+                // Accept optimal Silver if it’s within allowed slippage
+                require(amountSilverFinal >= amountSilverMin, "Insufficient Silver amount");
+                amountGold = amountGoldDesired;
+                amountSilver = amountSilverFinal;
+            } else {
+                // Otherwise, recalculate optimal Gold for given Silver and validate against slippage
+                uint amountGoldFinal = (amountSilverDesired * reserveGold) / reserveSilver;
+                require(amountGoldFinal <= amountGoldDesired, "Insufficient Gold amount");
+                require(amountGoldFinal >= amountGoldMin, "Insufficient Gold amount");
+                amountGold = amountGoldFinal;
+                amountSilver = amountSilverDesired;
+            }
         }
 
         address _msgSender = msg.sender;
@@ -233,12 +416,18 @@ contract SimpleSwap is ISimpleSwap, ERC20, Ownable {
         require(goldToken.transferFrom(_msgSender, _thisAddress, amountGold), "Gold transaction failed");
         require(silverToken.transferFrom(_msgSender, _thisAddress, amountSilver), "Silver transaction failed");
 
-        // Calculate LP tokens to mint based on contribution proportion
-        uint256 totalSupply = totalSupply();
-        liquidity = min(
-            (amountGold * totalSupply) / reserveGold,
-            (amountSilver * totalSupply) / reserveSilver
-        );
+        // Calculate LP tokens to mint based on contribution proportion,
+        // the first deposit mints the sum of both amounts like the constructor
+        if (totalSupply == 0) {
+            require(amountGold + amountSilver > MINIMUM_LIQUIDITY, "Insufficient liquidity minted");
+            liquidity = amountGold + amountSilver - MINIMUM_LIQUIDITY;
+            // Locked so that inflating the value of one GSLP costs the attacker
+            // a thousand times what later depositors lose to rounding
+            _mint(LOCKED_LIQUIDITY, MINIMUM_LIQUIDITY);
+            liquidities[LOCKED_LIQUIDITY] += MINIMUM_LIQUIDITY;
+        } else {
+            liquidity = min((amountGold * totalSupply) / reserveGold, (amountSilver * totalSupply) / reserveSilver);
+        }
 
         require(liquidity > 0, "Insufficient liquidity minted");
 
@@ -247,8 +436,7 @@ contract SimpleSwap is ISimpleSwap, ERC20, Ownable {
         liquidities[to] += liquidity;
 
         // Update internal reserves
-        reserveGold += amountGold;
-        reserveSilver += amountSilver;
+        _update(reserveGold + amountGold, reserveSilver + amountSilver);
 
         // Emit event for liquidity addition
         emit LiquidityAdded(_msgSender, to, amountGold, amountSilver, liquidity);
@@ -256,11 +444,45 @@ contract SimpleSwap is ISimpleSwap, ERC20, Ownable {
         return (amountGold, amountSilver, liquidity);
     }
 
+    /**
+     * @notice Adds liquidity to the Gold/Silver pool, approving both tokens with permit signatures.
+     * @dev See addLiquidity. A permit that fails (e.g. it was already submitted
+     * by someone else) is ignored, the transfer then needs an allowance.
+     * @param goldPermit Permit signature of msg.sender for amountGoldDesired of Gold.
+     * @param silverPermit Permit signature of msg.sender for amountSilverDesired of Silver.
+     */
+    function addLiquidityWithPermit(
+        address goldAddress,
+        address silverAddress,
+        uint amountGoldDesired,
+        uint amountSilverDesired,
+        uint amountGoldMin,
+        uint amountSilverMin,
+        address to,
+        uint deadline,
+        PermitSignature calldata goldPermit,
+        PermitSignature calldata silverPermit
+    ) external returns (uint amountGold, uint amountSilver, uint liquidity) {
+        _permit(goldAddress, amountGoldDesired, deadline, goldPermit);
+        _permit(silverAddress, amountSilverDesired, deadline, silverPermit);
+
+        return addLiquidity(
+            goldAddress,
+            silverAddress,
+            amountGoldDesired,
+            amountSilverDesired,
+            amountGoldMin,
+            amountSilverMin,
+            to,
+            deadline
+        );
+    }
+
     /**
      * @notice Removes liquidity from the pool.
      * @dev Burns LP tokens and transfers underlying assets to the user.
-     * @param goldAddress Address of the Gold token.
-     * @param silverAddress Address of the Silver token.
+     * @param goldAddress Address of the Gold token, must be goldToken.
+     * @param silverAddress Address of the Silver token, must be silverToken.
      * @param liquidity Amount of LP tokens to burn.
      * @param amountGoldMin Minimum acceptable amount of Gold to receive.
      * @param amountSilverMin Minimum acceptable amount of Silver to receive.
@@ -280,6 +502,7 @@ contract SimpleSwap is ISimpleSwap, ERC20, Ownable {
     ) external returns (uint amountGold, uint amountSilver) {
         /// Ensure the transaction hasn't expired
         require(block.timestamp <= deadline, "Transaction expired");
+        require(goldAddress == address(goldToken) && silverAddress == address(silverToken), "Invalid token pair");
 
         address _msgSender = msg.sender;
 
@@ -300,8 +523,7 @@ contract SimpleSwap is ISimpleSwap, ERC20, Ownable {
         _burn(_msgSender, liquidity);
 
         // Update pool reserves
-        reserveGold -= amountGold;
-        reserveSilver -= amountSilver;
+        _update(reserveGold - amountGold, reserveSilver - amountSilver);
 
         // Transfer the underlying tokens to the user
         require(goldToken.transfer(to, amountGold), "Gold transaction failed");
@@ -328,7 +550,7 @@ contract SimpleSwap is ISimpleSwap, ERC20, Ownable {
         address[] calldata path,
         address to,
         uint deadline
-    ) external returns (uint[] memory amounts) {
+    ) public whenNotPaused returns (uint[] memory amounts) {
         /// Ensure the swap is executed before the deadline
         require(block.timestamp <= deadline, "Transaction expired");
 
@@ -374,19 +596,82 @@ contract SimpleSwap is ISimpleSwap, ERC20, Ownable {
         require(amountOut > 0, "Insufficient output amount");
         require(amountOut >= amountOutMin, "Slippage: insufficient output");
 
-        // Transfer output tokens to recipient
-        require(_tokenOut.transfer(to, amountOut), "Output transfer failed");
+        return _settleSwap(_msgSender, to, _tokenIn, _tokenOut, amountIn, amountOut);
+    }
 
-        // Update internal reserves
-        reserveGold = goldToken.balanceOf(_thisAddress);
-        reserveSilver = silverToken.balanceOf(_thisAddress);
+    /**
+     * @notice Swaps an exact amount of tokens, approving the input token with a permit signature.
+     * @dev See swapExactTokensForTokens. A permit that fails (e.g. it was already
+     * submitted by someone else) is ignored, the transfer then needs an allowance.
+     * @param permit Permit signature of msg.sender for amountIn of path[0].
+     */
+    function swapExactTokensForTokensWithPermit(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline,
+        PermitSignature calldata permit
+    ) external returns (uint[] memory amounts) {
+        _permit(path[0], amountIn, deadline, permit);
 
-        uint[] memory amount = new uint[](amountOut);
+        return swapExactTokensForTokens(amountIn, amountOutMin, path, to, deadline);
+    }
 
-        // Emit event for the swap
-        emit TokensSwapped(_msgSender, to, address(_tokenIn), address(_tokenOut), amountIn, amountOut);
+    /**
+     * @notice Swaps as few input tokens as possible for an exact amount of output tokens.
+     * @dev The input amount is computed from the reserves with getAmountIn, so
+     * the path must be [Gold, Silver] or [Silver, Gold].
+     * @param amountOut Exact amount of output tokens to receive.
+     * @param amountInMax Maximum acceptable amount of input tokens (slippage protection).
+     * @param path Token address route (e.g., [Gold, Silver] or [Silver, Gold]).
+     * @param to Address to receive the output tokens.
+     * @param deadline Timestamp by which the transaction must be completed.
+     * @return amounts Array with input/output amount info.
+     */
+    function swapTokensForExactTokens(
+        uint amountOut,
+        uint amountInMax,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) public whenNotPaused returns (uint[] memory amounts) {
+        /// Ensure the swap is executed before the deadline
+        require(block.timestamp <= deadline, "Transaction expired");
+
+        // The direction sets the input amount, so it is read from the path before any transfer
+        bool goldIn = path[0] == address(goldToken) && path[1] == address(silverToken);
+        require(goldIn || (path[0] == address(silverToken) && path[1] == address(goldToken)), "Invalid token pair");
+
+        uint amountIn = goldIn
+            ? _getAmountIn(amountOut, reserveGold, reserveSilver)
+            : _getAmountIn(amountOut, reserveSilver, reserveGold);
+        require(amountIn <= amountInMax, "Slippage: excessive input");
+
+        // Transfer input tokens to this contract
+        IERC20 _tokenIn = IERC20(path[0]);
+        require(_tokenIn.transferFrom(msg.sender, address(this), amountIn), "Transfer failed");
 
-        return amount;
+        return _settleSwap(msg.sender, to, _tokenIn, IERC20(path[1]), amountIn, amountOut);
+    }
+
+    /**
+     * @notice Swaps for an exact amount of tokens, approving the input token with a permit signature.
+     * @dev See swapTokensForExactTokens. A permit that fails is ignored, as in
+     * swapExactTokensForTokensWithPermit.
+     * @param permit Permit signature of msg.sender for amountInMax of path[0].
+     */
+    function swapTokensForExactTokensWithPermit(
+        uint amountOut,
+        uint amountInMax,
+        address[] calldata path,
+        address to,
+        uint deadline,
+        PermitSignature calldata permit
+    ) external returns (uint[] memory amounts) {
+        _permit(path[0], amountInMax, deadline, permit);
+
+        return swapTokensForExactTokens(amountOut, amountInMax, path, to, deadline);
     }
 
     /**
@@ -402,27 +687,322 @@ contract SimpleSwap is ISimpleSwap, ERC20, Ownable {
 
     /**
      * @notice Estimates output tokens for a given input based on current reserves.
-     * @param amountIn Amount of input tokens.
+     * @param amountIn Amount of input tokens, the swap fee is taken from it.
      * @param reserveIn Reserve of input token.
      * @param reserveOut Reserve of output token.
      * @return amountOut Estimated amount of output tokens.
      */
-    function getAmountOut(uint amountIn, uint reserveIn, uint reserveOut) external pure returns (uint amountOut) {
+    function getAmountOut(uint amountIn, uint reserveIn, uint reserveOut) external view returns (uint amountOut) {
         amountOut = _getAmountOut(amountIn, reserveIn, reserveOut);
         return amountOut;
     }
 
+    /**
+     * @notice Estimates the input tokens needed for a given output based on current reserves.
+     * @param amountOut Amount of output tokens wanted.
+     * @param reserveIn Reserve of input token.
+     * @param reserveOut Reserve of output token, must be larger than amountOut.
+     * @return amountIn Input tokens required, the swap fee included.
+     */
+    function getAmountIn(uint amountOut, uint reserveIn, uint reserveOut) external view returns (uint amountIn) {
+        amountIn = _getAmountIn(amountOut, reserveIn, reserveOut);
+        return amountIn;
+    }
+
+    /**
+     * @notice Returns the time-weighted average price of a token over a recent window.
+     * @dev Unlike getPrice, a swap or a transfer only moves it in proportion to
+     * the time the price holds. Time while the pool had an empty reserve counts as a zero price.
+     * @param token Gold or Silver, the price is denominated in the other token.
+     * @param window Length of the window in seconds, ending now. Must be covered by the observations.
+     * @return price Average price of token over the window, scaled by 1e18.
+     */
+    function consult(address token, uint window) external view returns (uint price) {
+        require(token == address(goldToken) || token == address(silverToken), "Invalid token");
+        require(window > 0, "Invalid window");
+        require(window <= block.timestamp - _observationAt(0).timestamp, "Window exceeds history");
+
+        (uint goldNow, uint silverNow) = _cumulativesAt(block.timestamp);
+        (uint goldThen, uint silverThen) = _cumulativesAt(block.timestamp - window);
+
+        if (token == address(goldToken)) {
+            return (goldNow - goldThen) / window;
+        }
+        return (silverNow - silverThen) / window;
+    }
+
+    /**
+     * @notice Returns the price accumulators extended to the current block.
+     * @return priceGoldCumulative Gold price accumulator, as priceGoldCumulativeLast.
+     * @return priceSilverCumulative Silver price accumulator, as priceSilverCumulativeLast.
+     * @return timestamp Timestamp of the current block.
+     */
+    function currentCumulativePrices() external view returns (uint priceGoldCumulative, uint priceSilverCumulative, uint timestamp) {
+        (priceGoldCumulative, priceSilverCumulative) = _cumulativesAt(block.timestamp);
+        return (priceGoldCumulative, priceSilverCumulative, block.timestamp);
+    }
+
+    /**
+     * @notice Returns the oracle observations, oldest first.
+     * @return result Every observation kept in the ring buffer.
+     */
+    function getObservations() external view returns (Observation[] memory result) {
+        result = new Observation[](observationCount);
+        for (uint i = 0; i < observationCount; i++) {
+            result[i] = _observationAt(i);
+        }
+        return result;
+    }
+
+    /**
+     * @notice Sets the swap fee.
+     * @param newFeeBps Fee in basis points, at most MAX_FEE_BPS.
+     */
+    function setFee(uint newFeeBps) external onlyOwner {
+        require(newFeeBps <= MAX_FEE_BPS, "Fee too high");
+        feeBps = newFeeBps;
+
+        emit FeeUpdated(newFeeBps);
+    }
+
+    /**
+     * @notice Sends part of every swap fee to a protocol address.
+     * @param newFeeTo Recipient of the protocol share.
+     * @param newProtocolFeeBps Share of the fee in basis points, at most MAX_PROTOCOL_FEE_BPS. 0 turns it off.
+     */
+    function setProtocolFee(address newFeeTo, uint newProtocolFeeBps) external onlyOwner {
+        require(newProtocolFeeBps <= MAX_PROTOCOL_FEE_BPS, "Protocol fee too high");
+        require(newFeeTo != address(0) || newProtocolFeeBps == 0, "Invalid fee recipient");
+        feeTo = newFeeTo;
+        protocolFeeBps = newProtocolFeeBps;
+
+        emit ProtocolFeeUpdated(newFeeTo, newProtocolFeeBps);
+    }
+
+    /**
+     * @notice Sets the reserves to the pool's token balances.
+     * @dev Tokens sent to the pool without a swap or a deposit (or a balance that
+     * dropped) make the reserves the swaps price with diverge from getPrice.
+     * Only the owner syncs, like skim, so a donation cannot be settled into the
+     * reserves in a single call. The extra tokens go to the LPs.
+     */
+    function sync() external onlyOwner {
+        address _thisAddress = address(this);
+        _update(goldToken.balanceOf(_thisAddress), silverToken.balanceOf(_thisAddress));
+
+        emit Sync(reserveGold, reserveSilver);
+    }
+
+    /**
+     * @notice Sends the tokens held above the reserves to an address.
+     * @dev Only the owner skims, so tokens sent to the pool by mistake can be
+     * returned to whoever sent them. Balances below the reserves are left as they are.
+     * @param to Recipient of the extra Gold and Silver.
+     */
+    function skim(address to) external onlyOwner {
+        address _thisAddress = address(this);
+        uint goldBalance = goldToken.balanceOf(_thisAddress);
+        uint silverBalance = silverToken.balanceOf(_thisAddress);
+        uint amountGold = goldBalance > reserveGold ? goldBalance - reserveGold : 0;
+        uint amountSilver = silverBalance > reserveSilver ? silverBalance - reserveSilver : 0;
+
+        if (amountGold > 0) {
+            require(goldToken.transfer(to, amountGold), "Gold transaction failed");
+        }
+        if (amountSilver > 0) {
+            require(silverToken.transfer(to, amountSilver), "Silver transaction failed");
+        }
+
+        emit Skim(to, amountGold, amountSilver);
+    }
+
+    /**
+     * @notice Stops swaps and liquidity deposits, e.g. while an incident is investigated.
+     * @dev Emits Paused. Liquidity can still be removed.
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @notice Resumes swaps and liquidity deposits.
+     * @dev Emits Unpaused.
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
     /**
      * @notice Internal helper to compute output amount for swap.
-     * @dev Constant product formula: amountOut = (amountIn * reserveOut) / (reserveIn + amountIn).
+     * @dev Constant product formula on the input minus the fee:
+     * amountOut = (amountInWithFee * reserveOut) / (reserveIn + amountInWithFee),
+     * with amountInWithFee = amountIn * (10000 - feeBps) / 10000.
      * @param amountIn Amount of input tokens.
      * @param reserveIn Reserve of input token.
      * @param reserveOut Reserve of output token.
      * @return Output amount of tokenOut.
      */
-    function _getAmountOut(uint amountIn, uint reserveIn, uint reserveOut) private pure returns (uint) {
+    function _getAmountOut(uint amountIn, uint reserveIn, uint reserveOut) private view returns (uint) {
         require(amountIn > 0 && reserveIn > 0 && reserveOut > 0, "Invalid reserves or amount");
-        return (amountIn * reserveOut) / (reserveIn + amountIn);
+        uint amountInWithFee = amountIn * (10000 - feeBps);
+        return (amountInWithFee * reserveOut) / (reserveIn * 10000 + amountInWithFee);
+    }
+
+    /**
+     * @notice Internal helper to calculate the input amount of an exact output swap.
+     * @dev Inverse of _getAmountOut rounded up, the smallest amountIn that buys at least amountOut:
+     * amountIn = ceil((reserveIn * amountOut * 10000) / ((reserveOut - amountOut) * (10000 - feeBps))).
+     * @param amountOut Amount of output tokens.
+     * @param reserveIn Reserve of input token.
+     * @param reserveOut Reserve of output token.
+     * @return Input amount of tokenIn.
+     */
+    function _getAmountIn(uint amountOut, uint reserveIn, uint reserveOut) private view returns (uint) {
+        require(amountOut > 0 && reserveIn > 0 && reserveOut > amountOut, "Invalid reserves or amount");
+        uint numerator = reserveIn * amountOut * 10000;
+        uint denominator = (reserveOut - amountOut) * (10000 - feeBps);
+        return (numerator + denominator - 1) / denominator;
+    }
+
+    /**
+     * @notice Internal helper to finish a swap once the input tokens are in the pool.
+     * @dev Sends the output and the protocol share of the fee, updates the
+     * reserves and emits TokensSwapped.
+     * @param sender Account that sent the input tokens.
+     * @param to Recipient of the output tokens.
+     * @param tokenIn Input token.
+     * @param tokenOut Output token.
+     * @param amountIn Input tokens received, the fee is taken from them.
+     * @param amountOut Output tokens to send.
+     * @return amounts Input and output amounts, as in the path order.
+     */
+    function _settleSwap(
+        address sender,
+        address to,
+        IERC20 tokenIn,
+        IERC20 tokenOut,
+        uint amountIn,
+        uint amountOut
+    ) private returns (uint[] memory amounts) {
+        // Transfer output tokens to recipient
+        require(tokenOut.transfer(to, amountOut), "Output transfer failed");
+
+        // The fee stays in the pool for the LPs, except the protocol share
+        uint fee = (amountIn * feeBps) / 10000;
+        uint protocolFee = (fee * protocolFeeBps) / 10000;
+        if (protocolFee > 0) {
+            require(tokenIn.transfer(feeTo, protocolFee), "Fee transfer failed");
+        }
+
+        // Update internal reserves
+        address _thisAddress = address(this);
+        _update(goldToken.balanceOf(_thisAddress), silverToken.balanceOf(_thisAddress));
+
+        amounts = new uint[](2);
+        amounts[0] = amountIn;
+        amounts[1] = amountOut;
+
+        // Emit event for the swap
+        emit TokensSwapped(sender, to, address(tokenIn), address(tokenOut), amountIn, amountOut, fee);
+
+        return amounts;
+    }
+
+    /**
+     * @notice Internal helper to set new reserves, accumulating the price they replace.
+     * @dev Must be called on every reserve change. The first change of a block
+     * adds the previous price times the seconds since the last change to the
+     * accumulators and records them as an observation.
+     * @param newReserveGold Gold reserve after the change.
+     * @param newReserveSilver Silver reserve after the change.
+     */
+    function _update(uint newReserveGold, uint newReserveSilver) private {
+        uint elapsed = block.timestamp - blockTimestampLast;
+
+        if (elapsed > 0) {
+            if (reserveGold > 0 && reserveSilver > 0) {
+                priceGoldCumulativeLast += ((reserveSilver * 1e18) / reserveGold) * elapsed;
+                priceSilverCumulativeLast += ((reserveGold * 1e18) / reserveSilver) * elapsed;
+            }
+            blockTimestampLast = block.timestamp;
+
+            observationIndex = (observationIndex + 1) % OBSERVATION_CARDINALITY;
+            observations[observationIndex] = Observation(block.timestamp, priceGoldCumulativeLast, priceSilverCumulativeLast);
+            if (observationCount < OBSERVATION_CARDINALITY) {
+                observationCount++;
+            }
+        }
+
+        reserveGold = newReserveGold;
+        reserveSilver = newReserveSilver;
+    }
+
+    /**
+     * @notice Internal helper to read an observation by age.
+     * @param position Position from the oldest observation (0) to the newest (observationCount - 1).
+     * @return The observation.
+     */
+    function _observationAt(uint position) private view returns (Observation memory) {
+        uint oldest = observationCount < OBSERVATION_CARDINALITY ? 0 : (observationIndex + 1) % OBSERVATION_CARDINALITY;
+        return observations[(oldest + position) % OBSERVATION_CARDINALITY];
+    }
+
+    /**
+     * @notice Internal helper to compute the price accumulators at a given time.
+     * @dev After the last change the current reserves hold, before it the
+     * accumulators are interpolated between the two observations around target.
+     * @param target Timestamp, between the oldest observation and now.
+     * @return goldCumulative Gold price accumulator at target.
+     * @return silverCumulative Silver price accumulator at target.
+     */
+    function _cumulativesAt(uint target) private view returns (uint goldCumulative, uint silverCumulative) {
+        if (target >= blockTimestampLast) {
+            goldCumulative = priceGoldCumulativeLast;
+            silverCumulative = priceSilverCumulativeLast;
+            if (reserveGold > 0 && reserveSilver > 0) {
+                goldCumulative += ((reserveSilver * 1e18) / reserveGold) * (target - blockTimestampLast);
+                silverCumulative += ((reserveGold * 1e18) / reserveSilver) * (target - blockTimestampLast);
+            }
+            return (goldCumulative, silverCumulative);
+        }
+
+        // Binary search of the last observation at or before target, the newest one is after it
+        uint low = 0;
+        uint high = observationCount - 1;
+        while (low < high) {
+            uint middle = (low + high + 1) / 2;
+            if (_observationAt(middle).timestamp <= target) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        Observation memory before = _observationAt(low);
+        Observation memory next = _observationAt(low + 1);
+        uint span = next.timestamp - before.timestamp;
+        uint offset = target - before.timestamp;
+
+        goldCumulative = before.priceGoldCumulative +
+            ((next.priceGoldCumulative - before.priceGoldCumulative) * offset) / span;
+        silverCumulative = before.priceSilverCumulative +
+            ((next.priceSilverCumulative - before.priceSilverCumulative) * offset) / span;
+        return (goldCumulative, silverCumulative);
+    }
+
+    /**
+     * @notice Internal helper to approve this pool with an EIP-2612 permit of msg.sender.
+     * @dev The permit is not required to succeed: anyone can submit a signature
+     * they saw in the mempool first, which would otherwise make the trade revert.
+     * @param token Token to approve.
+     * @param value Allowance given to this pool.
+     * @param deadline Expiration timestamp of the signature.
+     * @param signature Permit signature of msg.sender.
+     */
+    function _permit(address token, uint value, uint deadline, PermitSignature calldata signature) private {
+        try IERC20Permit(token).permit(msg.sender, address(this), value, deadline, signature.v, signature.r, signature.s) {
+        } catch {
+        }
     }
 
     /**
@@ -450,8 +1030,28 @@ contract SimpleSwap is ISimpleSwap, ERC20, Ownable {
     event LiquidityRemoved(address indexed sender, address indexed to, uint amountGold, uint amountSilver, uint liquidity);
 
     /**
-     * @dev Issued when a token swap occurs.
+     * @dev Issued when a token swap occurs, fee is the swap fee charged in fromToken.
+     */
+    event TokensSwapped(address indexed sender, address indexed to, address fromToken, address toToken, uint amountIn, uint amountOut, uint fee);
+
+    /**
+     * @dev Issued when the owner changes the swap fee.
+     */
+    event FeeUpdated(uint feeBps);
+
+    /**
+     * @dev Issued when the owner changes the protocol share of the swap fee.
+     */
+    event ProtocolFeeUpdated(address feeTo, uint protocolFeeBps);
+
+    /**
+     * @dev Issued when sync sets the reserves to the balances.
+     */
+    event Sync(uint reserveGold, uint reserveSilver);
+
+    /**
+     * @dev Issued when the owner skims the tokens held above the reserves.
      */
-    event TokensSwapped(address indexed sender, address indexed to, address fromToken, address toToken, uint amountIn, uint amountOut);
+    event Skim(address indexed to, uint amountGold, uint amountSilver);
 }
 
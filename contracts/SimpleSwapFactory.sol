@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {SimpleSwap} from "./SimpleSwap.sol";
+
+/**
+ * @title SimpleSwap pool factory and registry
+ * @notice Creates one SimpleSwap pool per ERC20 pair and lists every pool so
+ * the frontend can enumerate them.
+ */
+contract SimpleSwapFactory is Ownable {
+    /// @notice Pool of a token pair, registered in both token orders.
+    mapping(address => mapping(address => address)) public getPool;
+
+    /// @notice Every pool, in creation order.
+    address[] public allPools;
+
+    /// @notice Deploys the factory, its owner also owns every pool it creates.
+    constructor() Ownable(msg.sender) {}
+
+    /**
+     * @notice Creates the pool of a token pair.
+     * @dev The pool starts empty, its first addLiquidity sets the price. Anyone can create a pool.
+     * @param tokenA First token of the pair ("Gold" side of the pool).
+     * @param tokenB Second token of the pair ("Silver" side of the pool).
+     * @return pool Address of the new pool.
+     */
+    function createPool(address tokenA, address tokenB) external returns (address pool) {
+        require(tokenA != tokenB, "Identical tokens");
+        require(tokenA != address(0) && tokenB != address(0), "Zero address");
+        require(getPool[tokenA][tokenB] == address(0), "Pool exists");
+
+        SimpleSwap created = new SimpleSwap(tokenA, tokenB);
+        pool = address(created);
+
+        created.transferOwnership(owner());
+        _addPool(tokenA, tokenB, pool);
+    }
+
+    /**
+     * @notice Lists a pool deployed outside the factory, such as the original Gold/Silver pool.
+     * @param pool Address of the SimpleSwap pool.
+     */
+    function registerPool(address pool) external onlyOwner {
+        address tokenA = address(SimpleSwap(pool).goldToken());
+        address tokenB = address(SimpleSwap(pool).silverToken());
+        require(getPool[tokenA][tokenB] == address(0), "Pool exists");
+
+        _addPool(tokenA, tokenB, pool);
+    }
+
+    /**
+     * @notice Returns the number of pools.
+     */
+    function allPoolsLength() external view returns (uint) {
+        return allPools.length;
+    }
+
+    /**
+     * @notice Returns every pool, in creation order.
+     */
+    function getPools() external view returns (address[] memory) {
+        return allPools;
+    }
+
+    /**
+     * @notice Records a pool under both token orders.
+     */
+    function _addPool(address tokenA, address tokenB, address pool) private {
+        getPool[tokenA][tokenB] = pool;
+        getPool[tokenB][tokenA] = pool;
+        allPools.push(pool);
+
+        emit PoolCreated(tokenA, tokenB, pool, allPools.length);
+    }
+
+    /**
+     * EVENTS
+     */
+
+    /**
+     * @dev Issued when a pool is created or registered.
+     */
+    event PoolCreated(address indexed tokenA, address indexed tokenB, address pool, uint poolCount);
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title Test Token
+ * @notice Generic ERC20 with configurable decimals for the extra pools (USDT, Aleph),
+ * only the owner can mint.
+ */
+contract TestToken is ERC20, Ownable {
+
+    /// @notice Number of decimals of the token.
+    uint8 private immutable _decimals;
+
+    /**
+     * @notice Deploys the token without any initial supply.
+     * @param name_ Token name.
+     * @param symbol_ Token symbol.
+     * @param decimals_ Token decimals (e.g. 6 for USDT).
+     */
+    constructor(string memory name_, string memory symbol_, uint8 decimals_) ERC20(name_, symbol_) Ownable(msg.sender) {
+        _decimals = decimals_;
+    }
+
+    /// @notice Returns the decimals set at deployment.
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    /**
+     * @notice Mints new tokens to a given address.
+     * @param to The address to receive the minted tokens.
+     * @param amount The number of tokens to mint.
+     */
+    function mint(address to, uint256 amount) public onlyOwner {
+        _mint(to, amount);
+    }
+}
@@ -1,5 +1,16 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/pool");
+require("./tasks/token");
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      // swapExactTokensForTokens has more live variables than the legacy
+      // pipeline's stack holds ("Stack too deep"), the IR pipeline compiles it
+      viaIR: true,
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
 };
@@ -1,14 +1,61 @@
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
 
-const SimplSwapModule = buildModule("SimpleSwapModule", (m) => {
+/**
+ * @notice Number of accounts the initial token supplies can be minted to.
+ */
+const MINT_RECIPIENTS = 4;
+
+/**
+ * @notice Where the 1000 base units the Gold and Silver constructors mint to the
+ * deployer are sent, the address SimpleSwap locks its minimum liquidity at.
+ */
+const BOOTSTRAP_HOLDER = "0x000000000000000000000000000000000000dEaD";
+
+/**
+ * @title SimpleSwap deployment
+ * @notice Deploys Gold, Silver and SimpleSwap and leaves the pool holding the
+ * tokens its reserves account for.
+ * @dev The SimpleSwap constructor sets its reserves (and mints GSLP to the
+ * deployer) from the deployer's Gold/Silver balances without moving them. So
+ * the deployer gives away the bootstrap the token constructors minted to it,
+ * holds exactly the seed when the pool is deployed and then transfers it to the
+ * pool. Without a seed the pool starts empty, like the pools of the factory.
+ *
+ * Parameters (amounts in base units):
+ * - seedGold / seedSilver: initial pool liquidity, minted to the deployer.
+ * - recipientN (N = 1..4): accounts the initial token supplies are minted to,
+ *   recipient1 defaults to the deployer and the others to accounts 1 to 3.
+ * - goldSupplyN / silverSupplyN: tokens minted to recipientN once the pool is seeded.
+ */
+const SimpleSwapModule = buildModule("SimpleSwapModule", (m) => {
+    const deployer = m.getAccount(0);
+
     const gold = m.contract("Gold");
     const silver = m.contract("Silver");
-    const simpleSwap = m.contract(
-    contractName = "SimpleSwap", 
-    args = [gold, silver]
-);
+
+    const bootstrapGold = m.staticCall(gold, "balanceOf", [deployer], 0, { id: "bootstrapGold" });
+    const bootstrapSilver = m.staticCall(silver, "balanceOf", [deployer], 0, { id: "bootstrapSilver" });
+    const sendBootstrapGold = m.call(gold, "transfer", [BOOTSTRAP_HOLDER, bootstrapGold], { id: "sendBootstrapGold" });
+    const sendBootstrapSilver = m.call(silver, "transfer", [BOOTSTRAP_HOLDER, bootstrapSilver], { id: "sendBootstrapSilver" });
+
+    // Counted by the SimpleSwap constructor as the initial reserves
+    const seedGoldAmount = m.getParameter("seedGold", 0n);
+    const seedSilverAmount = m.getParameter("seedSilver", 0n);
+    const mintSeedGold = m.call(gold, "mint", [deployer, seedGoldAmount], { id: "mintSeedGold", after: [sendBootstrapGold] });
+    const mintSeedSilver = m.call(silver, "mint", [deployer, seedSilverAmount], { id: "mintSeedSilver", after: [sendBootstrapSilver] });
+
+    const simpleSwap = m.contract("SimpleSwap", [gold, silver], { after: [mintSeedGold, mintSeedSilver] });
+
+    const seedGold = m.call(gold, "transfer", [simpleSwap, seedGoldAmount], { id: "seedGold" });
+    const seedSilver = m.call(silver, "transfer", [simpleSwap, seedSilverAmount], { id: "seedSilver" });
+
+    for (let i = 1; i <= MINT_RECIPIENTS; i++) {
+      const recipient = m.getParameter(`recipient${i}`, m.getAccount(i - 1));
+      m.call(gold, "mint", [recipient, m.getParameter(`goldSupply${i}`, 0n)], { id: `mintGoldSupply${i}`, after: [seedGold] });
+      m.call(silver, "mint", [recipient, m.getParameter(`silverSupply${i}`, 0n)], { id: `mintSilverSupply${i}`, after: [seedSilver] });
+    }
 
   return { gold, silver, simpleSwap };
 });
 
-module.exports = SimplSwapModule;
\ No newline at end of file
+module.exports = SimpleSwapModule;
@@ -0,0 +1,73 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const SimpleSwapModule = require("./SimpleSwap");
+
+/**
+ * @title SimpleSwap deployment with a pool factory
+ * @notice Deploys SimpleSwapModule and a SimpleSwapFactory that lists the
+ * Gold/Silver pool, plus USDT and Aleph test tokens with a Gold/USDT and an
+ * Aleph/USDT pool, so the frontend has several pools to choose from, and the
+ * LimitOrderExecutor that fills the signed limit orders of every pool.
+ * @dev Each new pool is seeded by the deployer with its first deposit, which
+ * sets its price.
+ *
+ * Parameters (amounts in base units, USDT has 6 decimals):
+ * - goldUsdtGold / goldUsdtUsdt: first deposit of the Gold/USDT pool.
+ * - alephUsdtAleph / alephUsdtUsdt: first deposit of the Aleph/USDT pool.
+ * - usdtSupply / alephSupply: tokens minted to the deployer on top of the seeds.
+ */
+const SimpleSwapFactoryModule = buildModule("SimpleSwapFactoryModule", (m) => {
+    const { gold, silver, simpleSwap } = m.useModule(SimpleSwapModule);
+    const deployer = m.getAccount(0);
+
+    // Only used to seed a fresh deployment, far enough to never expire
+    const deadline = m.getParameter("deadline", 4102444800n);
+
+    const factory = m.contract("SimpleSwapFactory");
+    // Pools are listed one after the other, so the registry order is always the same
+    let lastListed = m.call(factory, "registerPool", [simpleSwap]);
+
+    const usdt = m.contract("TestToken", ["Tether USD", "USDT", 6], { id: "USDT" });
+    const aleph = m.contract("TestToken", ["Aleph", "ALEPH", 18], { id: "Aleph" });
+
+    /**
+     * @dev Creates the pool of a pair through the factory, then mints the first
+     * deposit to the deployer and adds it.
+     */
+    function seedPool(id, [tokenA, amountA], [tokenB, amountB]) {
+      const create = m.call(factory, "createPool", [tokenA, tokenB], { id: `create${id}`, after: [lastListed] });
+      const poolAddress = m.readEventArgument(create, "PoolCreated", "pool", { id: `${id}Address` });
+      const pool = m.contractAt("SimpleSwap", poolAddress, { id });
+      lastListed = create;
+
+      const mintA = m.call(tokenA, "mint", [deployer, amountA], { id: `mint${id}A` });
+      const mintB = m.call(tokenB, "mint", [deployer, amountB], { id: `mint${id}B` });
+      const approveA = m.call(tokenA, "approve", [pool, amountA], { id: `approve${id}A` });
+      const approveB = m.call(tokenB, "approve", [pool, amountB], { id: `approve${id}B` });
+
+      m.call(pool, "addLiquidity", [tokenA, tokenB, amountA, amountB, 0n, 0n, deployer, deadline], {
+        id: `addLiquidity${id}`,
+        after: [mintA, mintB, approveA, approveB],
+      });
+      return pool;
+    }
+
+    const goldUsdtPool = seedPool(
+      "GoldUsdtPool",
+      [gold, m.getParameter("goldUsdtGold", 1000n * 10n ** 18n)],
+      [usdt, m.getParameter("goldUsdtUsdt", 2000000n * 10n ** 6n)]
+    );
+    const alephUsdtPool = seedPool(
+      "AlephUsdtPool",
+      [aleph, m.getParameter("alephUsdtAleph", 100000n * 10n ** 18n)],
+      [usdt, m.getParameter("alephUsdtUsdt", 10000n * 10n ** 6n)]
+    );
+
+    const executor = m.contract("LimitOrderExecutor");
+
+    m.call(usdt, "mint", [deployer, m.getParameter("usdtSupply", 1000000n * 10n ** 6n)], { id: "mintUsdtSupply" });
+    m.call(aleph, "mint", [deployer, m.getParameter("alephSupply", 1000000n * 10n ** 18n)], { id: "mintAlephSupply" });
+
+  return { gold, silver, simpleSwap, factory, usdt, aleph, goldUsdtPool, alephUsdtPool, executor };
+});
+
+module.exports = SimpleSwapFactoryModule;
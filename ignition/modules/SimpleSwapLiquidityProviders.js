@@ -0,0 +1,43 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const SimpleSwapModule = require("./SimpleSwap");
+
+/**
+ * @notice Number of extra accounts (1 to LIQUIDITY_PROVIDERS) that join the pool.
+ */
+const LIQUIDITY_PROVIDERS = 4;
+
+/**
+ * @title SimpleSwap deployment with several liquidity providers
+ * @notice Deploys SimpleSwapModule, then mints Gold and Silver to accounts 1 to 4
+ * and has each of them add liquidity, so the pool has several GSLP holders.
+ * @dev Parameters goldN / silverN (N = 1..4, base units) are the amounts account
+ * N deposits. They should follow the pool ratio, addLiquidity keeps the excess.
+ */
+const SimpleSwapLiquidityProvidersModule = buildModule("SimpleSwapLiquidityProvidersModule", (m) => {
+    const { gold, silver, simpleSwap } = m.useModule(SimpleSwapModule);
+
+    // Only used to seed a fresh deployment, far enough to never expire
+    const deadline = m.getParameter("deadline", 4102444800n);
+
+    for (let i = 1; i <= LIQUIDITY_PROVIDERS; i++) {
+      const provider = m.getAccount(i);
+      const amountGold = m.getParameter(`gold${i}`, 1000n * 10n ** 18n);
+      const amountSilver = m.getParameter(`silver${i}`, 1000n * 10n ** 18n);
+
+      m.call(gold, "mint", [provider, amountGold], { id: `mintGold${i}` });
+      m.call(silver, "mint", [provider, amountSilver], { id: `mintSilver${i}` });
+      const approveGold = m.call(gold, "approve", [simpleSwap, amountGold], { id: `approveGold${i}`, from: provider });
+      const approveSilver = m.call(silver, "approve", [simpleSwap, amountSilver], { id: `approveSilver${i}`, from: provider });
+
+      m.call(
+        simpleSwap,
+        "addLiquidity",
+        [gold, silver, amountGold, amountSilver, 0n, 0n, provider, deadline],
+        { id: `addLiquidity${i}`, from: provider, after: [approveGold, approveSilver] }
+      );
+    }
+
+  return { gold, silver, simpleSwap };
+});
+
+module.exports = SimpleSwapLiquidityProvidersModule;
@@ -0,0 +1,69 @@
+  /////////////////////////// Recent activity, read from the server's event indexer
+
+var ACTIVITY_PAGE_SIZE = 10;
+var ACTIVITY_REFRESH_MS = 15000;
+
+refreshActivity();
+setInterval(refreshActivity, ACTIVITY_REFRESH_MS);
+
+
+/**
+ * Lists the latest pool events, only the connected account's once a wallet is connected.
+ */
+async function refreshActivity() {
+  // Amounts are formatted with the decimals of the listed tokens
+  if(!exchange_address || tokens.length == 0) {
+    return;
+  }
+
+  const list = document.getElementById("activity-list");
+  let query = "?pageSize=" + ACTIVITY_PAGE_SIZE;
+  if(address != "Conectar") {
+    query += "&account=" + address;
+  }
+
+  let page;
+  try {
+    const response = await fetch("/api/history" + query);
+    if(!response.ok) {
+      throw new Error(response.statusText);
+    }
+    page = await response.json();
+  } catch (err) {
+    renderActivity(list, ["Activity unavailable"]);
+    return;
+  }
+
+  if(page.items.length == 0) {
+    renderActivity(list, ["No activity yet"]);
+    return;
+  }
+
+  renderActivity(list, page.items.map(describeEvent));
+}
+
+function describeEvent(event) {
+  const time = new Date(event.timestamp * 1000).toLocaleString();
+
+  const gold = function(amount) { return formatAmount(BigInt(amount), goldToken().decimals) + " GOLD"; };
+  const silver = function(amount) { return formatAmount(BigInt(amount), silverToken().decimals) + " SILVER"; };
+
+  if(event.type == "TokensSwapped") {
+    const goldIn = event.fromToken.toLowerCase() == gold_address.toLowerCase();
+    return time + " · Swap " + (goldIn ? gold(event.amountIn) : silver(event.amountIn)) + " → " +
+      (goldIn ? silver(event.amountOut) : gold(event.amountOut)) + " · fee " + (goldIn ? gold(event.fee) : silver(event.fee));
+  }
+
+  const action = event.type == "LiquidityAdded" ? "Add " : "Remove ";
+  return time + " · " + action + gold(event.amountGold) + " + " + silver(event.amountSilver) + " (" +
+    formatAmount(BigInt(event.liquidity), lpDecimals) + " GSLP)";
+}
+
+function renderActivity(list, lines) {
+  list.innerHTML = "";
+  lines.forEach(function(line) {
+    const item = document.createElement("li");
+    item.textContent = line;
+    list.appendChild(item);
+  });
+}
@@ -0,0 +1,130 @@
+  /////////////////////////// Admin: reserves drift, sync, skim and pause of the pools the account owns
+
+// How often the drift is read again, tokens can be sent to a pool at any time
+var ADMIN_REFRESH_MS = 15000;
+
+setInterval(refreshAdmin, ADMIN_REFRESH_MS);
+
+
+/**
+ * Lists the pools the connected account owns with the drift between their
+ * reserves and their token balances. Hidden for every other account.
+ */
+async function refreshAdmin() {
+  const box = document.getElementById("admin-box");
+  if(address == "Conectar") {
+    box.hidden = true;
+    return;
+  }
+
+  // Every pool is read at once, the read-only RPC can be slow
+  let owned;
+  try {
+    const states = await Promise.all(pools.map(async function(pool) {
+      const poolInstance = new web3.eth.Contract(exchange_abi, pool.address);
+      if(!sameAddress(await poolInstance.methods.owner().call(), address)) {
+        return null;
+      }
+      return readPoolState(pool, poolInstance);
+    }));
+    owned = states.filter(function(state) { return state; });
+  } catch (err) {
+    // The last list stays, the next refresh tries again
+    return;
+  }
+
+  box.hidden = owned.length == 0;
+  const list = document.getElementById("admin-list");
+  list.replaceChildren(...owned.map(renderAdminPool));
+}
+
+/**
+ * Reads the reserves, the balances and the paused flag of a pool.
+ */
+async function readPoolState(pool, poolInstance) {
+  const goldInstance = new web3.eth.Contract(token_abi, pool.gold);
+  const silverInstance = new web3.eth.Contract(token_abi, pool.silver);
+  const values = await Promise.all([
+    poolInstance.methods.paused().call(),
+    poolInstance.methods.reserveGold().call(),
+    poolInstance.methods.reserveSilver().call(),
+    goldInstance.methods.balanceOf(pool.address).call(),
+    silverInstance.methods.balanceOf(pool.address).call()
+  ]);
+  return {
+    pool: pool,
+    instance: poolInstance,
+    paused: values[0],
+    reserveGold: BigInt(values[1]),
+    reserveSilver: BigInt(values[2]),
+    balanceGold: BigInt(values[3]),
+    balanceSilver: BigInt(values[4])
+  };
+}
+
+function renderAdminPool(state) {
+  const gold = findToken(state.pool.gold);
+  const silver = findToken(state.pool.silver);
+  const item = document.createElement("li");
+
+  const title = document.createElement("span");
+  title.className = "admin-title";
+  title.textContent = gold.symbol + "/" + silver.symbol + " · " + state.pool.address.slice(0, 10) + "…";
+  title.title = state.pool.address;
+
+  const status = document.createElement("span");
+  status.className = "tx-status " + (state.paused ? "tx-failed" : "tx-confirmed");
+  status.textContent = state.paused ? "paused" : "active";
+
+  item.append(title, status,
+    renderDrift(gold, state.reserveGold, state.balanceGold),
+    renderDrift(silver, state.reserveSilver, state.balanceSilver));
+
+  const actions = document.createElement("div");
+  actions.className = "admin-actions";
+  actions.append(
+    adminButton("Sync", "Set the reserves to the balances", function() {
+      return sendAdminTransaction(state.instance.methods.sync(), "Sync " + gold.symbol + "/" + silver.symbol);
+    }),
+    adminButton("Skim", "Send the tokens above the reserves to your account", function() {
+      return sendAdminTransaction(state.instance.methods.skim(address), "Skim " + gold.symbol + "/" + silver.symbol);
+    }),
+    adminButton(state.paused ? "Unpause" : "Pause", "Swaps and deposits, removing liquidity always works", function() {
+      const method = state.paused ? state.instance.methods.unpause() : state.instance.methods.pause();
+      return sendAdminTransaction(method, (state.paused ? "Unpause " : "Pause ") + gold.symbol + "/" + silver.symbol);
+    })
+  );
+  item.appendChild(actions);
+  return item;
+}
+
+/**
+ * One line of reserve, balance and drift, the tokens a sync adds to the
+ * reserve or a skim sends out (negative when the pool holds less than its reserve).
+ */
+function renderDrift(token, reserve, balance) {
+  const drift = balance - reserve;
+  const line = document.createElement("span");
+  line.className = "admin-drift" + (drift == 0n ? "" : " admin-drifted");
+  line.textContent = token.symbol + " reserve " + formatAmount(reserve, token.decimals) +
+    " · balance " + formatAmount(balance, token.decimals) +
+    " · drift " + (drift < 0n ? "-" + formatAmount(-drift, token.decimals) : "+" + formatAmount(drift, token.decimals));
+  return line;
+}
+
+function adminButton(label, title, onclick) {
+  const button = document.createElement("button");
+  button.textContent = label;
+  button.title = title;
+  button.onclick = onclick;
+  return button;
+}
+
+function sendAdminTransaction(method, description) {
+  return sendTransaction(method, description, async function() {
+      await refreshAdmin();
+      await refreshBalances();
+      await setPrice();
+      await refreshPoolStats();
+  });
+}
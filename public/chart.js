@@ -0,0 +1,142 @@
+  /////////////////////////// Price chart: spot vs TWAP, from the pool's price oracle
+
+// Windows the chart can show, in seconds
+var CHART_WINDOWS = { "1H": 3600, "24H": 86400, "7D": 604800 };
+var chartWindow = "24H";
+
+// Size of the chart's SVG coordinate system, see the viewBox in index.html
+var CHART_WIDTH = 300;
+var CHART_HEIGHT = 90;
+var CHART_PADDING = 6;
+
+
+async function setChartWindow(label) {
+  chartWindow = label;
+  document.querySelectorAll(".chart-window").forEach(function(button) {
+    button.classList.toggle("selected", button.textContent == label);
+  });
+  await refreshPriceChart();
+}
+
+/**
+ * Draws the price of the input token in the output token over the selected
+ * window: the spot price every reserve change set and its TWAP since the start of the window.
+ */
+async function refreshPriceChart() {
+  const chart = document.getElementById("price-chart");
+  const twap = document.getElementById("price-twap");
+  chart.innerHTML = "";
+  twap.innerHTML = "-";
+  if(!pairInstance) {
+    return;
+  }
+
+  const series = await loadPriceSeries();
+  if(!series) {
+    return;
+  }
+
+  const last = series.points[series.points.length - 1];
+  twap.innerHTML = "TWAP " + (series.truncated ? "since " + new Date(series.from * 1000).toLocaleTimeString() : chartWindow) +
+    ": " + formatPrice(last.twap);
+  renderPriceChart(chart, series);
+}
+
+/**
+ * Reads the oracle observations and the current accumulators of the selected
+ * pool and turns them into spot and TWAP points in whole tokens, like consult does on chain.
+ * Returns null when the pool has no history yet.
+ */
+async function loadPriceSeries() {
+  // Both reads from the same block, so the current accumulators follow the observations
+  const block = await web3.eth.getBlockNumber();
+  const observations = await pairInstance.methods.getObservations().call({}, block);
+  const current = await pairInstance.methods.currentCumulativePrices().call({}, block);
+
+  // The pool's "Gold" is the first token of its pair
+  const key = sameAddress(tokenInAddress, pair.gold) ? "priceGoldCumulative" : "priceSilverCumulative";
+  const points = observations.map(function(observation) {
+    return { timestamp: BigInt(observation.timestamp), cumulative: BigInt(observation[key]) };
+  });
+  if(BigInt(current.timestamp) > points[points.length - 1].timestamp) {
+    points.push({ timestamp: BigInt(current.timestamp), cumulative: BigInt(current[key]) });
+  }
+  if(points.length < 2) {
+    return null;
+  }
+
+  const to = points[points.length - 1].timestamp;
+  const wanted = to - BigInt(CHART_WINDOWS[chartWindow]);
+  const truncated = wanted < points[0].timestamp;
+  const start = cumulativeAt(points, truncated ? points[0].timestamp : wanted);
+
+  const series = [];
+  let previous = start;
+  points.filter(function(point) { return point.timestamp > start.timestamp; }).forEach(function(point) {
+    series.push({
+      timestamp: Number(point.timestamp),
+      spot: pairPrice((point.cumulative - previous.cumulative) / (point.timestamp - previous.timestamp)),
+      twap: pairPrice((point.cumulative - start.cumulative) / (point.timestamp - start.timestamp))
+    });
+    previous = point;
+  });
+
+  return { from: Number(start.timestamp), to: Number(to), truncated: truncated, points: series };
+}
+
+/**
+ * Interpolates the accumulator at a time between two points, the price is
+ * constant between two observations.
+ */
+function cumulativeAt(points, target) {
+  const index = points.findIndex(function(point) { return point.timestamp >= target; });
+  const next = points[index];
+  if(index == 0 || next.timestamp == target) {
+    return next;
+  }
+  const before = points[index - 1];
+  return {
+    timestamp: target,
+    cumulative: before.cumulative +
+      (next.cumulative - before.cumulative) * (target - before.timestamp) / (next.timestamp - before.timestamp)
+  };
+}
+
+function renderPriceChart(chart, series) {
+  const prices = series.points.map(function(point) { return Number(point.spot) / 1e18; })
+    .concat(series.points.map(function(point) { return Number(point.twap) / 1e18; }));
+  const min = Math.min.apply(null, prices);
+  const max = Math.max.apply(null, prices);
+
+  const x = function(timestamp) {
+    return (timestamp - series.from) / (series.to - series.from) * CHART_WIDTH;
+  };
+  const y = function(price) {
+    if(max == min) {
+      return CHART_HEIGHT / 2;
+    }
+    return CHART_HEIGHT - CHART_PADDING - (Number(price) / 1e18 - min) / (max - min) * (CHART_HEIGHT - 2 * CHART_PADDING);
+  };
+
+  // The spot price holds until the next point, so it is drawn as steps
+  const spot = [];
+  let previous = series.from;
+  series.points.forEach(function(point) {
+    spot.push(x(previous) + "," + y(point.spot), x(point.timestamp) + "," + y(point.spot));
+    previous = point.timestamp;
+  });
+
+  const twap = [x(series.from) + "," + y(series.points[0].spot)];
+  series.points.forEach(function(point) {
+    twap.push(x(point.timestamp) + "," + y(point.twap));
+  });
+
+  chart.append(chartLine(spot, "chart-spot"), chartLine(twap, "chart-twap"));
+}
+
+function chartLine(points, className) {
+  const line = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+  line.setAttribute("points", points.join(" "));
+  line.setAttribute("class", className);
+  return line;
+}
@@ -0,0 +1,59 @@
+  /////////////////////////// Test tokens, minted by the server's faucet
+
+// Limits of the faucet from GET /api/faucet, null when the server runs none
+var faucet = null;
+
+checkFaucet();
+
+
+/**
+ * Shows "Get test tokens" when the server runs a faucet.
+ */
+async function checkFaucet() {
+  try {
+    const response = await fetch("/api/faucet");
+    faucet = response.ok ? await response.json() : null;
+  } catch (err) {
+    faucet = null;
+  }
+  document.getElementById("faucet").hidden = !faucet;
+}
+
+/**
+ * Asks the faucet for Gold and Silver for the connected account and waits
+ * until both are minted.
+ */
+async function requestTestTokens() {
+  if(!requireAccount()) {
+    return;
+  }
+  const button = document.getElementById("faucet");
+  button.disabled = true;
+  showToast("Minting test tokens...", "orange");
+
+  try {
+    const response = await fetch("/api/faucet", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ address: address })
+    });
+    const body = await response.json();
+    if(!response.ok) {
+      showToast(body.retryAfter ? body.error + ", wait " + formatWait(body.retryAfter) : "Faucet failed: " + body.error, "red", 6000);
+      return;
+    }
+    showToast("Received " + formatAmount(BigInt(body.amount), goldToken().decimals) + " GLD and " +
+      formatAmount(BigInt(body.amount), silverToken().decimals) + " SLV", "green");
+    await refreshBalances();
+  } catch (err) {
+    showToast("The faucet is unavailable", "red");
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function formatWait(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.ceil((seconds % 3600) / 60);
+  return hours > 0 ? hours + "h " + minutes + "m" : minutes + "m";
+}
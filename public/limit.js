@@ -0,0 +1,293 @@
+  /////////////////////////// Limit orders: signed here, stored by the server and filled by its keeper
+
+// How often the orders are read again, the keeper fills them at any time
+var ORDERS_REFRESH_MS = 15000;
+
+// Allowance of the selected input token to the executor
+var limitAllowance = 0n;
+
+// Tab of the swap box, "swap" or "limit"
+var swapTab = "swap";
+
+// Orders of the connected account, newest first, see refreshLimitOrders()
+var limitOrders = [];
+
+setInterval(refreshLimitOrders, ORDERS_REFRESH_MS);
+
+
+function showSwapTab(tab) {
+  swapTab = tab;
+  document.getElementById("swap-tab").classList.toggle("swap-button-active", tab == "swap");
+  document.getElementById("limit-tab").classList.toggle("swap-button-active", tab == "limit");
+  document.getElementById("swap-form-box").hidden = tab != "swap";
+  document.getElementById("limit-form-box").hidden = tab != "limit";
+  document.getElementById("swap-title").innerHTML = tab == "swap" ? "Swap" : "Limit";
+  document.getElementById("swap-subtitle").innerHTML = tab == "swap" ?
+    "Trade tokens in an instant" : "Sell at your price, even while you are away";
+  if(tab == "limit") {
+    refreshLimitOrders();
+  }
+}
+
+/**
+ * Shows the selected pair in the Limit tab, which is only offered when the
+ * chain has an executor.
+ */
+function renderLimitForm() {
+  document.getElementById("limit-tab").hidden = !executor_address;
+  document.getElementById("limitLogoIn").src = tokenIn().logo;
+  document.getElementById("limitLogoIn").hidden = !tokenIn().logo;
+  document.getElementById("limitLogoOut").src = tokenOut().logo;
+  document.getElementById("limitLogoOut").hidden = !tokenOut().logo;
+  document.getElementById("limitTokenInName").innerHTML = tokenIn().name;
+  document.getElementById("limitTokenOutName").innerHTML = tokenOut().name;
+  updateLimitPreview();
+  refreshLimitAllowance();
+}
+
+/**
+ * Shows the limit price of the typed amounts and what the pool pays for the
+ * same input now: the order is filled once the pool pays at least the limit.
+ */
+async function updateLimitPreview() {
+  const amountIn = parseUnits(document.getElementById("limit-amount-in").value, tokenIn().decimals);
+  const amountOut = parseUnits(document.getElementById("limit-amount-out").value, tokenOut().decimals);
+
+  document.getElementById("limit-price").innerHTML = amountIn == 0n || amountOut == 0n ? "-" :
+    "1 " + tokenIn().symbol + " = " + formatPrice(pairPrice(amountOut * 10n ** 18n / amountIn)) + " " + tokenOut().symbol;
+
+  const market = document.getElementById("limit-market");
+  if(amountIn == 0n || !pairInstance) {
+    market.innerHTML = pairInstance ? "-" : "No pool";
+  } else {
+    market.innerHTML = formatAmount(await quote(amountIn), tokenOut().decimals) + " " + tokenOut().symbol;
+  }
+  renderLimitButton();
+}
+
+async function refreshLimitAllowance() {
+  if(!executor_address || address == "Conectar") {
+    limitAllowance = 0n;
+    renderLimitButton();
+    return;
+  }
+  const tokenInInstance = new web3.eth.Contract(tokenIn().abi, tokenIn().address);
+  limitAllowance = BigInt(await tokenInInstance.methods.allowance(address, executor_address).call());
+  renderLimitButton();
+}
+
+function renderLimitButton() {
+  const button = document.getElementById("limit-submit");
+  if(address == "Conectar") {
+    button.innerHTML = "Connect wallet";
+    return;
+  }
+  const amountIn = parseUnits(document.getElementById("limit-amount-in").value, tokenIn().decimals);
+  button.innerHTML = amountIn > 0n && limitAllowance < limitAllowanceNeeded(amountIn) ? "Approve " + tokenIn().name : "Place order";
+}
+
+/**
+ * Allowance the executor needs for a new order: its input plus the input of
+ * the open orders selling the same token, which the keeper can still fill.
+ */
+function limitAllowanceNeeded(amountIn) {
+  return limitOrders
+    .filter(function(stored) { return stored.status == "open" && sameAddress(stored.order.tokenIn, tokenInAddress); })
+    .reduce(function(total, stored) { return total + BigInt(stored.order.amountIn); }, amountIn);
+}
+
+/**
+ * Approves the executor for the input amount when needed, otherwise signs
+ * the order and hands it to the server's order book.
+ */
+async function handleLimitOrder() {
+  if(!requireAccount()) {
+    return;
+  }
+  if(!pair) {
+    showToast("There is no pool for " + tokenIn().symbol + "/" + tokenOut().symbol, "red");
+    return;
+  }
+  const amountIn = parseUnits(document.getElementById("limit-amount-in").value, tokenIn().decimals);
+  const amountOutMin = parseUnits(document.getElementById("limit-amount-out").value, tokenOut().decimals);
+  if(amountIn == 0n || amountOutMin == 0n) {
+    showToast("Enter the amount to sell and the least to receive", "red");
+    return;
+  }
+
+  await refreshLimitAllowance();
+  const needed = limitAllowanceNeeded(amountIn);
+  if(limitAllowance < needed) {
+    // The executor takes the tokens when the keeper fills the order, not now
+    const tokenInInstance = new web3.eth.Contract(tokenIn().abi, tokenIn().address);
+    await sendTransaction(tokenInInstance.methods.approve(executor_address, needed),
+      "Approve " + tokenIn().symbol + " for limit orders", refreshLimitAllowance);
+    return;
+  }
+
+  const order = {
+    maker: address,
+    pool: pair.address,
+    tokenIn: tokenIn().address,
+    tokenOut: tokenOut().address,
+    amountIn: amountIn.toString(),
+    amountOutMin: amountOutMin.toString(),
+    expiry: (Math.floor(Date.now() / 1000) + Number(document.getElementById("limit-expiry").value)).toString(),
+    // Nonces are unordered, the time makes them unique per account
+    nonce: Date.now().toString()
+  };
+
+  let signature;
+  try {
+    signature = await signOrder(order);
+  } catch (err) {
+    showToast("Order not signed", "red");
+    return;
+  }
+
+  try {
+    const response = await fetch("/api/orders", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ order: order, signature: signature })
+    });
+    if(!response.ok) {
+      showToast("Order rejected: " + (await response.json()).error, "red", 6000);
+      return;
+    }
+    showToast("Limit order placed", "green");
+    document.getElementById("limit-amount-in").value = "";
+    document.getElementById("limit-amount-out").value = "";
+    await updateLimitPreview();
+    await refreshLimitOrders();
+  } catch (err) {
+    showToast("The order book is unavailable", "red");
+  }
+}
+
+/**
+ * Asks the wallet to sign an order with the executor's EIP-712 domain.
+ */
+async function signOrder(order) {
+  const executorInstance = new web3.eth.Contract(executor_abi, executor_address);
+  const domain = await executorInstance.methods.eip712Domain().call();
+
+  const typedData = {
+    types: {
+      EIP712Domain: [
+        { name: "name", type: "string" },
+        { name: "version", type: "string" },
+        { name: "chainId", type: "uint256" },
+        { name: "verifyingContract", type: "address" }
+      ],
+      Order: [
+        { name: "maker", type: "address" },
+        { name: "pool", type: "address" },
+        { name: "tokenIn", type: "address" },
+        { name: "tokenOut", type: "address" },
+        { name: "amountIn", type: "uint256" },
+        { name: "amountOutMin", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+      ]
+    },
+    primaryType: "Order",
+    domain: {
+      name: domain.name,
+      version: domain.version,
+      chainId: Number(domain.chainId),
+      verifyingContract: domain.verifyingContract
+    },
+    message: order
+  };
+
+  return activeWallet.provider.request({
+    "method": "eth_signTypedData_v4",
+    "params": [address, JSON.stringify(typedData)]
+  });
+}
+
+/**
+ * Lists the connected account's orders, open, filled, cancelled and expired.
+ */
+async function refreshLimitOrders() {
+  if(!executor_address || tokens.length == 0) {
+    return;
+  }
+  const list = document.getElementById("limit-orders");
+  if(address == "Conectar") {
+    limitOrders = [];
+    renderActivity(list, ["Connect a wallet to see your orders"]);
+    return;
+  }
+
+  let page;
+  try {
+    const response = await fetch("/api/orders?maker=" + address);
+    if(!response.ok) {
+      throw new Error(response.statusText);
+    }
+    page = await response.json();
+  } catch (err) {
+    renderActivity(list, ["Limit orders unavailable"]);
+    return;
+  }
+
+  limitOrders = page.items;
+  renderLimitButton();
+  if(limitOrders.length == 0) {
+    renderActivity(list, ["No orders yet"]);
+    return;
+  }
+  list.replaceChildren(...limitOrders.map(renderLimitOrder));
+}
+
+var ORDER_STATUS_CLASSES = { open: "tx-pending", filled: "tx-confirmed", cancelled: "tx-failed", expired: "tx-failed" };
+
+/**
+ * Returns the listed token, or its raw address with 18 decimals when the
+ * order trades a token the token list does not have (e.g. an unlisted pool).
+ */
+function orderToken(tokenAddress) {
+  return findToken(tokenAddress) || { symbol: tokenAddress, decimals: 18 };
+}
+
+function renderLimitOrder(stored) {
+  const order = stored.order;
+  const tokenSold = orderToken(order.tokenIn);
+  const tokenBought = orderToken(order.tokenOut);
+  const item = document.createElement("li");
+
+  const description = document.createElement("span");
+  description.className = "limit-description";
+  description.textContent = "Sell " + formatAmount(BigInt(order.amountIn), tokenSold.decimals) + " " + tokenSold.symbol +
+    " for at least " + formatAmount(BigInt(order.amountOutMin), tokenBought.decimals) + " " + tokenBought.symbol;
+
+  const status = document.createElement("span");
+  status.className = "tx-status " + ORDER_STATUS_CLASSES[stored.status];
+  status.textContent = stored.status;
+
+  const details = document.createElement("span");
+  details.className = "limit-details";
+  if(stored.status == "filled") {
+    details.textContent = "Received " + formatAmount(BigInt(stored.amountOut), tokenBought.decimals) + " " + tokenBought.symbol;
+  } else if(stored.status == "open") {
+    details.textContent = "Expires " + new Date(Number(order.expiry) * 1000).toLocaleString() +
+      (stored.error ? " · last fill failed: " + stored.error : "");
+  } else {
+    details.textContent = new Date((stored.updatedAt || stored.createdAt) * 1000).toLocaleString();
+  }
+
+  item.append(description, status, details);
+  if(stored.status == "open") {
+    const cancel = document.createElement("button");
+    cancel.textContent = "Cancel";
+    cancel.title = "Use the order's nonce on-chain, its signature can no longer be filled";
+    cancel.onclick = function() {
+      const executorInstance = new web3.eth.Contract(executor_abi, executor_address);
+      return sendTransaction(executorInstance.methods.cancel(order.nonce), "Cancel limit order", refreshLimitOrders);
+    };
+    item.appendChild(cancel);
+  }
+  return item;
+}
@@ -0,0 +1,357 @@
+  /////////////////////////// Pool: add and remove liquidity
+
+var goldAllowance = 0n;
+var silverAllowance = 0n;
+
+// Decimals of the GSLP token, read from the pool when the app starts
+var lpDecimals = 18;
+
+// GSLP locked by SimpleSwap on the first deposit of an empty pool
+var MINIMUM_LIQUIDITY = 1000n;
+
+// Days of indexed swaps the LP APR estimate is based on
+var APR_DAYS = 7;
+
+
+/**
+ * Reads the pool reserves and the GSLP total supply in a single snapshot.
+ */
+async function poolState() {
+  const reserveGold = BigInt(await swapInstance.methods.reserveGold().call());
+  const reserveSilver = BigInt(await swapInstance.methods.reserveSilver().call());
+  const totalSupply = BigInt(await swapInstance.methods.totalSupply().call());
+  return { reserveGold, reserveSilver, totalSupply };
+}
+
+/**
+ * Mirrors SimpleSwap.addLiquidity: the desired amounts are trimmed to the
+ * pool ratio and the LP tokens minted are the smaller of both proportions.
+ * The first deposit of an empty pool takes both amounts and mints their sum,
+ * less the MINIMUM_LIQUIDITY the pool locks.
+ */
+function previewAddLiquidity(state, goldDesired, silverDesired) {
+  if(state.totalSupply == 0n) {
+    const sum = goldDesired + silverDesired;
+    const liquidity = sum > MINIMUM_LIQUIDITY ? sum - MINIMUM_LIQUIDITY : 0n;
+    return { amountGold: goldDesired, amountSilver: silverDesired, liquidity };
+  }
+
+  let amountGold;
+  let amountSilver;
+
+  const silverOptimal = (goldDesired * state.reserveSilver) / state.reserveGold;
+  if(silverOptimal <= silverDesired) {
+    amountGold = goldDesired;
+    amountSilver = silverOptimal;
+  } else {
+    amountGold = (silverDesired * state.reserveGold) / state.reserveSilver;
+    amountSilver = silverDesired;
+  }
+
+  const byGold = (amountGold * state.totalSupply) / state.reserveGold;
+  const bySilver = (amountSilver * state.totalSupply) / state.reserveSilver;
+  const liquidity = byGold < bySilver ? byGold : bySilver;
+
+  return { amountGold, amountSilver, liquidity };
+}
+
+/**
+ * Mirrors SimpleSwap.removeLiquidity: burned LP tokens are paid out
+ * proportionally from both reserves.
+ */
+function previewRemoveLiquidity(state, liquidity) {
+  if(state.totalSupply == 0n) {
+    return { amountGold: 0n, amountSilver: 0n };
+  }
+  return {
+    amountGold: (liquidity * state.reserveGold) / state.totalSupply,
+    amountSilver: (liquidity * state.reserveSilver) / state.totalSupply
+  };
+}
+
+async function refreshPosition() {
+  if(address == "Conectar") {
+    ["pool-lp-balance", "pool-lp-removable", "pool-gold-worth", "pool-silver-worth"].forEach(function(id) {
+      document.getElementById(id).innerHTML = "0";
+    });
+    document.getElementById("pool-share").innerHTML = "0%";
+    document.getElementById("pool-remove-submit").innerHTML = "Connect wallet";
+    renderAddButton();
+    return;
+  }
+  document.getElementById("pool-remove-submit").innerHTML = "Remove liquidity";
+
+  const state = await poolState();
+  const balance = BigInt(await swapInstance.methods.balanceOf(address).call());
+  const deposited = BigInt(await swapInstance.methods.liquidities(address).call());
+  const worth = previewRemoveLiquidity(state, balance);
+
+  document.getElementById("pool-lp-balance").innerHTML = formatAmount(balance, lpDecimals);
+  document.getElementById("pool-lp-removable").innerHTML = formatAmount(balance < deposited ? balance : deposited, lpDecimals);
+  document.getElementById("pool-share").innerHTML = formatShare(balance, state.totalSupply);
+  document.getElementById("pool-gold-worth").innerHTML = formatAmount(worth.amountGold, goldToken().decimals);
+  document.getElementById("pool-silver-worth").innerHTML = formatAmount(worth.amountSilver, silverToken().decimals);
+
+  await poolAllowances();
+}
+
+/**
+ * Shows the swap fee of the Gold/Silver pool and the LP APR estimate.
+ */
+async function refreshPoolStats() {
+  const feeBps = BigInt(await swapInstance.methods.feeBps().call());
+  const protocolFeeBps = BigInt(await swapInstance.methods.protocolFeeBps().call());
+  document.getElementById("pool-fee").innerHTML = formatBps(feeBps);
+  document.getElementById("pool-apr").innerHTML = await estimateApr(protocolFeeBps);
+}
+
+/**
+ * Estimates the yearly return of the LPs from the fees of the last APR_DAYS
+ * days of indexed swaps, valued in Gold at the current reserves.
+ */
+async function estimateApr(protocolFeeBps) {
+  let days;
+  try {
+    const response = await fetch("/api/volume");
+    if(!response.ok) {
+      throw new Error(response.statusText);
+    }
+    days = await response.json();
+  } catch (err) {
+    return "-";
+  }
+
+  const state = await poolState();
+  if(state.reserveGold == 0n || state.reserveSilver == 0n) {
+    return "-";
+  }
+
+  const since = new Date(Date.now() - (APR_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+  let feeGold = 0n;
+  let feeSilver = 0n;
+  days.filter(function(day) { return day.day >= since; }).forEach(function(day) {
+    feeGold += BigInt(day.feeGold);
+    feeSilver += BigInt(day.feeSilver);
+  });
+
+  // The LPs keep the fee minus the protocol share, the pool holds as much value in Silver as in Gold
+  const fees = feeGold + feeSilver * state.reserveGold / state.reserveSilver;
+  const lpFees = fees * (10000n - protocolFeeBps) / 10000n;
+  const aprBps = lpFees * 365n * 10000n / (BigInt(APR_DAYS) * 2n * state.reserveGold);
+  return formatBps(aprBps);
+}
+
+async function poolAllowances() {
+  const goldInstance = new web3.eth.Contract(gold_abi, gold_address);
+  const silverInstance = new web3.eth.Contract(silver_abi, silver_address);
+  goldAllowance = BigInt(await goldInstance.methods.allowance(address, exchange_address).call());
+  silverAllowance = BigInt(await silverInstance.methods.allowance(address, exchange_address).call());
+  renderAddButton();
+}
+
+async function setAddPreview() {
+  const goldDesired = readAmount("pool-gold-in", goldToken().decimals);
+  const silverDesired = readAmount("pool-silver-in", silverToken().decimals);
+  const preview = document.getElementById("pool-add-preview");
+
+  if(goldDesired == 0n || silverDesired == 0n) {
+    preview.innerHTML = "-";
+    renderAddButton();
+    return;
+  }
+
+  const state = await poolState();
+  const result = previewAddLiquidity(state, goldDesired, silverDesired);
+  preview.innerHTML =
+    formatAmount(result.amountGold, goldToken().decimals) + " GOLD + " +
+    formatAmount(result.amountSilver, silverToken().decimals) + " SILVER → " +
+    formatAmount(result.liquidity, lpDecimals) + " GSLP";
+  renderAddButton();
+}
+
+async function setRemovePreview() {
+  const liquidity = readAmount("pool-lp-in", lpDecimals);
+  const preview = document.getElementById("pool-remove-preview");
+
+  if(liquidity == 0n) {
+    preview.innerHTML = "-";
+    return;
+  }
+
+  const state = await poolState();
+  const result = previewRemoveLiquidity(state, liquidity);
+  preview.innerHTML =
+    formatAmount(liquidity, lpDecimals) + " GSLP → " +
+    formatAmount(result.amountGold, goldToken().decimals) + " GOLD + " +
+    formatAmount(result.amountSilver, silverToken().decimals) + " SILVER";
+}
+
+async function handleAddLiquidity() {
+  if(!requireAccount()) {
+    return;
+  }
+  const goldDesired = readAmount("pool-gold-in", goldToken().decimals);
+  const silverDesired = readAmount("pool-silver-in", silverToken().decimals);
+  if(goldDesired == 0n || silverDesired == 0n) {
+    showToast("Enter both amounts", "red");
+    return;
+  }
+
+  await poolAllowances();
+  const result = previewAddLiquidity(await poolState(), goldDesired, silverDesired);
+  const addDeadline = deadline();
+
+  if((goldAllowance < goldDesired || silverAllowance < silverDesired) && permitsLiquidity()) {
+    // Both signatures replace the approve transactions
+    let goldPermit;
+    let silverPermit;
+    try {
+      goldPermit = await signPermit(findToken(gold_address), exchange_address, goldDesired, addDeadline);
+      silverPermit = await signPermit(findToken(silver_address), exchange_address, silverDesired, addDeadline);
+    } catch (err) {
+      showToast("Permit not signed", "red");
+      return;
+    }
+    sendPoolTransaction(swapInstance.methods.addLiquidityWithPermit(
+      gold_address,
+      silver_address,
+      goldDesired,
+      silverDesired,
+      applySlippage(result.amountGold),
+      applySlippage(result.amountSilver),
+      address,
+      addDeadline,
+      goldPermit,
+      silverPermit
+    ), "Add liquidity");
+    return;
+  }
+
+  if(goldAllowance < goldDesired) {
+    const goldInstance = new web3.eth.Contract(gold_abi, gold_address);
+    sendPoolTransaction(goldInstance.methods.approve(exchange_address, goldDesired), "Approve GLD");
+    return;
+  }
+
+  if(silverAllowance < silverDesired) {
+    const silverInstance = new web3.eth.Contract(silver_abi, silver_address);
+    sendPoolTransaction(silverInstance.methods.approve(exchange_address, silverDesired), "Approve SLV");
+    return;
+  }
+
+  sendPoolTransaction(swapInstance.methods.addLiquidity(
+    gold_address,
+    silver_address,
+    goldDesired,
+    silverDesired,
+    applySlippage(result.amountGold),
+    applySlippage(result.amountSilver),
+    address,
+    addDeadline
+  ), "Add liquidity");
+}
+
+async function handleRemoveLiquidity() {
+  if(!requireAccount()) {
+    return;
+  }
+  const liquidity = readAmount("pool-lp-in", lpDecimals);
+  if(liquidity == 0n) {
+    showToast("Enter the GSLP to burn", "red");
+    return;
+  }
+
+  const deposited = BigInt(await swapInstance.methods.liquidities(address).call());
+  if(liquidity > deposited) {
+    showToast("Only " + formatAmount(deposited, lpDecimals) + " GSLP can be removed", "red");
+    return;
+  }
+
+  const result = previewRemoveLiquidity(await poolState(), liquidity);
+
+  sendPoolTransaction(swapInstance.methods.removeLiquidity(
+    gold_address,
+    silver_address,
+    liquidity,
+    applySlippage(result.amountGold),
+    applySlippage(result.amountSilver),
+    address,
+    deadline()
+  ), "Remove " + formatAmount(liquidity, lpDecimals) + " GSLP");
+}
+
+function sendPoolTransaction(method, description) {
+  return sendTransaction(method, description, async function() {
+      await refreshBalances();
+      await setPrice();
+      await refreshPosition();
+      await refreshPoolStats();
+      await setAddPreview();
+      await setRemovePreview();
+  });
+}
+
+function renderAddButton() {
+  const goldDesired = readAmount("pool-gold-in", goldToken().decimals);
+  const silverDesired = readAmount("pool-silver-in", silverToken().decimals);
+  // With permit support both tokens are approved by signatures when adding
+  const approving = !permitsLiquidity();
+  let label = "Add liquidity";
+  if(address == "Conectar") {
+    label = "Connect wallet";
+  } else if(approving && goldAllowance < goldDesired) {
+    label = "Approve Gold";
+  } else if(approving && silverAllowance < silverDesired) {
+    label = "Approve Silver";
+  }
+  document.getElementById("pool-add-submit").innerHTML = label;
+}
+
+/**
+ * Whether Gold and Silver can both be approved with a permit signature.
+ */
+function permitsLiquidity() {
+  return Boolean(goldToken().permit && silverToken().permit);
+}
+
+/**
+ * Fills a pool input with the whole Gold or Silver balance, or the removable GSLP.
+ */
+async function setPoolMax(id) {
+  if(address == "Conectar") {
+    return;
+  }
+  const input = document.getElementById(id);
+
+  if(id == "pool-lp-in") {
+    const balance = BigInt(await swapInstance.methods.balanceOf(address).call());
+    const deposited = BigInt(await swapInstance.methods.liquidities(address).call());
+    input.value = formatUnits(balance < deposited ? balance : deposited, lpDecimals);
+    await setRemovePreview();
+    return;
+  }
+
+  const token = id == "pool-gold-in" ? goldToken() : silverToken();
+  input.value = formatUnits(tokenBalance(token.address), token.decimals);
+  await setAddPreview();
+}
+
+function goldToken() {
+  return findToken(gold_address);
+}
+
+function silverToken() {
+  return findToken(silver_address);
+}
+
+function readAmount(id, decimals) {
+  return parseUnits(document.getElementById(id).value, decimals);
+}
+
+function formatShare(balance, totalSupply) {
+  if(totalSupply == 0n) {
+    return "0%";
+  }
+  // Two decimals of a percentage
+  return (Number((balance * 10000n) / totalSupply) / 100).toFixed(2) + "%";
+}
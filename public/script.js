@@ -1,8 +1,3 @@
-var amount0=0;
-var amount1=1;
-var P0=0.1;// precio
-var P1=10;// Precio de BNB
-
 var buyOrApprove = 0;
 
 var web3;
@@ -10,153 +5,734 @@ var web3;
 var address="Conectar";
 var swapInstance;
 
+// Addresses of the deployment on the wallet's current chain, see useDeployment()
+var exchange_address;
+var gold_address;
+var silver_address;
+var factory_address;
+var executor_address;
+
+// Pools listed by the factory registry and the tokens they trade, see loadRegistry()
+var pools = [];
+var tokens = [];
+
+// Tokens on each side of the swap box, flipped with the arrow between the two inputs
+var tokenInAddress;
+var tokenOutAddress;
+
+// Pool of the selected pair and its contract, null when the pair has no pool
+var pair = null;
+var pairInstance = null;
+
+// Swap fee of the selected pool in basis points, taken from the input amount
+var pairFeeBps = 0n;
+
+// Field of the swap box the user typed in: "exactIn" for the input amount, "exactOut" for the output
+var swapMode = "exactIn";
+
+// Side of the swap box the token selector is open for, "in" or "out"
+var selectorSide = "in";
+
+// Icons of the known tokens by symbol, other tokens are listed without one
+var TOKEN_LOGOS = { GLD: "./gold.png", SLV: "./silver.png", USDT: "./USDT.png", ALEPH: "./Aleph.png" };
+
+// Minutes from now before a submitted swap is rejected by the contract
+var DEADLINE_MINUTES = 5;
+
+// How often the price and the quote are refreshed from the pool reserves
+var QUOTE_REFRESH_MS = 15000;
+
+// Whether the last refresh failed, its banner is taken down once the pool answers again
+var quoteRefreshFailed = false;
+
+// Balance of the connected account in every listed token, by lowercase address
+var balances = {};
+
+// Decimals shown for balances and amounts, inputs and Max keep every decimal
+var DISPLAY_DECIMALS = 6;
+
+// Milliseconds a toast stays on screen by default
+var TOAST_MS = 3000;
+var toastTimer;
+
 
 init();
-var isConnected = obtenerValorDeLocalStorage("SwapConected");
-if(isConnected=="true"){
-	connect();
-}
 
 async function init() {
     // inyectar proveedor a web3
     // instanciar contratos
-    // leer precio P1
-    web3 = new Web3(window.ethereum);
-    swapInstance = new web3.eth.Contract(exchange_abi, exchange_address);
-    P0 = await swapInstance.methods.getPrice(silver_address, gold_address).call();
-    P1 = Number(P0);
-    P0 = P1;
-    document.getElementById("swap-price").innerHTML = P0;
-    //alert(P0)
-}
+    // Without a wallet the app reads through the read-only RPC until one is connected
+    activeWallet = chooseWallet();
+    if(activeWallet) {
+      web3 = new Web3(activeWallet.provider);
+      watchWallet(activeWallet.provider);
+    } else {
+      web3 = new Web3(readOnlyRpcUrl());
+    }
 
+    let chainId;
+    try {
+      chainId = Number(await web3.eth.getChainId());
+    } catch (err) {
+      showNetworkBanner(activeWallet ? "The wallet could not be reached" : "No wallet found and the read-only RPC is unavailable", []);
+      return;
+    }
+    if(!useDeployment(chainId)) {
+      if(activeWallet) {
+        showWrongNetwork(chainId);
+      } else {
+        showNetworkBanner("SimpleSwap is not deployed on the read-only RPC's chain " + chainId, []);
+      }
+      return;
+    }
+    if(!activeWallet) {
+      showReadOnly();
+    }
 
-async function connect()
-{
-    //alert("conectar. Obtener address metamask");
-    //address = "0x98402384209348209348230948230942";
-    await window.ethereum.request({"method": "eth_requestAccounts", "params": []});
-    const account = await web3.eth.getAccounts();
+    // Nothing can be traded with the pools half loaded, the page waits for a reload
+    try {
+      swapInstance = new web3.eth.Contract(exchange_abi, exchange_address);
+      lpDecimals = Number(await swapInstance.methods.decimals().call());
+      await loadRegistry();
+      tokenInAddress = silver_address;
+      tokenOutAddress = gold_address;
+      await selectPair();
+      await refreshPoolStats();
+      await refreshActivity();
+    } catch (err) {
+      showUnreachable("The pools could not be read from chain " + chainId);
+      return;
+    }
+    setInterval(refreshQuote, QUOTE_REFRESH_MS);
+    await restoreSession();
+}
 
-    address = account[0];
 
 
-    document.getElementById('account').innerHTML=address.toString().slice(0,6)+"...";
+async function handleSubmit() {
+    // acá la aprobacion y compra.
+    if(!requireAccount()) {
+      return;
+    }
+    if(!pairInstance) {
+      showToast("There is no pool for " + tokenIn().symbol + "/" + tokenOut().symbol, "red");
+      return;
+    }
+
+    const amountIn = readAmountIn();
+    const amountOut = readAmountOut();
+    if(amountIn == 0n || amountOut == 0n) {
+      showToast("Enter an amount to swap", "red");
+      return;
+    }
 
-    await setBalanceGold();
-    await setBalanceSilver();
     await allowance();
 
-    if(buyOrApprove==0) {
-      document.getElementById('swap-submit').innerHTML = "approve";
+    if(buyOrApprove >= spendLimit() || tokenIn().permit) {
+      const swapDeadline = deadline();
+
+      // Quote again right before sending so the guard uses the latest reserves
+      let name;
+      let args;
+      let description;
+      if(swapMode == "exactIn") {
+        name = "swapExactTokensForTokens";
+        args = [amountIn, applySlippage(await quote(amountIn)), swapPath(), address, swapDeadline];
+        description = "Swap " + formatAmount(amountIn, tokenIn().decimals) + " " + tokenIn().symbol + " for " + tokenOut().symbol;
+      } else {
+        const quotedIn = await quoteIn(amountOut);
+        if(quotedIn === null) {
+          showToast("The pool does not have " + formatAmount(amountOut, tokenOut().decimals) + " " + tokenOut().symbol, "red");
+          return;
+        }
+        name = "swapTokensForExactTokens";
+        args = [amountOut, applySlippageMax(quotedIn), swapPath(), address, swapDeadline];
+        description = "Buy " + formatAmount(amountOut, tokenOut().decimals) + " " + tokenOut().symbol + " with " + tokenIn().symbol;
+      }
+
+      // The most the swap can take from the account: amountIn or amountInMax
+      const spend = swapMode == "exactIn" ? args[0] : args[1];
+
+      let method;
+      if(buyOrApprove >= spend) {
+        method = pairInstance.methods[name](...args);
+      } else {
+        // The signature replaces the approve transaction
+        let permit;
+        try {
+          permit = await signPermit(tokenIn(), pair.address, spend, swapDeadline);
+        } catch (err) {
+          showToast("Permit not signed", "red");
+          return;
+        }
+        method = pairInstance.methods[name + "WithPermit"](...args, permit);
+      }
+
+      await sendTransaction(method, description, async function() {
+          await refreshBalances();
+          await allowance();
+          await setPrice();
+      });
+    } else {
+      const tokenInInstance = new web3.eth.Contract(tokenIn().abi, tokenIn().address);
+      await sendTransaction(tokenInInstance.methods.approve(pair.address, spendLimit()), "Approve " + tokenIn().symbol, allowance);
     }
+
 }
 
+/**
+ * Reads the connected account's balance of every listed token.
+ */
+async function refreshBalances() {
+  if(address == "Conectar") {
+    return;
+  }
+  for(const token of tokens) {
+    const tokenInstance = new web3.eth.Contract(token.abi, token.address);
+    balances[token.address.toLowerCase()] = BigInt(await tokenInstance.methods.balanceOf(address).call());
+  }
+  renderBalances();
+  renderTokenList();
+}
 
-async function handleSubmit() {
-    // acá la aprobacion y compra.
-    const AmountToBuy = document.querySelector("#form > input.IHAVE").value;
-
-    if(buyOrApprove!=0) {
-      swapInstance.methods.swapExactTokensForTokens(
-        Number(AmountToBuy), 
-        Number(AmountToBuy)/2,
-        [silver_address, gold_address],
-        address,
-        9999999999999999999
-      ).send({from: address})
-          .on('transactionHash', function(hash){
-              showToast("transactionHash: "+hash, "orange");
-          })
-          .on('confirmation', function(confirmationNumber, receipt){
-              console.log(confirmationNumber);
-          })
-          .on('receipt', async function(receipt){
-              console.log(receipt);
-              showToast("transaccion correcta", "green");
-              await setBalanceGold();
-              await setBalanceSilver();
-          })      
-    } else {
-      usdtInstance = new web3.eth.Contract(usdt_abi, usdt_address);
-      usdtInstance.methods.approve(exchange_address,AmountToBuy).send({from: address})
-          .on('transactionHash', function(hash){
-              showToast("transactionHash: "+hash, "orange");
-          })
-          .on('confirmation', function(confirmationNumber, receipt){
-              console.log(confirmationNumber);
-          })
-          .on('receipt', async function(receipt){
-              console.log(receipt);
-              showToast("transaccion correcta", "green");
-              await allowance();
-              if(buyOrApprove==0) {
-                document.getElementById('swap-submit').innerHTML = "Approve";
-              } else {
-                document.getElementById('swap-submit').innerHTML = "Swapp";
-              }
-          }) 
+async function allowance() {
+  if(!pair || address == "Conectar") {
+    buyOrApprove = 0n;
+    renderSubmitButton();
+    return;
+  }
+  const tokenInInstance = new web3.eth.Contract(tokenIn().abi, tokenIn().address);
+  buyOrApprove = BigInt(await tokenInInstance.methods.allowance(address, pair.address).call());
+  renderSubmitButton();
+}
+
+/**
+ * Shows the spot price of the internal reserves the swaps use and the price
+ * chart. The balances getPrice reads can be moved by a plain transfer.
+ */
+async function setPrice() {
+  if(!pairInstance) {
+    document.getElementById("swap-price").innerHTML =
+      "No pool for " + tokenIn().symbol + "/" + tokenOut().symbol;
+    await refreshPriceChart();
+    return;
+  }
+  const reserveGold = BigInt(await pairInstance.methods.reserveGold().call());
+  const reserveSilver = BigInt(await pairInstance.methods.reserveSilver().call());
+  const goldIn = sameAddress(tokenInAddress, pair.gold);
+  const reserveIn = goldIn ? reserveGold : reserveSilver;
+  const reserveOut = goldIn ? reserveSilver : reserveGold;
+
+  document.getElementById("swap-price").innerHTML = reserveIn == 0n ? "-" :
+    "1 " + tokenIn().symbol + " = " + formatPrice(pairPrice(reserveOut * 10n ** 18n / reserveIn)) + " " + tokenOut().symbol;
+  await refreshPriceChart();
+}
+
+
+/**
+ * Points the app at the contracts deployed on the given chain, as listed in
+ * the generated contracts.js. Returns false when there is no deployment.
+ */
+function useDeployment(chainId) {
+  const deployment = deployments[chainId];
+  if(!deployment) {
+    return false;
+  }
+  exchange_address = deployment.exchange_address;
+  gold_address = deployment.gold_address;
+  silver_address = deployment.silver_address;
+  factory_address = deployment.factory_address;
+  executor_address = deployment.executor_address;
+  return true;
+}
+
+
+
+  /////////////////////////// Token list, from the pool factory registry
+
+/**
+ * Lists every pool of the factory and the tokens they trade. Chains deployed
+ * without a factory only list the Gold/Silver pool.
+ */
+async function loadRegistry() {
+  let poolAddresses = [];
+  if(factory_address) {
+    const factoryInstance = new web3.eth.Contract(factory_abi, factory_address);
+    poolAddresses = await factoryInstance.methods.getPools().call();
+  }
+  if(!poolAddresses.some(function(poolAddress) { return sameAddress(poolAddress, exchange_address); })) {
+    poolAddresses = [exchange_address].concat(poolAddresses);
+  }
+
+  pools = [];
+  tokens = [];
+  for(const poolAddress of poolAddresses) {
+    const poolInstance = new web3.eth.Contract(exchange_abi, poolAddress);
+    const pool = {
+      address: poolAddress,
+      gold: await poolInstance.methods.goldToken().call(),
+      silver: await poolInstance.methods.silverToken().call()
+    };
+    pools.push(pool);
+
+    for(const tokenAddress of [pool.gold, pool.silver]) {
+      if(!findToken(tokenAddress)) {
+        tokens.push(await loadToken(tokenAddress));
+      }
     }
+  }
+}
 
+async function loadToken(tokenAddress) {
+  const tokenInstance = new web3.eth.Contract(token_abi, tokenAddress);
+  const symbol = await tokenInstance.methods.symbol().call();
+  return {
+    name: await tokenInstance.methods.name().call(),
+    symbol: symbol,
+    decimals: Number(await tokenInstance.methods.decimals().call()),
+    logo: TOKEN_LOGOS[symbol] || "",
+    address: tokenAddress,
+    abi: token_abi,
+    permit: await permitDomain(tokenAddress)
+  };
 }
 
+function findToken(tokenAddress) {
+  return tokens.find(function(token) { return sameAddress(token.address, tokenAddress); });
+}
 
-async function setBalanceGold() {
-  goldInstance = new web3.eth.Contract(gold_abi, gold_address);
-  const balanceGold = await goldInstance.methods.balanceOf(address).call();
-  document.getElementById("balanceGold").innerHTML = balanceGold;
+/**
+ * Returns the pool trading both tokens, in any order, or undefined when there is none.
+ */
+function findPool(tokenA, tokenB) {
+  return pools.find(function(pool) {
+    return (sameAddress(pool.gold, tokenA) && sameAddress(pool.silver, tokenB)) ||
+      (sameAddress(pool.gold, tokenB) && sameAddress(pool.silver, tokenA));
+  });
 }
 
-async function setBalanceSilver() {
-  silverInstance = new web3.eth.Contract(silver_abi, silver_address);
-  const balanceSilver = await silverInstance.methods.balanceOf(address).call();
-  document.getElementById("balanceSilver").innerHTML = balanceSilver;
+function tokenBalance(tokenAddress) {
+  return balances[tokenAddress.toLowerCase()] || 0n;
 }
 
-async function allowance() {
-  goldInstance = new web3.eth.Contract(silver_abi, silver_address);
-  const allowed = await goldInstance.methods.allowance(address,exchange_address).call();
-  buyOrApprove = allowed;
+function openTokenSelector(side) {
+  selectorSide = side;
+  renderTokenList();
+  document.getElementById("token-selector").classList.add("show");
+}
+
+function closeTokenSelector() {
+  document.getElementById("token-selector").classList.remove("show");
+}
+
+async function selectToken(tokenAddress) {
+  const otherAddress = selectorSide == "in" ? tokenOutAddress : tokenInAddress;
+
+  if(sameAddress(tokenAddress, otherAddress)) {
+    // Picking the token of the other side flips the direction
+    [tokenInAddress, tokenOutAddress] = [tokenOutAddress, tokenInAddress];
+  } else if(selectorSide == "in") {
+    tokenInAddress = tokenAddress;
+  } else {
+    tokenOutAddress = tokenAddress;
+  }
+
+  closeTokenSelector();
+  await selectPair();
+}
+
+function renderTokenList() {
+  const list = document.getElementById("token-list");
+  list.innerHTML = "";
+
+  tokens.forEach(function(token) {
+    const item = document.createElement("li");
+    item.onclick = function() { selectToken(token.address); };
+
+    const logo = document.createElement("img");
+    logo.className = "logo alineadoTextoImagenCentro";
+    logo.src = token.logo;
+    logo.hidden = !token.logo;
+
+    const symbol = document.createElement("span");
+    symbol.className = "token";
+    symbol.textContent = token.symbol;
+
+    const name = document.createElement("span");
+    name.className = "token-name";
+    name.textContent = token.name;
+
+    const balance = document.createElement("span");
+    balance.className = "balance";
+    balance.textContent = address == "Conectar" ? "" : formatAmount(tokenBalance(token.address), token.decimals);
+
+    item.append(logo, symbol, name, balance);
+    list.appendChild(item);
+  });
+}
+
+
+
+  /////////////////////////// Swap direction and quotes
+
+function tokenIn() {
+  return findToken(tokenInAddress);
+}
+
+function tokenOut() {
+  return findToken(tokenOutAddress);
+}
+
+function swapPath() {
+  return [tokenIn().address, tokenOut().address];
+}
+
+/**
+ * Points the swap box at the pool of the selected tokens.
+ */
+async function selectPair() {
+  pair = findPool(tokenInAddress, tokenOutAddress) || null;
+  pairInstance = pair ? new web3.eth.Contract(exchange_abi, pair.address) : null;
+  pairFeeBps = pair ? BigInt(await pairInstance.methods.feeBps().call()) : 0n;
+  renderDirection();
+  await setPrice();
+  await updateQuote();
+  if(address != "Conectar") {
+    await allowance();
+  }
+}
+
+async function toggleDirection() {
+  [tokenInAddress, tokenOutAddress] = [tokenOutAddress, tokenInAddress];
+  await selectPair();
+}
+
+/**
+ * Reads the reserves of the selected pool as input and output reserves.
+ */
+async function pairReserves() {
+  const reserveGold = BigInt(await pairInstance.methods.reserveGold().call());
+  const reserveSilver = BigInt(await pairInstance.methods.reserveSilver().call());
+  // The pool's "Gold" is the first token of its pair
+  const goldIn = sameAddress(tokenInAddress, pair.gold);
+  return {
+    reserveIn: goldIn ? reserveGold : reserveSilver,
+    reserveOut: goldIn ? reserveSilver : reserveGold
+  };
+}
+
+/**
+ * Quotes the output of a swap with the same constant product formula the
+ * contract applies, using the pool's current internal reserves.
+ */
+async function quote(amountIn) {
+  const reserves = await pairReserves();
+  return BigInt(await pairInstance.methods.getAmountOut(amountIn, reserves.reserveIn, reserves.reserveOut).call());
+}
+
+/**
+ * Quotes the input of an exact output swap with getAmountIn, or null when
+ * the pool does not have that much of the output token.
+ */
+async function quoteIn(amountOut) {
+  const reserves = await pairReserves();
+  if(amountOut >= reserves.reserveOut || reserves.reserveIn == 0n) {
+    return null;
+  }
+  return BigInt(await pairInstance.methods.getAmountIn(amountOut, reserves.reserveIn, reserves.reserveOut).call());
+}
+
+async function setValueTokenToSpend() {
+  swapMode = "exactIn";
+  await updateQuote();
+}
+
+async function setValueTokenToReceive() {
+  swapMode = "exactOut";
+  await updateQuote();
+}
+
+/**
+ * Recomputes the field the user did not type in, and the slippage bound of
+ * the swap: the minimum received of an exact input swap or the maximum sold
+ * of an exact output swap.
+ */
+async function updateQuote() {
+  const exactIn = swapMode == "exactIn";
+  const typed = exactIn ? readAmountIn() : readAmountOut();
+  const computed = document.getElementsByClassName(exactIn ? "IWANT" : "IHAVE")[0];
+  const limit = document.getElementById("swap-limit");
+  const fee = document.getElementById("swap-fee");
+  document.getElementById("swap-limit-label").innerHTML = exactIn ? "Minimum received" : "Maximum sold";
+
+  if(typed == 0n || !pairInstance) {
+    computed.value = "";
+    limit.innerHTML = "-";
+    fee.innerHTML = pairInstance ? formatBps(pairFeeBps) : "-";
+    renderSubmitButton();
+    return;
+  }
+
+  let amountIn = typed;
+  if(exactIn) {
+    const amountOut = await quote(amountIn);
+    computed.value = formatUnits(amountOut, tokenOut().decimals);
+    limit.innerHTML = formatAmount(applySlippage(amountOut), tokenOut().decimals) + " " + tokenOut().symbol;
+  } else {
+    amountIn = await quoteIn(typed);
+    if(amountIn === null) {
+      computed.value = "";
+      limit.innerHTML = "Not enough liquidity";
+      fee.innerHTML = formatBps(pairFeeBps);
+      renderSubmitButton();
+      return;
+    }
+    computed.value = formatUnits(amountIn, tokenIn().decimals);
+    limit.innerHTML = formatAmount(applySlippageMax(amountIn), tokenIn().decimals) + " " + tokenIn().symbol;
+  }
+
+  // Same rounding as the fee reported by the TokensSwapped event
+  fee.innerHTML = formatAmount(amountIn * pairFeeBps / 10000n, tokenIn().decimals) + " " + tokenIn().symbol +
+    " (" + formatBps(pairFeeBps) + ")";
+  renderSubmitButton();
 }
 
+async function refreshQuote() {
+  try {
+    await setPrice();
+    await updateQuote();
+  } catch (err) {
+    quoteRefreshFailed = true;
+    showUnreachable("The pool could not be read, prices are not up to date");
+    return;
+  }
+  if(quoteRefreshFailed) {
+    quoteRefreshFailed = false;
+    hideNetworkBanner();
+    if(!activeWallet) {
+      showReadOnly();
+    }
+  }
+}
+
+function readAmountIn() {
+  return parseUnits(document.getElementsByClassName("IHAVE")[0].value, tokenIn().decimals);
+}
+
+function readAmountOut() {
+  return parseUnits(document.getElementsByClassName("IWANT")[0].value, tokenOut().decimals);
+}
+
+/**
+ * The most the swap can take from the account, the allowance it needs: the
+ * input amount, or the maximum sold of an exact output swap.
+ */
+function spendLimit() {
+  return swapMode == "exactIn" ? readAmountIn() : applySlippageMax(readAmountIn());
+}
+
+/**
+ * Fills the input amount with the whole balance of the input token.
+ */
+async function setMaxAmountIn() {
+  document.getElementsByClassName("IHAVE")[0].value = formatUnits(tokenBalance(tokenInAddress), tokenIn().decimals);
+  await setValueTokenToSpend();
+}
+
+/**
+ * Returns the slippage tolerance typed by the user in basis points.
+ * Falls back to 0.5% when the field is empty or out of the 0-50% range.
+ */
+function slippageBps() {
+  const percent = parseFloat(document.getElementById("slippage").value);
+  if(isNaN(percent) || percent < 0 || percent > 50) {
+    return 50n;
+  }
+  return BigInt(Math.round(percent * 100));
+}
+
+function applySlippage(amountOut) {
+  return amountOut * (10000n - slippageBps()) / 10000n;
+}
+
+function applySlippageMax(amountIn) {
+  return amountIn * (10000n + slippageBps()) / 10000n;
+}
+
+function deadline() {
+  return Math.floor(Date.now() / 1000) + DEADLINE_MINUTES * 60;
+}
+
+function renderDirection() {
+  document.getElementById("logoIn").src = tokenIn().logo;
+  document.getElementById("logoIn").hidden = !tokenIn().logo;
+  document.getElementById("logoOut").src = tokenOut().logo;
+  document.getElementById("logoOut").hidden = !tokenOut().logo;
+  document.getElementById("tokenInName").innerHTML = tokenIn().name;
+  document.getElementById("tokenOutName").innerHTML = tokenOut().name;
+  renderBalances();
+  renderLimitForm();
+}
+
+function renderBalances() {
+  document.getElementById("balanceIn").innerHTML = formatAmount(tokenBalance(tokenInAddress), tokenIn().decimals);
+  document.getElementById("limitBalanceIn").innerHTML = document.getElementById("balanceIn").innerHTML;
+  document.getElementById("balanceOut").innerHTML = formatAmount(tokenBalance(tokenOutAddress), tokenOut().decimals);
+}
+
+function renderSubmitButton() {
+  if(address == "Conectar") {
+    document.getElementById('swap-submit').innerHTML = "Connect wallet";
+    return;
+  }
+  const amountIn = readAmountIn();
+  const needsApproval = amountIn > 0n && buyOrApprove < spendLimit() && !tokenIn().permit;
+  document.getElementById('swap-submit').innerHTML = needsApproval ? "Approve " + tokenIn().name : "Swap";
+}
+
+
+
+  /////////////////////////// Permit signatures (EIP-2612)
+
+/**
+ * Returns the EIP-712 domain of a token that supports permit, or null when
+ * the token can only be approved with a transaction.
+ */
+async function permitDomain(tokenAddress) {
+  // Gold implements ERC20Permit, its ABI reads the permit of any token
+  const tokenInstance = new web3.eth.Contract(gold_abi, tokenAddress);
+  try {
+    const domain = await tokenInstance.methods.eip712Domain().call();
+    await tokenInstance.methods.nonces(tokenAddress).call();
+    return {
+      name: domain.name,
+      version: domain.version,
+      chainId: Number(domain.chainId),
+      verifyingContract: domain.verifyingContract
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Asks the wallet to sign a permit of the connected account for the spender,
+ * and returns it as the {v, r, s} struct the WithPermit functions take.
+ */
+async function signPermit(token, spender, value, permitDeadline) {
+  const tokenInstance = new web3.eth.Contract(gold_abi, token.address);
+  const nonce = await tokenInstance.methods.nonces(address).call();
+
+  const typedData = {
+    types: {
+      EIP712Domain: [
+        { name: "name", type: "string" },
+        { name: "version", type: "string" },
+        { name: "chainId", type: "uint256" },
+        { name: "verifyingContract", type: "address" }
+      ],
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    },
+    primaryType: "Permit",
+    domain: token.permit,
+    message: {
+      owner: address,
+      spender: spender,
+      value: value.toString(),
+      nonce: nonce.toString(),
+      deadline: permitDeadline.toString()
+    }
+  };
+
+  const signature = await activeWallet.provider.request({
+    "method": "eth_signTypedData_v4",
+    "params": [address, JSON.stringify(typedData)]
+  });
+  return {
+    v: parseInt(signature.slice(130, 132), 16),
+    r: signature.slice(0, 66),
+    s: "0x" + signature.slice(66, 130)
+  };
+}
 
 
 
   /////////////////////////// Funciones comunes
 
-function setValueTokenToSpend() {
-	amount0 = document.getElementsByClassName("IHAVE")[0].value;
-	amount0 = amount0 / 1;
-	amount1 = amount0/P1 ;
-	document.getElementsByClassName("IWANT")[0].value=amount1;
+// Prices are scaled by 1e18, shown with 6 significant digits
+function formatPrice(scaled) {
+  return Number((Number(scaled) / 1e18).toPrecision(6)).toString();
+}
+
+/**
+ * Converts a price between base units of the selected pair, scaled by 1e18,
+ * to a price between whole tokens (e.g. for USDT with 6 decimals and GLD with 18).
+ */
+function pairPrice(scaled) {
+  return scaled * 10n ** BigInt(tokenIn().decimals) / 10n ** BigInt(tokenOut().decimals);
+}
+
+function formatBps(bps) {
+  return (Number(bps) / 100) + "%";
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() == b.toLowerCase();
 }
 
-function showToast(address, color) {
+// Parses an amount typed in whole tokens (e.g. "1.5") into base units,
+// anything that is not a number with at most `decimals` decimals reads as 0
+function parseUnits(value, decimals) {
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(value.trim());
+  if(!match || (match[1] + (match[2] || "")) == "" || (match[2] || "").length > decimals) {
+    return 0n;
+  }
+  const fraction = (match[2] || "").padEnd(decimals, "0");
+  return BigInt(match[1] || "0") * 10n ** BigInt(decimals) + BigInt(fraction || "0");
+}
+
+// Formats base units as whole tokens with every decimal, e.g. 1500000n with 6 decimals is "1.5"
+function formatUnits(amount, decimals) {
+  const unit = 10n ** BigInt(decimals);
+  const fraction = (amount % unit).toString().padStart(decimals, "0").replace(/0+$/, "");
+  return (amount / unit).toString() + (fraction ? "." + fraction : "");
+}
+
+// Formats base units as whole tokens for display, cut to DISPLAY_DECIMALS decimals
+function formatAmount(amount, decimals) {
+  if(decimals > DISPLAY_DECIMALS) {
+    amount -= amount % 10n ** BigInt(decimals - DISPLAY_DECIMALS);
+  }
+  return formatUnits(amount, decimals);
+}
+
+function showToast(message, color, duration = TOAST_MS) {
 	var toast = document.getElementById("toast");
-	var addressLines = address.match(/.{1,20}/g); // Dividir la dirección en grupos de 6 caracteres
-  
-	toast.innerHTML = ""; // Limpiar el contenido del toast
-  
-	addressLines.forEach(function(line) {
-	  var lineElement = document.createElement("div");
-	  lineElement.textContent = line;
-	  toast.appendChild(lineElement);
-	});
-  
+	toast.textContent = message;
 	toast.style.backgroundColor = color;
+
+	// The fade out ends when the toast hides
+	toast.style.animationDelay = "0s, " + (duration / 1000 - 0.5) + "s";
 	toast.classList.add("show");
-	setTimeout(function(){
+	clearTimeout(toastTimer);
+	toastTimer = setTimeout(function(){
 	  toast.classList.remove("show");
-	}, 3000);
+	}, duration);
 }
 
 // Función para guardar un valor en localStorage
 function guardarValorEnLocalStorage(key, valor) {
 	localStorage.setItem(key, valor);
 }
-  
+
   // Función para obtener un valor de localStorage
 function obtenerValorDeLocalStorage(key) {
 	const valor = localStorage.getItem(key);
 	return valor !== null ? valor : "DE";
-}
\ No newline at end of file
+}
@@ -0,0 +1,361 @@
+  /////////////////////////// Transactions: simulated, sent, tracked and kept in the account's history
+
+// Transactions kept in each account's history, newest first
+var TX_HISTORY_SIZE = 20;
+
+// How often pending transactions are checked for a receipt or a replacement
+var TX_POLL_MS = 3000;
+
+// History of the connected account, see loadTransactions()
+var transactions = [];
+
+// Hashes of the pending transactions being polled, so a transaction is never polled twice
+var watching = {};
+
+// Clear messages for the revert reasons of SimpleSwap and the factory
+var REVERT_MESSAGES = {
+  "Transaction expired": "The deadline passed before the transaction was mined, try again",
+  "Slippage: insufficient output": "The price moved more than your slippage tolerance, try again or raise it",
+  "Slippage: excessive input": "The price moved more than your slippage tolerance, try again or raise it",
+  "Insufficient output amount": "The amount is too small to receive any tokens",
+  "Insufficient Gold amount": "The pool ratio moved, check the Gold amount and try again",
+  "Insufficient Silver amount": "The pool ratio moved, check the Silver amount and try again",
+  "Gold less than minimum": "The pool moved more than your slippage tolerance, try again or raise it",
+  "Silver less than minimum": "The pool moved more than your slippage tolerance, try again or raise it",
+  "Insufficient liquidity": "You can only remove the GSLP you added",
+  "Insufficient liquidity minted": "The amounts are too small to mint GSLP",
+  "Invalid reserves or amount": "The pool has no liquidity for this swap",
+  "Invalid token pair": "This pool does not trade these tokens",
+  "Order expired": "The limit order expired",
+  "Nonce already used": "The limit order was already filled or cancelled",
+  "Invalid signature": "The limit order was not signed by its maker"
+};
+
+// Clear messages for the custom errors of the ABIs, by error name
+var CUSTOM_ERROR_MESSAGES = {
+  ERC20InsufficientAllowance: "The allowance is too low, approve the token again",
+  ERC20InsufficientBalance: "Your token balance is too low",
+  ERC2612ExpiredSignature: "The permit signature expired, sign again",
+  ERC2612InvalidSigner: "The permit was not signed by this account",
+  InvalidAccountNonce: "The permit was already used, sign again",
+  ECDSAInvalidSignature: "The signature is invalid",
+  ECDSAInvalidSignatureLength: "The signature is invalid",
+  ECDSAInvalidSignatureS: "The signature is invalid",
+  SafeERC20FailedOperation: "The token transfer failed, check the balance and the allowance",
+  OwnableUnauthorizedAccount: "Only the owner can do this",
+  EnforcedPause: "The pool is paused by its owner, only removing liquidity works",
+  ExpectedPause: "The pool is not paused"
+};
+
+// Solidity panic codes, see Panic(uint256)
+var PANIC_MESSAGES = {
+  1: "Assertion failed",
+  17: "Arithmetic overflow or underflow",
+  18: "Division by zero",
+  50: "Array index out of bounds"
+};
+
+// Code of web3's TransactionNotFound error
+var TX_NOT_FOUND_CODE = 430;
+
+// Selector of the revert strings, Error(string)
+var ERROR_SELECTOR = "0x08c379a0";
+// Selector of the panics, Panic(uint256)
+var PANIC_SELECTOR = "0x4e487b71";
+
+renderTransactions();
+
+
+/**
+ * Simulates the call with eth_call, sends it and tracks it until it is
+ * confirmed, fails or is replaced. onConfirmed runs after a successful receipt.
+ */
+async function sendTransaction(method, description, onConfirmed) {
+  try {
+    await method.call({from: address});
+  } catch (err) {
+    showToast(decodeError(err), "red", 6000);
+    return;
+  }
+
+  const entry = {
+    hash: null,
+    from: address,
+    nonce: null,
+    description: description,
+    status: "pending",
+    reason: null,
+    time: Date.now()
+  };
+
+  // The nonce the wallet is about to use, so a transaction replaced before the
+  // node ever returned it is still detected. The watcher corrects it once seen.
+  try {
+    entry.nonce = Number(await web3.eth.getTransactionCount(address, "pending"));
+  } catch (err) {
+    // Left null, the watcher reads it from the transaction instead
+  }
+
+  method.send({from: address})
+      .on('transactionHash', function(hash){
+          entry.hash = hash;
+          saveTransaction(entry);
+          showToast(description + ": pending", "orange");
+          watchTransaction(entry, onConfirmed);
+      })
+      .catch(function(err){
+          // Once there is a hash the watcher reports the outcome
+          if(!entry.hash) {
+            showToast(decodeError(err), "red", 6000);
+          }
+      });
+}
+
+/**
+ * Polls a pending transaction until it has a receipt, or until its nonce was
+ * used by another transaction, e.g. a speed up or a cancel from the wallet.
+ */
+async function watchTransaction(entry, onConfirmed) {
+  if(watching[entry.hash]) {
+    return;
+  }
+  watching[entry.hash] = true;
+
+  while(entry.status == "pending") {
+    try {
+      await checkTransaction(entry, onConfirmed);
+    } catch (err) {
+      // A node that does not answer is asked again on the next poll
+    }
+    if(entry.status == "pending") {
+      await new Promise(function(resolve) { setTimeout(resolve, TX_POLL_MS); });
+    }
+  }
+  delete watching[entry.hash];
+}
+
+async function checkTransaction(entry, onConfirmed) {
+  const receipt = await findTransaction(web3.eth.getTransactionReceipt(entry.hash));
+  if(receipt) {
+    if(BigInt(receipt.status) == 1n) {
+      finishTransaction(entry, "confirmed", null);
+      if(onConfirmed) {
+        await onConfirmed(receipt);
+      }
+    } else {
+      finishTransaction(entry, "failed", await replayRevert(entry, receipt));
+    }
+    return;
+  }
+
+  const tx = await findTransaction(web3.eth.getTransaction(entry.hash));
+  if(tx) {
+    entry.nonce = Number(tx.nonce);
+    saveTransaction(entry);
+    return;
+  }
+
+  // Gone from the node: replaced once its nonce is used, otherwise not propagated yet
+  if(entry.nonce !== null && Number(await web3.eth.getTransactionCount(entry.from, "latest")) > entry.nonce) {
+    finishTransaction(entry, "replaced", null);
+  }
+}
+
+/**
+ * Resolves to null for a transaction or receipt the node does not know (yet).
+ */
+async function findTransaction(request) {
+  try {
+    return await request;
+  } catch (err) {
+    if(err.code == TX_NOT_FOUND_CODE) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Replays a reverted transaction at its block to read why it failed, the
+ * revert left the state it saw unchanged.
+ */
+async function replayRevert(entry, receipt) {
+  try {
+    const tx = await web3.eth.getTransaction(entry.hash);
+    await web3.eth.call({from: tx.from, to: tx.to, data: tx.input || tx.data}, receipt.blockNumber);
+    return "Reverted on chain";
+  } catch (err) {
+    return decodeError(err);
+  }
+}
+
+function finishTransaction(entry, status, reason) {
+  entry.status = status;
+  entry.reason = reason;
+  saveTransaction(entry);
+
+  if(status == "confirmed") {
+    showToast(entry.description + ": confirmed", "green");
+  } else if(status == "failed") {
+    showToast(entry.description + " failed: " + reason, "red", 6000);
+  } else {
+    showToast(entry.description + ": replaced in the wallet", "orange");
+  }
+}
+
+
+
+  /////////////////////////// Revert decoding
+
+/**
+ * Turns a wallet or node error into a message for the user: revert strings,
+ * panics and the custom errors of the ABIs are decoded from the revert data.
+ */
+function decodeError(err) {
+  if(findErrorCode(err) == 4001) {
+    return "Transaction rejected in the wallet";
+  }
+
+  const data = findRevertData(err);
+  if(!data || data == "0x") {
+    return err.message || "Transaction failed";
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  if(selector == ERROR_SELECTOR) {
+    const reason = web3.eth.abi.decodeParameter("string", "0x" + data.slice(10));
+    return REVERT_MESSAGES[reason] || reason;
+  }
+  if(selector == PANIC_SELECTOR) {
+    const code = Number(web3.eth.abi.decodeParameter("uint256", "0x" + data.slice(10)));
+    return PANIC_MESSAGES[code] || "Panic 0x" + code.toString(16);
+  }
+
+  const error = customErrors()[selector];
+  if(!error) {
+    return "Reverted with unknown error " + selector;
+  }
+  if(CUSTOM_ERROR_MESSAGES[error.name]) {
+    return CUSTOM_ERROR_MESSAGES[error.name];
+  }
+  const args = web3.eth.abi.decodeParameters(error.inputs, "0x" + data.slice(10));
+  return error.name + "(" + error.inputs.map(function(input) { return args[input.name]; }).join(", ") + ")";
+}
+
+/**
+ * Custom errors of every ABI in contracts.js, by selector.
+ */
+function customErrors() {
+  const errors = {};
+  [exchange_abi, gold_abi, silver_abi, factory_abi, executor_abi, token_abi].forEach(function(abi) {
+    abi.filter(function(item) { return item.type == "error"; }).forEach(function(item) {
+      const signature = item.name + "(" + item.inputs.map(function(input) { return input.type; }).join(",") + ")";
+      errors[web3.eth.abi.encodeFunctionSignature(signature)] = item;
+    });
+  });
+  return errors;
+}
+
+/**
+ * Web3 nests the node's error in cause or innerError, and wallets in data.
+ */
+function nestedErrors(err) {
+  const nested = [];
+  for(let depth = 0; err && typeof err == "object" && depth < 6; depth++) {
+    nested.push(err);
+    err = err.cause || err.innerError || err.error || (typeof err.data == "object" ? err.data : null);
+  }
+  return nested;
+}
+
+function findRevertData(err) {
+  const found = nestedErrors(err).find(function(nested) {
+    return typeof nested.data == "string" && /^0x[0-9a-fA-F]*$/.test(nested.data);
+  });
+  return found ? found.data : null;
+}
+
+function findErrorCode(err) {
+  const found = nestedErrors(err).find(function(nested) { return nested.code == 4001; });
+  return found ? found.code : null;
+}
+
+
+
+  /////////////////////////// History
+
+function transactionsKey(account) {
+  return "SwapTransactions:" + account.toLowerCase();
+}
+
+/**
+ * Loads the connected account's history and resumes polling its pending transactions.
+ */
+function loadTransactions() {
+  const saved = address == "Conectar" ? "DE" : obtenerValorDeLocalStorage(transactionsKey(address));
+  transactions = saved == "DE" ? [] : JSON.parse(saved);
+  renderTransactions();
+
+  transactions.filter(function(entry) { return entry.status == "pending"; }).forEach(function(entry) {
+    watchTransaction(entry, refreshBalances);
+  });
+}
+
+/**
+ * Adds or updates an entry in the history of the account that sent it. The
+ * wallet may have switched accounts since, then only the stored history changes.
+ */
+function saveTransaction(entry) {
+  const connected = address != "Conectar" && entry.from.toLowerCase() == address.toLowerCase();
+  let history = transactions;
+  if(!connected) {
+    const saved = obtenerValorDeLocalStorage(transactionsKey(entry.from));
+    history = saved == "DE" ? [] : JSON.parse(saved);
+  }
+
+  const index = history.findIndex(function(saved) { return saved.hash == entry.hash; });
+  if(index == -1) {
+    history.unshift(entry);
+  } else {
+    history[index] = entry;
+  }
+  history = history.slice(0, TX_HISTORY_SIZE);
+  guardarValorEnLocalStorage(transactionsKey(entry.from), JSON.stringify(history));
+
+  if(connected) {
+    transactions = history;
+    renderTransactions();
+  }
+}
+
+function renderTransactions() {
+  const list = document.getElementById("transaction-list");
+  list.innerHTML = "";
+
+  if(transactions.length == 0) {
+    const empty = document.createElement("li");
+    empty.textContent = address == "Conectar" ? "Connect a wallet to see your transactions" : "No transactions yet";
+    list.appendChild(empty);
+    return;
+  }
+
+  transactions.forEach(function(entry) {
+    const item = document.createElement("li");
+
+    const status = document.createElement("span");
+    status.className = "tx-status tx-" + entry.status;
+    status.textContent = entry.status;
+
+    const description = document.createElement("span");
+    description.className = "tx-description";
+    description.textContent = entry.description + (entry.reason ? " · " + entry.reason : "");
+
+    const details = document.createElement("span");
+    details.className = "tx-details";
+    details.textContent = new Date(entry.time).toLocaleString() + " · " + entry.hash.slice(0, 10) + "…";
+    details.title = entry.hash;
+
+    item.append(status, description, details);
+    list.appendChild(item);
+  });
+}
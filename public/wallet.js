@@ -0,0 +1,322 @@
+  /////////////////////////// Wallet: discovery, session and network
+
+// Wallets announced through EIP-6963, as {info, provider}
+var wallets = [];
+
+// Wallet the app reads and sends through, see chooseWallet()
+var activeWallet = null;
+
+// Parameters for wallet_addEthereumChain of the chains SimpleSwap may be deployed on
+var CHAINS = {
+  31337: {
+    chainName: "Hardhat (localhost)",
+    rpcUrls: ["http://127.0.0.1:8545"],
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 }
+  },
+  11155111: {
+    chainName: "Sepolia",
+    rpcUrls: ["https://ethereum-sepolia-rpc.publicnode.com"],
+    nativeCurrency: { name: "Sepolia Ether", symbol: "ETH", decimals: 18 },
+    blockExplorerUrls: ["https://sepolia.etherscan.io"]
+  }
+};
+
+// Error code of wallet_switchEthereumChain for a chain the wallet does not know
+var UNKNOWN_CHAIN_CODE = 4902;
+
+// JSON-RPC endpoint the app reads through when there is no wallet: the server's
+// proxy at /api/rpc, or any public or local node that allows the page's origin
+var READ_ONLY_RPC_URL = "/api/rpc";
+
+window.addEventListener("eip6963:announceProvider", function(event) {
+  if(!wallets.some(function(wallet) { return wallet.info.uuid == event.detail.info.uuid; })) {
+    wallets.push(event.detail);
+    renderWalletList();
+  }
+});
+window.dispatchEvent(new Event("eip6963:requestProvider"));
+
+
+/**
+ * Wallets the user can pick: the EIP-6963 announcements, plus the injected
+ * window.ethereum of wallets that do not announce themselves.
+ */
+function availableWallets() {
+  const found = wallets.slice();
+  if(window.ethereum && !found.some(function(wallet) { return wallet.provider == window.ethereum; })) {
+    found.push({ info: { uuid: "injected", name: "Browser wallet", icon: "", rdns: "injected" }, provider: window.ethereum });
+  }
+  return found;
+}
+
+/**
+ * The wallet of the saved session if it is still installed, otherwise the
+ * injected one or the first announced. Null when there is no wallet at all.
+ */
+function chooseWallet() {
+  const found = availableWallets();
+  const saved = obtenerValorDeLocalStorage("SwapWallet");
+  return found.find(function(wallet) { return wallet.info.rdns == saved; }) ||
+    found.find(function(wallet) { return wallet.provider == window.ethereum; }) ||
+    found[0] || null;
+}
+
+/**
+ * Absolute URL of READ_ONLY_RPC_URL, web3 only takes http(s) URLs.
+ */
+function readOnlyRpcUrl() {
+  return new URL(READ_ONLY_RPC_URL, window.location.href).href;
+}
+
+/**
+ * Follows the account and the network selected in the wallet.
+ */
+function watchWallet(provider) {
+  provider.on('accountsChanged', changeAccount);
+
+  // Every chain has its own addresses, start over when the wallet switches
+  provider.on('chainChanged', function() {
+    window.location.reload();
+  });
+}
+
+
+
+  /////////////////////////// Session
+
+/**
+ * Connects with the wallet of the previous visit, unless the user disconnected.
+ */
+async function restoreSession() {
+  if(activeWallet && obtenerValorDeLocalStorage("SwapConected") == "true") {
+    await connect();
+  }
+}
+
+/**
+ * Connects with the only wallet found, or lets the user pick one.
+ */
+async function connectWallet() {
+  if(address != "Conectar") {
+    return;
+  }
+  const found = availableWallets();
+  if(found.length == 1) {
+    await pickWallet(found[0].info.uuid);
+  } else {
+    renderWalletList();
+    document.getElementById("wallet-selector").classList.add("show");
+  }
+}
+
+function closeWalletSelector() {
+  document.getElementById("wallet-selector").classList.remove("show");
+}
+
+/**
+ * Connects with the wallet picked in the selector. The app reads through the
+ * wallet it started with, or the read-only RPC, so another wallet is saved and
+ * the page reloaded.
+ */
+async function pickWallet(uuid) {
+  const wallet = availableWallets().find(function(wallet) { return wallet.info.uuid == uuid; });
+  closeWalletSelector();
+
+  if(!activeWallet || wallet.provider != activeWallet.provider) {
+    guardarValorEnLocalStorage("SwapWallet", wallet.info.rdns);
+    guardarValorEnLocalStorage("SwapConected", "true");
+    window.location.reload();
+    return;
+  }
+  guardarValorEnLocalStorage("SwapWallet", wallet.info.rdns);
+  await connect();
+}
+
+async function connect() {
+  if(!swapInstance) {
+    showToast("Switch your wallet to a network where SimpleSwap is deployed", "red");
+    return;
+  }
+
+  let accounts;
+  try {
+    accounts = await activeWallet.provider.request({"method": "eth_requestAccounts", "params": []});
+  } catch (err) {
+    showToast(err.code == 4001 ? "Connection rejected in the wallet" : "The wallet could not connect", "red");
+    return;
+  }
+  if(accounts.length == 0) {
+    return;
+  }
+
+  guardarValorEnLocalStorage("SwapConected", "true");
+  await useAccount(accounts[0]);
+}
+
+/**
+ * Forgets the session and shows the app as read only. Wallets that support
+ * it also drop the site's permission, otherwise it stays until revoked there.
+ */
+async function disconnect() {
+  guardarValorEnLocalStorage("SwapConected", "false");
+  await useAccount("Conectar");
+  try {
+    await activeWallet.provider.request({"method": "wallet_revokePermissions", "params": [{ eth_accounts: {} }]});
+  } catch (err) {
+    // Not every wallet can revoke, the session flag is enough to stay disconnected
+  }
+}
+
+/**
+ * Whether an account is connected, write actions call it first. Otherwise the
+ * user is asked to connect one.
+ */
+function requireAccount() {
+  if(address != "Conectar") {
+    return true;
+  }
+  showToast("Connect a wallet to continue", "orange");
+  connectWallet();
+  return false;
+}
+
+async function changeAccount(accounts) {
+  // Only the accounts of a connected session are followed
+  if(address == "Conectar") {
+    return;
+  }
+  if(accounts.length == 0) {
+    await disconnect();
+  } else if(!sameAddress(accounts[0], address)) {
+    await useAccount(accounts[0]);
+  }
+}
+
+/**
+ * Switches the app to the account, or to no account with "Conectar", and
+ * reloads everything that depends on it.
+ */
+async function useAccount(account) {
+  address = account;
+  balances = {};
+  renderAccount();
+
+  await refreshBalances();
+  await allowance();
+  await refreshPosition();
+  await refreshActivity();
+  await refreshAdmin();
+  await refreshLimitOrders();
+  loadTransactions();
+}
+
+function renderAccount() {
+  const connected = address != "Conectar";
+  document.getElementById('account').innerHTML = connected ? address.toString().slice(0,6)+"..." : "Conectar";
+  document.getElementById('disconnect').hidden = !connected;
+  renderBalances();
+  renderTokenList();
+}
+
+function renderWalletList() {
+  const list = document.getElementById("wallet-list");
+  list.innerHTML = "";
+
+  const found = availableWallets();
+  if(found.length == 0) {
+    const empty = document.createElement("li");
+    empty.textContent = "No wallet found, install a browser wallet like MetaMask";
+    list.appendChild(empty);
+    return;
+  }
+
+  found.forEach(function(wallet) {
+    const item = document.createElement("li");
+    item.onclick = function() { pickWallet(wallet.info.uuid); };
+
+    const logo = document.createElement("img");
+    logo.className = "logo alineadoTextoImagenCentro";
+    logo.src = wallet.info.icon;
+    logo.hidden = !wallet.info.icon;
+
+    const name = document.createElement("span");
+    name.className = "token";
+    name.textContent = wallet.info.name;
+
+    item.append(logo, name);
+    list.appendChild(item);
+  });
+}
+
+
+
+  /////////////////////////// Network
+
+/**
+ * Explains that the wallet is on a chain without a deployment and offers to
+ * switch to each chain SimpleSwap is deployed on.
+ */
+function showWrongNetwork(chainId) {
+  const actions = Object.keys(deployments).map(function(deployedChainId) {
+    const button = document.createElement("button");
+    const chain = CHAINS[deployedChainId];
+    button.textContent = "Switch to " + (chain ? chain.chainName : "chain " + deployedChainId);
+    button.onclick = function() { switchNetwork(Number(deployedChainId)); };
+    return button;
+  });
+  showNetworkBanner("SimpleSwap is not deployed on chain " + chainId, actions);
+}
+
+/**
+ * Tells visitors without a wallet that the app is read only.
+ */
+function showReadOnly() {
+  const button = document.createElement("button");
+  button.textContent = "Connect wallet";
+  button.onclick = connectWallet;
+  showNetworkBanner("Read only: no wallet found, install a browser wallet like MetaMask to trade", [button]);
+}
+
+/**
+ * Tells that the chain stopped answering and offers to reload the app.
+ */
+function showUnreachable(message) {
+  const button = document.createElement("button");
+  button.textContent = "Reload";
+  button.onclick = function() { window.location.reload(); };
+  showNetworkBanner(message, [button]);
+}
+
+function showNetworkBanner(message, actions) {
+  document.getElementById("network-message").textContent = message;
+  document.getElementById("network-actions").replaceChildren(...actions);
+  document.getElementById("network-banner").hidden = false;
+}
+
+function hideNetworkBanner() {
+  document.getElementById("network-banner").hidden = true;
+}
+
+/**
+ * Asks the wallet to switch chains, adding the chain first when the wallet
+ * does not know it. The page reloads on chainChanged.
+ */
+async function switchNetwork(chainId) {
+  const hexChainId = "0x" + chainId.toString(16);
+  try {
+    await activeWallet.provider.request({"method": "wallet_switchEthereumChain", "params": [{ chainId: hexChainId }]});
+  } catch (err) {
+    if(err.code != UNKNOWN_CHAIN_CODE || !CHAINS[chainId]) {
+      showToast(err.code == 4001 ? "Network switch rejected in the wallet" : "The wallet could not switch networks", "red");
+      return;
+    }
+    try {
+      await activeWallet.provider.request({
+        "method": "wallet_addEthereumChain",
+        "params": [Object.assign({ chainId: hexChainId }, CHAINS[chainId])]
+      });
+    } catch (addErr) {
+      showToast("The wallet could not add " + CHAINS[chainId].chainName, "red");
+    }
+  }
+}
@@ -0,0 +1,69 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @dev Folder where Hardhat Ignition writes one `chain-<chainId>` folder per deployment.
+ */
+const deploymentsDir = path.join(__dirname, "..", "ignition", "deployments");
+
+/**
+ * @notice Lists the chainIds that have an Ignition deployment.
+ * @returns {string[]} The chainIds, as strings.
+ */
+function listDeployedChains() {
+  if (!fs.existsSync(deploymentsDir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(deploymentsDir)
+    .map((entry) => /^chain-(\d+)$/.exec(entry))
+    .filter((match) => match && fs.existsSync(path.join(deploymentsDir, match[0], "deployed_addresses.json")))
+    .map((match) => match[1]);
+}
+
+/**
+ * @notice Reads the addresses deployed by Ignition on a chain.
+ * @dev Future ids look like "SimpleSwapModule#Gold", the module prefix is dropped.
+ * @param chainId Chain of the deployment.
+ * @param dir Deployments folder, the project's ignition/deployments by default.
+ * @returns {Object|null} Map of contract name to address, or null when the chain has no deployment.
+ */
+function readDeployment(chainId, dir = deploymentsDir) {
+  const file = path.join(dir, `chain-${chainId}`, "deployed_addresses.json");
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const deployed = {};
+  for (const [futureId, address] of Object.entries(JSON.parse(fs.readFileSync(file, "utf8")))) {
+    deployed[futureId.split("#").pop()] = address;
+  }
+  return deployed;
+}
+
+/**
+ * @notice Reads the ABIs Ignition recorded for the contracts it deployed on a chain.
+ * @dev Ignition writes the artifact of every future to `artifacts/<futureId>.json`
+ * next to deployed_addresses.json, the module prefix is dropped like in readDeployment.
+ * @param chainId Chain of the deployment.
+ * @param dir Deployments folder, the project's ignition/deployments by default.
+ * @returns {Object} Map of contract name to ABI, contracts without a recorded artifact are left out.
+ */
+function readDeployedAbis(chainId, dir = deploymentsDir) {
+  const chainDir = path.join(dir, `chain-${chainId}`);
+  const file = path.join(chainDir, "deployed_addresses.json");
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+
+  const abis = {};
+  for (const futureId of Object.keys(JSON.parse(fs.readFileSync(file, "utf8")))) {
+    const artifact = path.join(chainDir, "artifacts", `${futureId}.json`);
+    if (fs.existsSync(artifact)) {
+      abis[futureId.split("#").pop()] = JSON.parse(fs.readFileSync(artifact, "utf8")).abi;
+    }
+  }
+  return abis;
+}
+
+module.exports = { deploymentsDir, listDeployedChains, readDeployment, readDeployedAbis };
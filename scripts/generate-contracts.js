@@ -0,0 +1,128 @@
+const fs = require("fs");
+const path = require("path");
+const { listDeployedChains, readDeployment, readDeployedAbis } = require("./deployments");
+
+/**
+ * @title Frontend contracts config generator
+ * @dev Writes public/contracts.js from the Hardhat compilation artifacts and
+ * the Ignition deployments, so the web app always uses the ABIs and addresses
+ * of the last deployment on every chain. The deployments to local Hardhat
+ * nodes are left out, as they are not versioned, unless --local is given, and
+ * so are the deployments of contracts compiled from older sources, whose
+ * bytecode would revert on the calls the current ABIs add.
+ *
+ * Usage: npx hardhat compile && node scripts/generate-contracts.js [--local]
+ */
+
+const root = path.join(__dirname, "..");
+const artifactsDir = path.join(root, "artifacts", "contracts");
+const output = path.join(root, "public", "contracts.js");
+
+/**
+ * @dev Chains of local Hardhat nodes, their ignition/deployments folders are gitignored.
+ */
+const LOCAL_CHAINS = ["31337"];
+
+/**
+ * @dev Contract names and the prefix of the globals the frontend reads
+ * (`<prefix>_abi` and, per chain, `<prefix>_address`).
+ */
+const CONTRACTS = {
+  SimpleSwap: "exchange",
+  Gold: "gold",
+  Silver: "silver",
+};
+
+/**
+ * @dev Contracts only deployed by some modules (SimpleSwapFactory.js). Chains
+ * without them get no `<prefix>_address`, the app then lists the Gold/Silver pool alone.
+ */
+const OPTIONAL_CONTRACTS = {
+  SimpleSwapFactory: "factory",
+  LimitOrderExecutor: "executor",
+};
+
+/**
+ * @dev Contracts the frontend only needs the ABI of: every listed token is
+ * read with the TestToken ABI (a plain ERC20 plus mint).
+ */
+const ABI_ONLY = {
+  TestToken: "token",
+};
+
+/**
+ * @notice Reads the ABI of a compiled contract.
+ * @param name Contract name, in any source file under contracts/.
+ * @returns {Array} The contract ABI.
+ */
+function readAbi(name) {
+  const sources = fs.existsSync(artifactsDir) ? fs.readdirSync(artifactsDir) : [];
+  const file = sources
+    .map((source) => path.join(artifactsDir, source, `${name}.json`))
+    .find((candidate) => fs.existsSync(candidate));
+  if (!file) {
+    throw new Error(`Missing artifact for ${name}, run "npx hardhat compile" first`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8")).abi;
+}
+
+/**
+ * @notice Collects the addresses of every Ignition deployment, keyed by chainId.
+ * @dev Deployments that are missing one of the CONTRACTS, or whose contracts were
+ * deployed with another ABI than the compiled one, are skipped with a warning.
+ * A deployment without the artifacts Ignition records cannot be checked and
+ * counts as outdated.
+ * @param includeLocal Whether to add the deployments to LOCAL_CHAINS.
+ * @returns {Object} Map of chainId to `{ <prefix>_address: address }`.
+ */
+function readDeployments(includeLocal) {
+  const deployments = {};
+
+  for (const chainId of listDeployedChains()) {
+    if (!includeLocal && LOCAL_CHAINS.includes(chainId)) {
+      console.warn(`Skipping chain ${chainId}: local node, pass --local to include it`);
+      continue;
+    }
+    const deployed = readDeployment(chainId);
+
+    const missing = Object.keys(CONTRACTS).filter((name) => !deployed[name]);
+    if (missing.length > 0) {
+      console.warn(`Skipping chain ${chainId}: no ${missing.join(", ")} deployed`);
+      continue;
+    }
+
+    const abis = readDeployedAbis(chainId);
+    const outdated = Object.keys({ ...CONTRACTS, ...OPTIONAL_CONTRACTS }).filter(
+      (name) => deployed[name] && JSON.stringify(abis[name]) !== JSON.stringify(readAbi(name))
+    );
+    if (outdated.length > 0) {
+      console.warn(`Skipping chain ${chainId}: ${outdated.join(", ")} not deployed from the current sources, redeploy it`);
+      continue;
+    }
+
+    deployments[chainId] = {};
+    for (const [name, prefix] of Object.entries({ ...CONTRACTS, ...OPTIONAL_CONTRACTS })) {
+      if (deployed[name]) {
+        deployments[chainId][`${prefix}_address`] = deployed[name];
+      }
+    }
+  }
+
+  return deployments;
+}
+
+function main() {
+  const deployments = readDeployments(process.argv.includes("--local"));
+
+  let source = "// Generated by scripts/generate-contracts.js from artifacts/ and ignition/deployments/.\n";
+  source += "// Do not edit by hand, run `npm run generate:contracts` after every deployment.\n\n";
+  source += `var deployments = ${JSON.stringify(deployments, null, 2)};\n\n`;
+  for (const [name, prefix] of Object.entries({ ...CONTRACTS, ...OPTIONAL_CONTRACTS, ...ABI_ONLY })) {
+    source += `var ${prefix}_abi = ${JSON.stringify(readAbi(name))};\n`;
+  }
+
+  fs.writeFileSync(output, source);
+  console.log(`Wrote ${path.relative(root, output)} for chains: ${Object.keys(deployments).join(", ") || "none"}`);
+}
+
+main();
@@ -1,9 +1,94 @@
 const express = require('express');
+const { ethers } = require('ethers');
+const config = require('./api/config');
+const { connectContracts } = require('./api/contracts');
+const { createApiRouter } = require('./api/routes');
+const { createHistoryRouter } = require('./api/history');
+const { createIndexer } = require('./api/indexer');
+const { createJsonStore } = require('./api/store');
+const { createRpcRouter } = require('./api/rpc');
+const { createFaucet, createFaucetRouter } = require('./api/faucet');
+const { createOrderBook, createOrdersRouter } = require('./api/orders');
+const { createKeeper } = require('./api/keeper');
+
 const app = express();
-const port = 3001;
+const port = config.port;
+
+if (config.trustProxy !== undefined) {
+  app.set('trust proxy', config.trustProxy);
+}
 
 app.use(express.static('public'));
 
+// Visitors without a wallet read the chain through the server's node
+app.use('/api', createRpcRouter(config.rpcUrl));
+
+const { swap, gold, silver } = config.addresses;
+if (swap && gold && silver) {
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const contracts = connectContracts(provider, config.addresses);
+
+  const indexer = createIndexer({
+    provider,
+    contracts,
+    store: createJsonStore(config.indexer.file),
+    startBlock: config.indexer.startBlock,
+    reorgDepth: config.indexer.reorgDepth,
+    pollInterval: config.indexer.pollInterval,
+  });
+  indexer.start();
+
+  app.use('/api', createHistoryRouter(indexer));
+  app.use('/api', createApiRouter(contracts));
+
+  if (config.faucet.privateKey) {
+    // Without the 250ms request cache, the second mint reads the nonce after the first one's
+    const ownerProvider = new ethers.JsonRpcProvider(config.rpcUrl, undefined, { cacheTimeout: -1 });
+    const owner = new ethers.Wallet(config.faucet.privateKey, ownerProvider);
+    const faucet = createFaucet({
+      contracts: connectContracts(owner, config.addresses),
+      store: createJsonStore(config.faucet.file, {}),
+      amount: config.faucet.amount,
+      dailyCap: config.faucet.dailyCap,
+      cooldown: config.faucet.cooldown,
+    });
+    app.use('/api', createFaucetRouter(faucet));
+  } else {
+    console.warn('FAUCET_PRIVATE_KEY is not set, /api/faucet is disabled');
+  }
+
+  if (contracts.executor) {
+    const ordersStore = createJsonStore(config.orders.file, {});
+    const orderBook = createOrderBook({
+      executor: contracts.executor,
+      pools: [swap],
+      factory: contracts.factory,
+      store: ordersStore,
+    });
+    app.use('/api', createOrdersRouter(orderBook));
+
+    if (config.orders.keeperPrivateKey) {
+      // Same as the faucet, every fill reads the nonce after the previous one's
+      const keeperProvider = new ethers.JsonRpcProvider(config.rpcUrl, undefined, { cacheTimeout: -1 });
+      const keeperSigner = new ethers.Wallet(config.orders.keeperPrivateKey, keeperProvider);
+      const keeper = createKeeper({
+        provider,
+        executor: contracts.executor.connect(keeperSigner),
+        orderBook,
+        store: ordersStore,
+        pollInterval: config.orders.pollInterval,
+      });
+      keeper.start();
+    } else {
+      console.warn('KEEPER_PRIVATE_KEY is not set, limit orders are stored but not filled');
+    }
+  } else {
+    console.warn('EXECUTOR_ADDRESS is not set, /api/orders is disabled');
+  }
+} else {
+  console.warn('SWAP_ADDRESS, GOLD_ADDRESS and SILVER_ADDRESS are not set, /api is disabled');
+}
+
 app.listen(port, () => {
   console.log(`Server running at <http://localhost>:${port}/`);
-});
\ No newline at end of file
+});
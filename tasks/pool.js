@@ -0,0 +1,248 @@
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const {
+  loadPool,
+  swapSides,
+  slippageBps,
+  applySlippage,
+  deadlineIn,
+  ensureAllowance,
+  printReceipt,
+  taskError,
+} = require("./utils");
+
+/**
+ * @notice GSLP locked by SimpleSwap on the first deposit of an empty pool.
+ */
+const MINIMUM_LIQUIDITY = 1000n;
+
+/**
+ * @notice Price of one base token in quote tokens from the reserves, formatted with 18 decimals.
+ */
+function formatPrice(reserveBase, decimalsBase, reserveQuote, decimalsQuote) {
+  if (reserveBase === 0n) {
+    return "n/a";
+  }
+  const scaled = (reserveQuote * 10n ** BigInt(decimalsBase) * ethers.WeiPerEther) /
+    (reserveBase * 10n ** BigInt(decimalsQuote));
+  return ethers.formatEther(scaled);
+}
+
+/**
+ * @notice Formats basis points as a percentage, e.g. 30n -> "0.3%".
+ */
+function formatBps(bps) {
+  return `${Number(bps) / 100}%`;
+}
+
+/**
+ * @notice Converts a percentage typed by the user to basis points.
+ */
+function percentToBps(percent, name) {
+  if (!Number.isFinite(percent) || percent < 0) {
+    throw taskError(`--${name} must be a non-negative percentage`);
+  }
+  return BigInt(Math.round(percent * 100));
+}
+
+/**
+ * @notice Mirrors SimpleSwap.addLiquidity: trims the desired amounts to the pool
+ * ratio and returns the LP tokens that would be minted.
+ */
+function previewAddLiquidity(reserveGold, reserveSilver, totalSupply, goldDesired, silverDesired) {
+  if (totalSupply === 0n) {
+    // The first deposit of an empty pool takes both amounts as is and sets the price,
+    // MINIMUM_LIQUIDITY of its GSLP stays locked in the pool
+    const sum = goldDesired + silverDesired;
+    const liquidity = sum > MINIMUM_LIQUIDITY ? sum - MINIMUM_LIQUIDITY : 0n;
+    return { amountGold: goldDesired, amountSilver: silverDesired, liquidity };
+  }
+
+  let amountGold = goldDesired;
+  let amountSilver = (goldDesired * reserveSilver) / reserveGold;
+
+  if (amountSilver > silverDesired) {
+    amountGold = (silverDesired * reserveGold) / reserveSilver;
+    amountSilver = silverDesired;
+  }
+
+  const byGold = (amountGold * totalSupply) / reserveGold;
+  const bySilver = (amountSilver * totalSupply) / reserveSilver;
+  return { amountGold, amountSilver, liquidity: byGold < bySilver ? byGold : bySilver };
+}
+
+task("pool:status", "Prints the reserves, prices and GSLP supply of the pool").setAction(async (args, hre) => {
+  const pool = await loadPool(hre);
+  const { simpleSwap, gold, silver, goldDecimals, silverDecimals, lpDecimals } = pool;
+
+  const reserveGold = await simpleSwap.reserveGold();
+  const reserveSilver = await simpleSwap.reserveSilver();
+  const balanceGold = await gold.balanceOf(simpleSwap.target);
+  const balanceSilver = await silver.balanceOf(simpleSwap.target);
+  const totalSupply = await simpleSwap.totalSupply();
+  const feeBps = await simpleSwap.feeBps();
+  const protocolFeeBps = await simpleSwap.protocolFeeBps();
+
+  console.log(`SimpleSwap ${simpleSwap.target} on ${hre.network.name}`);
+  console.log(`  Reserves:      ${ethers.formatUnits(reserveGold, goldDecimals)} GLD / ${ethers.formatUnits(reserveSilver, silverDecimals)} SLV`);
+  console.log(`  Balances:      ${ethers.formatUnits(balanceGold, goldDecimals)} GLD / ${ethers.formatUnits(balanceSilver, silverDecimals)} SLV`);
+  console.log(`  GSLP supply:   ${ethers.formatUnits(totalSupply, lpDecimals)}`);
+  console.log(`  1 GLD =        ${formatPrice(reserveGold, goldDecimals, reserveSilver, silverDecimals)} SLV`);
+  console.log(`  1 SLV =        ${formatPrice(reserveSilver, silverDecimals, reserveGold, goldDecimals)} GLD`);
+  console.log(
+    `  Swap fee:      ${formatBps(feeBps)}` +
+      (protocolFeeBps > 0n ? ` (${formatBps(protocolFeeBps)} of it to ${await simpleSwap.feeTo()})` : "")
+  );
+});
+
+task("pool:quote", "Quotes an exact input swap with getAmountOut on the current reserves")
+  .addParam("from", "Input token, GLD or SLV")
+  .addParam("amount", "Input amount, in whole tokens (e.g. 1.5)")
+  .addOptionalParam("slippage", "Slippage tolerance in percent", 0.5, types.float)
+  .setAction(async (args, hre) => {
+    const pool = await loadPool(hre);
+    const side = swapSides(pool, args.from);
+    const amountIn = ethers.parseUnits(args.amount, side.decimalsIn);
+
+    const reserveGold = await pool.simpleSwap.reserveGold();
+    const reserveSilver = await pool.simpleSwap.reserveSilver();
+    const amountOut = await pool.simpleSwap.getAmountOut(
+      amountIn,
+      side.goldIn ? reserveGold : reserveSilver,
+      side.goldIn ? reserveSilver : reserveGold
+    );
+
+    const fee = (amountIn * (await pool.simpleSwap.feeBps())) / 10000n;
+
+    console.log(`${args.amount} ${side.symbolIn} -> ${ethers.formatUnits(amountOut, side.decimalsOut)} ${side.symbolOut}`);
+    console.log(`Swap fee: ${ethers.formatUnits(fee, side.decimalsIn)} ${side.symbolIn}`);
+    console.log(
+      `Minimum received at ${args.slippage}% slippage: ` +
+        `${ethers.formatUnits(applySlippage(amountOut, slippageBps(args.slippage)), side.decimalsOut)} ${side.symbolOut}`
+    );
+  });
+
+task("pool:swap", "Swaps an exact amount of GLD for SLV or SLV for GLD")
+  .addParam("from", "Input token, GLD or SLV")
+  .addParam("amount", "Input amount, in whole tokens (e.g. 1.5)")
+  .addOptionalParam("slippage", "Slippage tolerance in percent", 0.5, types.float)
+  .addOptionalParam("deadline", "Minutes before the swap expires", 5, types.int)
+  .addOptionalParam("to", "Recipient of the output tokens (defaults to the signer)")
+  .setAction(async (args, hre) => {
+    const pool = await loadPool(hre);
+    const side = swapSides(pool, args.from);
+    const bps = slippageBps(args.slippage);
+    const amountIn = ethers.parseUnits(args.amount, side.decimalsIn);
+
+    const reserveGold = await pool.simpleSwap.reserveGold();
+    const reserveSilver = await pool.simpleSwap.reserveSilver();
+    const amountOut = await pool.simpleSwap.getAmountOut(
+      amountIn,
+      side.goldIn ? reserveGold : reserveSilver,
+      side.goldIn ? reserveSilver : reserveGold
+    );
+
+    await ensureAllowance(side.tokenIn, pool.signer.address, pool.simpleSwap.target, amountIn);
+
+    const tx = await pool.simpleSwap.swapExactTokensForTokens(
+      amountIn,
+      applySlippage(amountOut, bps),
+      [side.tokenIn.target, side.tokenOut.target],
+      args.to || pool.signer.address,
+      await deadlineIn(hre, args.deadline)
+    );
+    printReceipt(await tx.wait(), pool);
+  });
+
+task("pool:add-liquidity", "Adds Gold and Silver to the pool at the current ratio")
+  .addParam("gold", "Desired Gold, in whole tokens")
+  .addParam("silver", "Desired Silver, in whole tokens")
+  .addOptionalParam("slippage", "Slippage tolerance in percent", 0.5, types.float)
+  .addOptionalParam("deadline", "Minutes before the transaction expires", 5, types.int)
+  .addOptionalParam("to", "Recipient of the GSLP tokens (defaults to the signer)")
+  .setAction(async (args, hre) => {
+    const pool = await loadPool(hre);
+    const { simpleSwap, gold, silver, signer } = pool;
+    const bps = slippageBps(args.slippage);
+    const goldDesired = ethers.parseUnits(args.gold, pool.goldDecimals);
+    const silverDesired = ethers.parseUnits(args.silver, pool.silverDecimals);
+
+    const preview = previewAddLiquidity(
+      await simpleSwap.reserveGold(),
+      await simpleSwap.reserveSilver(),
+      await simpleSwap.totalSupply(),
+      goldDesired,
+      silverDesired
+    );
+
+    await ensureAllowance(gold, signer.address, simpleSwap.target, goldDesired);
+    await ensureAllowance(silver, signer.address, simpleSwap.target, silverDesired);
+
+    const tx = await simpleSwap.addLiquidity(
+      gold.target,
+      silver.target,
+      goldDesired,
+      silverDesired,
+      applySlippage(preview.amountGold, bps),
+      applySlippage(preview.amountSilver, bps),
+      args.to || signer.address,
+      await deadlineIn(hre, args.deadline)
+    );
+    printReceipt(await tx.wait(), pool);
+  });
+
+task("pool:remove-liquidity", "Burns GSLP and withdraws the matching Gold and Silver")
+  .addParam("liquidity", "GSLP to burn, in whole tokens")
+  .addOptionalParam("slippage", "Slippage tolerance in percent", 0.5, types.float)
+  .addOptionalParam("deadline", "Minutes before the transaction expires", 5, types.int)
+  .addOptionalParam("to", "Recipient of the Gold and Silver (defaults to the signer)")
+  .setAction(async (args, hre) => {
+    const pool = await loadPool(hre);
+    const { simpleSwap, gold, silver, signer } = pool;
+    const bps = slippageBps(args.slippage);
+    const liquidity = ethers.parseUnits(args.liquidity, pool.lpDecimals);
+
+    const totalSupply = await simpleSwap.totalSupply();
+    if (totalSupply === 0n) {
+      throw taskError("The pool has no liquidity to remove");
+    }
+    const amountGold = (liquidity * (await simpleSwap.reserveGold())) / totalSupply;
+    const amountSilver = (liquidity * (await simpleSwap.reserveSilver())) / totalSupply;
+
+    const tx = await simpleSwap.removeLiquidity(
+      gold.target,
+      silver.target,
+      liquidity,
+      applySlippage(amountGold, bps),
+      applySlippage(amountSilver, bps),
+      args.to || signer.address,
+      await deadlineIn(hre, args.deadline)
+    );
+    printReceipt(await tx.wait(), pool);
+  });
+
+task("pool:set-fee", "Sets the swap fee and the protocol share of it, the signer must be the pool owner")
+  .addParam("fee", "Swap fee in percent (e.g. 0.3), at most 1", undefined, types.float)
+  .addOptionalParam("protocolShare", "Percent of the fee sent to --fee-to, at most 50", 0, types.float)
+  .addOptionalParam("feeTo", "Recipient of the protocol share (defaults to the signer)")
+  .setAction(async (args, hre) => {
+    const pool = await loadPool(hre);
+    const { simpleSwap, signer } = pool;
+
+    const feeBps = percentToBps(args.fee, "fee");
+    if (feeBps > (await simpleSwap.MAX_FEE_BPS())) {
+      throw taskError(`--fee must be at most ${formatBps(await simpleSwap.MAX_FEE_BPS())}`);
+    }
+    const protocolFeeBps = percentToBps(args.protocolShare, "protocol-share");
+    if (protocolFeeBps > (await simpleSwap.MAX_PROTOCOL_FEE_BPS())) {
+      throw taskError(`--protocol-share must be at most ${formatBps(await simpleSwap.MAX_PROTOCOL_FEE_BPS())}`);
+    }
+
+    if (args.feeTo && !ethers.isAddress(args.feeTo)) {
+      throw taskError(`Invalid --fee-to address "${args.feeTo}"`);
+    }
+    const feeTo = protocolFeeBps > 0n ? args.feeTo || signer.address : ethers.ZeroAddress;
+
+    printReceipt(await (await simpleSwap.setFee(feeBps)).wait(), pool);
+    printReceipt(await (await simpleSwap.setProtocolFee(feeTo, protocolFeeBps)).wait(), pool);
+  });
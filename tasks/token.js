@@ -0,0 +1,29 @@
+const { task } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { loadPool, taskError } = require("./utils");
+
+task("token:mint", "Mints Gold or Silver, the signer must be the token owner")
+  .addParam("token", "Token to mint, GLD or SLV")
+  .addParam("amount", "Amount to mint, in whole tokens")
+  .addOptionalParam("to", "Recipient of the tokens (defaults to the signer)")
+  .setAction(async (args, hre) => {
+    const pool = await loadPool(hre);
+    const symbol = args.token.toUpperCase();
+    if (symbol !== "GLD" && symbol !== "SLV") {
+      throw taskError(`Unknown token "${args.token}", use GLD or SLV`);
+    }
+
+    const token = symbol === "GLD" ? pool.gold : pool.silver;
+    const decimals = symbol === "GLD" ? pool.goldDecimals : pool.silverDecimals;
+    const to = args.to || pool.signer.address;
+
+    const receipt = await (await token.mint(to, ethers.parseUnits(args.amount, decimals))).wait();
+
+    console.log(`Transaction ${receipt.hash} (block ${receipt.blockNumber}, gas ${receipt.gasUsed})`);
+    for (const log of receipt.logs) {
+      const parsed = token.interface.parseLog(log);
+      if (parsed && parsed.name === "Transfer") {
+        console.log(`  Minted ${ethers.formatUnits(parsed.args.value, decimals)} ${symbol} to ${parsed.args.to}`);
+      }
+    }
+  });
@@ -0,0 +1,173 @@
+const { HardhatPluginError } = require("hardhat/plugins");
+const { ethers } = require("ethers");
+const path = require("path");
+const { readDeployment } = require("../scripts/deployments");
+
+/**
+ * @notice Builds an error Hardhat reports without a stack trace.
+ */
+function taskError(message) {
+  return new HardhatPluginError("SimpleSwap tasks", message);
+}
+
+/**
+ * @notice Connects to the Gold, Silver and SimpleSwap contracts Ignition deployed on the selected network.
+ * @param hre Hardhat runtime environment.
+ * @returns {Object} The contracts, their decimals and the signer used for transactions.
+ */
+async function loadPool(hre) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployed = readDeployment(chainId, path.join(hre.config.paths.ignition, "deployments"));
+  if (!deployed || !deployed.SimpleSwap || !deployed.Gold || !deployed.Silver) {
+    throw taskError(
+      `No SimpleSwap deployment for network "${hre.network.name}" (chain ${chainId}), ` +
+        "deploy it with ignition/modules/SimpleSwap.js first"
+    );
+  }
+
+  // Local chains share chainId 31337, the recorded deployment may belong to another node
+  if ((await hre.ethers.provider.getCode(deployed.SimpleSwap)) === "0x") {
+    throw taskError(`SimpleSwap is not deployed at ${deployed.SimpleSwap} on network "${hre.network.name}"`);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const simpleSwap = await hre.ethers.getContractAt("SimpleSwap", deployed.SimpleSwap, signer);
+  const gold = await hre.ethers.getContractAt("Gold", deployed.Gold, signer);
+  const silver = await hre.ethers.getContractAt("Silver", deployed.Silver, signer);
+
+  return {
+    signer,
+    simpleSwap,
+    gold,
+    silver,
+    goldDecimals: await gold.decimals(),
+    silverDecimals: await silver.decimals(),
+    lpDecimals: await simpleSwap.decimals(),
+  };
+}
+
+/**
+ * @notice Resolves the input and output side of a swap from the input token symbol.
+ * @param pool Object returned by loadPool.
+ * @param symbol GLD or SLV, case insensitive.
+ * @returns {Object} The input/output tokens, their decimals and symbols.
+ */
+function swapSides(pool, symbol) {
+  const from = symbol.toUpperCase();
+  if (from !== "GLD" && from !== "SLV") {
+    throw taskError(`Unknown token "${symbol}", use GLD or SLV`);
+  }
+
+  const goldIn = from === "GLD";
+  return {
+    goldIn,
+    tokenIn: goldIn ? pool.gold : pool.silver,
+    tokenOut: goldIn ? pool.silver : pool.gold,
+    decimalsIn: goldIn ? pool.goldDecimals : pool.silverDecimals,
+    decimalsOut: goldIn ? pool.silverDecimals : pool.goldDecimals,
+    symbolIn: from,
+    symbolOut: goldIn ? "SLV" : "GLD",
+  };
+}
+
+/**
+ * @notice Converts a slippage tolerance in percent to basis points.
+ * @param percent Tolerance between 0 and 50.
+ * @returns {bigint} The tolerance in basis points.
+ */
+function slippageBps(percent) {
+  if (!Number.isFinite(percent) || percent < 0 || percent > 50) {
+    throw taskError("--slippage must be a percentage between 0 and 50");
+  }
+  return BigInt(Math.round(percent * 100));
+}
+
+/**
+ * @notice Lowers an expected amount by the slippage tolerance.
+ */
+function applySlippage(amount, bps) {
+  return (amount * (10000n - bps)) / 10000n;
+}
+
+/**
+ * @notice Returns a deadline relative to the latest block, so it also works on
+ * local networks whose clock was moved.
+ */
+async function deadlineIn(hre, minutes) {
+  const latest = await hre.ethers.provider.getBlock("latest");
+  return latest.timestamp + minutes * 60;
+}
+
+/**
+ * @notice Approves the pool to spend `amount` when the current allowance is lower.
+ */
+async function ensureAllowance(token, owner, spender, amount) {
+  const allowance = await token.allowance(owner, spender);
+  if (allowance >= amount) {
+    return;
+  }
+  console.log(`Approving ${await token.symbol()}...`);
+  await (await token.approve(spender, amount)).wait();
+}
+
+/**
+ * @notice Prints the transaction hash, gas used and every SimpleSwap event of a receipt.
+ */
+function printReceipt(receipt, pool) {
+  const goldUnits = (amount) => `${ethers.formatUnits(amount, pool.goldDecimals)} GLD`;
+  const silverUnits = (amount) => `${ethers.formatUnits(amount, pool.silverDecimals)} SLV`;
+  const lpUnits = (amount) => `${ethers.formatUnits(amount, pool.lpDecimals)} GSLP`;
+
+  console.log(`Transaction ${receipt.hash} (block ${receipt.blockNumber}, gas ${receipt.gasUsed})`);
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== pool.simpleSwap.target.toLowerCase()) {
+      continue;
+    }
+    const parsed = pool.simpleSwap.interface.parseLog(log);
+    if (!parsed) {
+      continue;
+    }
+
+    const args = parsed.args;
+    switch (parsed.name) {
+      case "TokensSwapped": {
+        const goldIn = args.fromToken.toLowerCase() === pool.gold.target.toLowerCase();
+        const amountIn = goldIn ? goldUnits(args.amountIn) : silverUnits(args.amountIn);
+        const amountOut = goldIn ? silverUnits(args.amountOut) : goldUnits(args.amountOut);
+        const fee = goldIn ? goldUnits(args.fee) : silverUnits(args.fee);
+        console.log(`  TokensSwapped: ${amountIn} -> ${amountOut} to ${args.to}, fee ${fee}`);
+        break;
+      }
+      case "FeeUpdated":
+        console.log(`  FeeUpdated: swap fee ${Number(args.feeBps) / 100}%`);
+        break;
+      case "ProtocolFeeUpdated":
+        console.log(`  ProtocolFeeUpdated: ${Number(args.protocolFeeBps) / 100}% of the fee to ${args.feeTo}`);
+        break;
+      case "LiquidityAdded":
+        console.log(
+          `  LiquidityAdded: ${goldUnits(args.amountGold)} + ${silverUnits(args.amountSilver)}, ` +
+            `minted ${lpUnits(args.liquidity)} to ${args.to}`
+        );
+        break;
+      case "LiquidityRemoved":
+        console.log(
+          `  LiquidityRemoved: burned ${lpUnits(args.liquidity)}, ` +
+            `returned ${goldUnits(args.amountGold)} + ${silverUnits(args.amountSilver)} to ${args.to}`
+        );
+        break;
+    }
+  }
+}
+
+module.exports = {
+  taskError,
+  loadPool,
+  swapSides,
+  slippageBps,
+  applySlippage,
+  deadlineIn,
+  ensureAllowance,
+  printReceipt,
+};
@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const express = require("express");
+const { connectContracts } = require("../api/contracts");
+const { createApiRouter } = require("../api/routes");
+
+/**
+ * @title Test Suite for the read-only REST API
+ * @dev Mounts the API router on a throwaway Express server backed by the
+ * Hardhat network and checks the JSON it returns.
+ */
+describe("REST API", function () {
+  let server;
+  let baseUrl;
+
+  /**
+   * @dev Deploys Gold, Silver and SimpleSwap, seeds the pool with tokens
+   * and starts the API on a random port.
+   */
+  async function deployApiFixture() {
+    const [owner, addr1] = await ethers.getSigners();
+
+    const gold = await (await ethers.getContractFactory("Gold")).deploy();
+    const silver = await (await ethers.getContractFactory("Silver")).deploy();
+    const simpleSwap = await (await ethers.getContractFactory("SimpleSwap")).deploy(
+      await gold.getAddress(),
+      await silver.getAddress()
+    );
+
+    // Move the owner's initial supply into the pool so reserves match balances
+    await gold.transfer(await simpleSwap.getAddress(), 1000n);
+    await silver.transfer(await simpleSwap.getAddress(), 1000n);
+
+    const contracts = connectContracts(ethers.provider, {
+      swap: await simpleSwap.getAddress(),
+      gold: await gold.getAddress(),
+      silver: await silver.getAddress(),
+    });
+
+    return { simpleSwap, gold, silver, owner, addr1, contracts };
+  }
+
+  async function startApi(contracts) {
+    const app = express();
+    app.use("/api", createApiRouter(contracts));
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  }
+
+  afterEach(function () {
+    if (server) {
+      server.close();
+      server = undefined;
+    }
+  });
+
+  it("GET /pool returns reserves, supply and spot prices", async function () {
+    const { contracts, simpleSwap } = await loadFixture(deployApiFixture);
+    await startApi(contracts);
+
+    const body = await (await fetch(`${baseUrl}/pool`)).json();
+
+    expect(body.swap).to.equal(await simpleSwap.getAddress());
+    expect(body.reserveGold).to.equal("1000");
+    expect(body.reserveSilver).to.equal("1000");
+    expect(body.totalSupply).to.equal("2000");
+    expect(body.priceGoldInSilver).to.equal(ethers.parseEther("1").toString());
+    expect(body.priceSilverInGold).to.equal(ethers.parseEther("1").toString());
+    expect(body.feeBps).to.equal(30);
+    expect(body.protocolFeeBps).to.equal(0);
+  });
+
+  it("GET /quote matches getAmountOut on the current reserves", async function () {
+    const { contracts, simpleSwap } = await loadFixture(deployApiFixture);
+    await startApi(contracts);
+
+    const body = await (await fetch(`${baseUrl}/quote?from=GLD&amountIn=1000`)).json();
+
+    expect(body.to).to.equal("SLV");
+    expect(body.amountOut).to.equal((await simpleSwap.getAmountOut(1000, 1000, 1000)).toString());
+    expect(body.fee).to.equal("3");
+  });
+
+  it("GET /quote rejects unknown tokens and invalid amounts", async function () {
+    const { contracts } = await loadFixture(deployApiFixture);
+    await startApi(contracts);
+
+    expect((await fetch(`${baseUrl}/quote?from=ETH&amountIn=1`)).status).to.equal(400);
+    expect((await fetch(`${baseUrl}/quote?from=SLV&amountIn=1.5`)).status).to.equal(400);
+    expect((await fetch(`${baseUrl}/quote?from=SLV&amountIn=0`)).status).to.equal(400);
+  });
+
+  it("GET /positions/:address returns the LP position and its underlying tokens", async function () {
+    const { contracts, owner, addr1 } = await loadFixture(deployApiFixture);
+    await startApi(contracts);
+
+    const body = await (await fetch(`${baseUrl}/positions/${owner.address.toLowerCase()}`)).json();
+    expect(body.address).to.equal(owner.address);
+    expect(body.balance).to.equal("2000");
+    expect(body.liquidities).to.equal("2000");
+    expect(body.underlyingGold).to.equal("1000");
+    expect(body.underlyingSilver).to.equal("1000");
+
+    const empty = await (await fetch(`${baseUrl}/positions/${addr1.address}`)).json();
+    expect(empty.balance).to.equal("0");
+    expect(empty.underlyingGold).to.equal("0");
+
+    expect((await fetch(`${baseUrl}/positions/0x1234`)).status).to.equal(400);
+  });
+
+  it("GET /twap and /prices read the price oracle", async function () {
+    const { contracts, simpleSwap, gold, silver, addr1 } = await loadFixture(deployApiFixture);
+    const start = await simpleSwap.blockTimestampLast();
+
+    // 1:1 for 100 seconds, then a swap moves the price for 200 seconds
+    await gold.mint(addr1.address, 1000n);
+    await gold.connect(addr1).approve(await simpleSwap.getAddress(), 1000n);
+    await time.setNextBlockTimestamp(start + 100n);
+    await simpleSwap
+      .connect(addr1)
+      .swapExactTokensForTokens(1000n, 1, [await gold.getAddress(), await silver.getAddress()], addr1.address, start + 1000n);
+    await time.increaseTo(start + 300n);
+    await startApi(contracts);
+
+    const twap = await (await fetch(`${baseUrl}/twap?token=GLD&window=300`)).json();
+    expect(twap.price).to.equal((await simpleSwap.consult(await gold.getAddress(), 300)).toString());
+    expect(twap.spotPrice).to.equal(((await simpleSwap.reserveSilver()) * 10n ** 18n / 2000n).toString());
+
+    const prices = await (await fetch(`${baseUrl}/prices?window=300`)).json();
+    expect(prices.from).to.equal(Number(start));
+    expect(prices.to).to.equal(Number(start + 300n));
+    expect(prices.points.map((point) => point.timestamp)).to.deep.equal([Number(start + 100n), Number(start + 300n)]);
+    expect(prices.points[0].priceGoldInSilver).to.equal(ethers.parseEther("1").toString());
+    expect(prices.points[1].priceGoldInSilver).to.equal(twap.spotPrice);
+    expect(prices.twapGoldInSilver).to.equal(twap.price);
+
+    const tooLong = await fetch(`${baseUrl}/twap?token=GLD&window=301`);
+    expect(tooLong.status).to.equal(409);
+    expect((await tooLong.json()).history).to.equal(300);
+    expect((await fetch(`${baseUrl}/twap?token=ETH&window=10`)).status).to.equal(400);
+    expect((await fetch(`${baseUrl}/prices?window=0`)).status).to.equal(400);
+  });
+});
@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const path = require("path");
+const SimpleSwapModule = require("../ignition/modules/SimpleSwap");
+const SimpleSwapLiquidityProvidersModule = require("../ignition/modules/SimpleSwapLiquidityProviders");
+const SimpleSwapFactoryModule = require("../ignition/modules/SimpleSwapFactory");
+
+/**
+ * @title Test Suite for the Ignition deployment presets
+ * @dev Deploys every parameter file in ignition/parameters and checks that
+ * the pool holds the tokens its reserves account for.
+ */
+// Holder of the MINIMUM_LIQUIDITY a pool locks on its first deposit
+const LOCKED_LIQUIDITY = "0x000000000000000000000000000000000000dEaD";
+
+describe("Ignition deployment", function () {
+  const parameters = (name) => path.join(__dirname, "..", "ignition", "parameters", `${name}.json`);
+
+  /**
+   * @dev Asserts that reserves equal the pool balances and that the
+   * liquidities mapping of the given accounts and the liquidity locked by a
+   * first deposit add up to the GSLP supply.
+   */
+  async function expectConsistentPool({ gold, silver, simpleSwap }, accounts) {
+    const swapAddress = await simpleSwap.getAddress();
+    expect(await simpleSwap.reserveGold()).to.equal(await gold.balanceOf(swapAddress));
+    expect(await simpleSwap.reserveSilver()).to.equal(await silver.balanceOf(swapAddress));
+
+    let liquidities = await simpleSwap.liquidities(LOCKED_LIQUIDITY);
+    for (const account of accounts) {
+      liquidities += await simpleSwap.liquidities(account.address);
+    }
+    expect(liquidities).to.equal(await simpleSwap.totalSupply());
+  }
+
+  it("Should deploy the 'empty' preset without any liquidity", async function () {
+    const [owner] = await ethers.getSigners();
+    const pool = await ignition.deploy(SimpleSwapModule, { parameters: parameters("empty") });
+
+    await expectConsistentPool(pool, [owner]);
+    expect(await pool.simpleSwap.reserveGold()).to.equal(0n);
+    expect(await pool.simpleSwap.reserveSilver()).to.equal(0n);
+    expect(await pool.simpleSwap.totalSupply()).to.equal(0n);
+    expect(await pool.gold.balanceOf(owner.address)).to.equal(ethers.parseEther("100000"));
+  });
+
+  it("Should mint the initial supplies to every recipient", async function () {
+    const [owner, addr1, addr2] = await ethers.getSigners();
+    const pool = await ignition.deploy(SimpleSwapModule, {
+      parameters: {
+        SimpleSwapModule: {
+          recipient2: addr2.address,
+          goldSupply1: 100n,
+          goldSupply2: 200n,
+          silverSupply2: 300n,
+        },
+      },
+    });
+
+    expect(await pool.gold.balanceOf(owner.address)).to.equal(100n);
+    expect(await pool.gold.balanceOf(addr2.address)).to.equal(200n);
+    expect(await pool.silver.balanceOf(addr2.address)).to.equal(300n);
+    expect(await pool.gold.balanceOf(addr1.address)).to.equal(0n);
+  });
+
+  it("Should deploy the 'balanced' preset", async function () {
+    const [owner] = await ethers.getSigners();
+    const pool = await ignition.deploy(SimpleSwapModule, { parameters: parameters("balanced") });
+
+    await expectConsistentPool(pool, [owner]);
+    expect(await pool.simpleSwap.reserveGold()).to.equal(ethers.parseEther("10000"));
+    expect(await pool.simpleSwap.reserveSilver()).to.equal(ethers.parseEther("10000"));
+  });
+
+  it("Should deploy the 'skewed 1:10' preset", async function () {
+    const [owner] = await ethers.getSigners();
+    const pool = await ignition.deploy(SimpleSwapModule, { parameters: parameters("skewed-1-10") });
+
+    await expectConsistentPool(pool, [owner]);
+    const reserveGold = await pool.simpleSwap.reserveGold();
+    const reserveSilver = await pool.simpleSwap.reserveSilver();
+    expect((reserveSilver * 1000n) / reserveGold).to.be.closeTo(10000n, 1n);
+  });
+
+  it("Should deploy the 'many LPs' preset with a GSLP position per provider", async function () {
+    const [owner, ...others] = await ethers.getSigners();
+    const providers = others.slice(0, 4);
+    const pool = await ignition.deploy(SimpleSwapLiquidityProvidersModule, { parameters: parameters("many-lps") });
+
+    await expectConsistentPool(pool, [owner, ...providers]);
+    for (const provider of providers) {
+      expect(await pool.simpleSwap.balanceOf(provider.address)).to.be.gt(0n);
+    }
+    expect(await pool.simpleSwap.liquidities(providers[0].address)).to.be.gt(
+      await pool.simpleSwap.liquidities(providers[3].address)
+    );
+  });
+
+  it("Should deploy the 'multi-pool' preset with every pool listed by the factory", async function () {
+    const [owner] = await ethers.getSigners();
+    const deployed = await ignition.deploy(SimpleSwapFactoryModule, { parameters: parameters("multi-pool") });
+    const { factory, gold, silver, usdt, aleph, simpleSwap, goldUsdtPool, alephUsdtPool } = deployed;
+
+    expect(await factory.getPools()).to.deep.equal([simpleSwap.target, goldUsdtPool.target, alephUsdtPool.target]);
+    expect(await factory.getPool(usdt.target, gold.target)).to.equal(goldUsdtPool.target);
+    expect(await factory.getPool(aleph.target, usdt.target)).to.equal(alephUsdtPool.target);
+
+    await expectConsistentPool({ gold, silver, simpleSwap }, [owner]);
+    await expectConsistentPool({ gold, silver: usdt, simpleSwap: goldUsdtPool }, [owner]);
+    await expectConsistentPool({ gold: aleph, silver: usdt, simpleSwap: alephUsdtPool }, [owner]);
+    expect(await goldUsdtPool.reserveSilver()).to.equal(ethers.parseUnits("2000000", 6));
+    expect(await usdt.decimals()).to.equal(6n);
+  });
+});
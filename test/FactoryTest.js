@@ -0,0 +1,240 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Far enough to never expire during the tests
+const DEADLINE = 4102444800;
+
+/**
+ * @title Test Suite for the SimpleSwapFactory Contract
+ * @dev Tests pool creation for arbitrary ERC20 pairs, the pool registry and
+ * trading on a pool created by the factory.
+ */
+describe("Pool factory", function () {
+  /**
+   * @dev Deploys Gold, Silver, a 6 decimals USDT test token and the factory,
+   * and funds addr1 with Gold and USDT.
+   */
+  async function deployFactoryFixture() {
+    const [owner, addr1, addr2] = await ethers.getSigners();
+
+    const gold = await ethers.deployContract("Gold");
+    const silver = await ethers.deployContract("Silver");
+    const usdt = await ethers.deployContract("TestToken", ["Tether USD", "USDT", 6]);
+    const factory = await ethers.deployContract("SimpleSwapFactory");
+
+    await gold.mint(addr1.address, ethers.parseEther("1000"));
+    await usdt.mint(addr1.address, ethers.parseUnits("1000000", 6));
+
+    return { factory, gold, silver, usdt, owner, addr1, addr2 };
+  }
+
+  /**
+   * @dev Creates the Gold/USDT pool from addr1 and returns it.
+   */
+  async function createGoldUsdtPool({ factory, gold, usdt, addr1 }) {
+    await factory.connect(addr1).createPool(gold.target, usdt.target);
+    return ethers.getContractAt("SimpleSwap", await factory.getPool(gold.target, usdt.target));
+  }
+
+  it("Should create an empty pool owned by the factory owner", async function () {
+    const fixture = await loadFixture(deployFactoryFixture);
+    const { factory, gold, usdt, owner, addr1 } = fixture;
+
+    await expect(factory.connect(addr1).createPool(gold.target, usdt.target)).to.emit(factory, "PoolCreated");
+    const pool = await ethers.getContractAt("SimpleSwap", await factory.getPool(gold.target, usdt.target));
+
+    expect(await factory.getPool(usdt.target, gold.target)).to.equal(pool.target);
+    expect(await pool.goldToken()).to.equal(gold.target);
+    expect(await pool.silverToken()).to.equal(usdt.target);
+    expect(await pool.owner()).to.equal(owner.address);
+    expect(await pool.totalSupply()).to.equal(0n);
+    expect(await pool.reserveGold()).to.equal(0n);
+  });
+
+  it("Should allow only one pool per pair, in any order", async function () {
+    const fixture = await loadFixture(deployFactoryFixture);
+    const { factory, gold, usdt } = fixture;
+    await createGoldUsdtPool(fixture);
+
+    await expect(factory.createPool(usdt.target, gold.target)).to.be.revertedWith("Pool exists");
+    await expect(factory.createPool(gold.target, gold.target)).to.be.revertedWith("Identical tokens");
+    await expect(factory.createPool(gold.target, ethers.ZeroAddress)).to.be.revertedWith("Zero address");
+  });
+
+  it("Should list created and registered pools", async function () {
+    const fixture = await loadFixture(deployFactoryFixture);
+    const { factory, gold, silver, addr1 } = fixture;
+
+    // The original Gold/Silver pool, deployed outside the factory
+    const simpleSwap = await ethers.deployContract("SimpleSwap", [gold.target, silver.target]);
+    const goldUsdtPool = await createGoldUsdtPool(fixture);
+
+    await expect(factory.connect(addr1).registerPool(simpleSwap.target)).to.be.revertedWithCustomError(
+      factory,
+      "OwnableUnauthorizedAccount"
+    );
+    await factory.registerPool(simpleSwap.target);
+    await expect(factory.registerPool(simpleSwap.target)).to.be.revertedWith("Pool exists");
+
+    expect(await factory.allPoolsLength()).to.equal(2n);
+    expect(await factory.getPools()).to.deep.equal([goldUsdtPool.target, simpleSwap.target]);
+    expect(await factory.getPool(silver.target, gold.target)).to.equal(simpleSwap.target);
+  });
+
+  it("Should ignore tokens sent to the factory and accept a first deposit", async function () {
+    const { factory, gold, usdt, owner, addr1 } = await loadFixture(deployFactoryFixture);
+
+    // Dust sent before the pair exists must not seed the pool or block its first deposit
+    await gold.transfer(factory.target, 1n);
+    await factory.createPool(gold.target, usdt.target);
+    const pool = await ethers.getContractAt("SimpleSwap", await factory.getPool(gold.target, usdt.target));
+
+    expect(await pool.reserveGold()).to.equal(0n);
+    expect(await pool.totalSupply()).to.equal(0n);
+    expect(await pool.balanceOf(factory.target)).to.equal(0n);
+    expect(await gold.balanceOf(factory.target)).to.equal(1n);
+    expect(await gold.balanceOf(owner.address)).to.equal(999n);
+
+    const amountGold = ethers.parseEther("1");
+    const amountUsdt = ethers.parseUnits("2000", 6);
+    await gold.connect(addr1).approve(pool.target, amountGold);
+    await usdt.connect(addr1).approve(pool.target, amountUsdt);
+    await pool.connect(addr1).addLiquidity(gold.target, usdt.target, amountGold, amountUsdt, 0, 0, addr1.address, DEADLINE);
+
+    expect(await pool.reserveGold()).to.equal(amountGold);
+    expect(await pool.reserveSilver()).to.equal(amountUsdt);
+    expect(await pool.balanceOf(addr1.address)).to.equal(amountGold + amountUsdt - (await pool.MINIMUM_LIQUIDITY()));
+  });
+
+  it("Should seed a new pool with its first deposit and then swap", async function () {
+    const fixture = await loadFixture(deployFactoryFixture);
+    const { gold, usdt, addr1, addr2 } = fixture;
+    const pool = await createGoldUsdtPool(fixture);
+
+    const amountGold = ethers.parseEther("100");
+    const amountUsdt = ethers.parseUnits("200000", 6);
+    await gold.connect(addr1).approve(pool.target, ethers.MaxUint256);
+    await usdt.connect(addr1).approve(pool.target, ethers.MaxUint256);
+
+    // The first deposit takes both amounts as is and sets the price, MINIMUM_LIQUIDITY stays locked
+    const minimumLiquidity = await pool.MINIMUM_LIQUIDITY();
+    await expect(
+      pool.connect(addr1).addLiquidity(gold.target, usdt.target, amountGold, amountUsdt, 0, 0, addr1.address, DEADLINE)
+    )
+      .to.emit(pool, "LiquidityAdded")
+      .withArgs(addr1.address, addr1.address, amountGold, amountUsdt, amountGold + amountUsdt - minimumLiquidity);
+    expect(await pool.totalSupply()).to.equal(amountGold + amountUsdt);
+    expect(await pool.reserveGold()).to.equal(amountGold);
+    expect(await pool.reserveSilver()).to.equal(amountUsdt);
+
+    const amountIn = ethers.parseUnits("2000", 6);
+    const expectedOut = await pool.getAmountOut(amountIn, amountUsdt, amountGold);
+    await pool
+      .connect(addr1)
+      .swapExactTokensForTokens(amountIn, expectedOut, [usdt.target, gold.target], addr2.address, DEADLINE);
+
+    expect(await gold.balanceOf(addr2.address)).to.equal(expectedOut);
+    expect(await pool.reserveSilver()).to.equal(amountUsdt + amountIn);
+  });
+
+  it("Should refuse a first deposit that does not cover the locked minimum liquidity", async function () {
+    const fixture = await loadFixture(deployFactoryFixture);
+    const { gold, usdt, addr1 } = fixture;
+    const pool = await createGoldUsdtPool(fixture);
+    await gold.connect(addr1).approve(pool.target, ethers.MaxUint256);
+    await usdt.connect(addr1).approve(pool.target, ethers.MaxUint256);
+
+    await expect(
+      pool.connect(addr1).addLiquidity(gold.target, usdt.target, 1, 999, 0, 0, addr1.address, DEADLINE)
+    ).to.be.revertedWith("Insufficient liquidity minted");
+  });
+
+  /**
+   * @dev Creates the Gold/USDT pool, makes the smallest first deposit from addr2
+   * and sends it a large donation of both tokens that the reserves do not count yet.
+   */
+  async function donateToNewPool(fixture) {
+    const { gold, usdt, addr1, addr2: attacker } = fixture;
+    const pool = await createGoldUsdtPool(fixture);
+    const donation = ethers.parseEther("100");
+    const donationUsdt = ethers.parseUnits("200000", 6);
+    await gold.mint(attacker.address, donation + 2n);
+    await usdt.mint(attacker.address, donationUsdt + 1000n);
+    for (const signer of [attacker, addr1]) {
+      await gold.connect(signer).approve(pool.target, ethers.MaxUint256);
+      await usdt.connect(signer).approve(pool.target, ethers.MaxUint256);
+    }
+
+    await pool.connect(attacker).addLiquidity(gold.target, usdt.target, 1, 1000, 0, 0, attacker.address, DEADLINE);
+    expect(await pool.balanceOf(attacker.address)).to.equal(1n);
+    await gold.connect(attacker).transfer(pool.target, donation);
+    await usdt.connect(attacker).transfer(pool.target, donationUsdt);
+
+    return { pool, attacker, donation };
+  }
+
+  /**
+   * @dev Deposits 10 Gold at the pool ratio from addr1 and withdraws it at once.
+   * @return The Gold addr1 lost on the round trip.
+   */
+  async function depositAndWithdraw({ gold, usdt, addr1 }, pool) {
+    const amountGold = ethers.parseEther("10");
+    const amountUsdt = (amountGold * (await pool.reserveSilver())) / (await pool.reserveGold()) + 1n;
+    await pool.connect(addr1).addLiquidity(gold.target, usdt.target, amountGold, amountUsdt, 0, 0, addr1.address, DEADLINE);
+    const liquidity = await pool.balanceOf(addr1.address);
+    expect(liquidity).to.be.gt(0n);
+
+    const goldBefore = await gold.balanceOf(addr1.address);
+    await pool.connect(addr1).removeLiquidity(gold.target, usdt.target, liquidity, 0, 0, addr1.address, DEADLINE);
+    return amountGold - ((await gold.balanceOf(addr1.address)) - goldBefore);
+  }
+
+  it("Should keep a donation by the first depositor from taking value from the next one", async function () {
+    const fixture = await loadFixture(deployFactoryFixture);
+    const { gold, usdt } = fixture;
+    const { pool, attacker, donation } = await donateToNewPool(fixture);
+
+    // A swap settles the donation into the reserves
+    await pool.connect(attacker).swapExactTokensForTokens(1, 0, [gold.target, usdt.target], attacker.address, DEADLINE);
+    const reserveGold = await pool.reserveGold();
+    expect(reserveGold).to.equal(donation + 2n);
+
+    // The next depositor still gets GSLP and loses less than one GSLP worth of Gold
+    const victimLoss = await depositAndWithdraw(fixture, pool);
+    expect(victimLoss).to.be.lte(reserveGold / (await pool.MINIMUM_LIQUIDITY()));
+
+    // The locked GSLP keep most of the donation, the attacker loses a thousand times more
+    const attackerBefore = await gold.balanceOf(attacker.address);
+    await pool.connect(attacker).removeLiquidity(gold.target, usdt.target, 1, 0, 0, attacker.address, DEADLINE);
+    const attackerLoss = donation + 2n - ((await gold.balanceOf(attacker.address)) - attackerBefore);
+    expect(attackerLoss).to.be.gt(1000n * victimLoss);
+  });
+
+  it("Should keep a donate and sync before the second deposit from taking value from it", async function () {
+    const fixture = await loadFixture(deployFactoryFixture);
+    const { pool, attacker, donation } = await donateToNewPool(fixture);
+
+    await expect(pool.connect(attacker).sync()).to.be.revertedWithCustomError(pool, "OwnableUnauthorizedAccount");
+
+    // Even once the owner syncs the donation the next depositor loses less than one GSLP worth of Gold
+    await pool.sync();
+    const reserveGold = await pool.reserveGold();
+    expect(reserveGold).to.equal(donation + 1n);
+    const victimLoss = await depositAndWithdraw(fixture, pool);
+    expect(victimLoss).to.be.lte(reserveGold / (await pool.MINIMUM_LIQUIDITY()));
+  });
+
+  it("Should revert with 'Invalid token pair' for tokens of another pool", async function () {
+    const fixture = await loadFixture(deployFactoryFixture);
+    const { gold, silver, usdt, addr1 } = fixture;
+    const pool = await createGoldUsdtPool(fixture);
+
+    await expect(
+      pool.connect(addr1).addLiquidity(gold.target, silver.target, 1, 1, 0, 0, addr1.address, DEADLINE)
+    ).to.be.revertedWith("Invalid token pair");
+    await expect(
+      pool.connect(addr1).removeLiquidity(usdt.target, gold.target, 1, 0, 0, addr1.address, DEADLINE)
+    ).to.be.revertedWith("Invalid token pair");
+  });
+});
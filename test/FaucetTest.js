@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const express = require("express");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { connectContracts } = require("../api/contracts");
+const { createFaucet, createFaucetRouter } = require("../api/faucet");
+const { createJsonStore } = require("../api/store");
+
+const AMOUNT = 100n;
+const DAILY_CAP = 250n;
+const COOLDOWN = 3600;
+const HOUR = 3600 * 1000;
+
+/**
+ * @title Test Suite for the Gold and Silver faucet
+ * @dev Mints through the owner's signer on the Hardhat network with a fake
+ * clock, and checks the cooldowns, the caps and their persistence.
+ */
+describe("Faucet", function () {
+  let file;
+  let clock;
+  let server;
+
+  /**
+   * @dev Deploys Gold and Silver, owned by the first signer.
+   */
+  async function deployFaucetFixture() {
+    const [owner, addr1, addr2, addr3] = await ethers.getSigners();
+
+    const gold = await (await ethers.getContractFactory("Gold")).deploy();
+    const silver = await (await ethers.getContractFactory("Silver")).deploy();
+    const addresses = {
+      swap: ethers.ZeroAddress,
+      gold: await gold.getAddress(),
+      silver: await silver.getAddress(),
+    };
+
+    return { gold, silver, owner, addr1, addr2, addr3, addresses };
+  }
+
+  function newFaucet(signer, addresses, dailyCap = DAILY_CAP) {
+    return createFaucet({
+      contracts: connectContracts(signer, addresses),
+      store: createJsonStore(file, {}),
+      amount: AMOUNT,
+      dailyCap,
+      cooldown: COOLDOWN,
+      now: () => clock,
+    });
+  }
+
+  beforeEach(function () {
+    file = path.join(os.tmpdir(), `simpleswap-faucet-${process.pid}-${Date.now()}.json`);
+    clock = Date.parse("2026-01-01T12:00:00Z");
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+    if (server) {
+      server.close();
+      server = undefined;
+    }
+  });
+
+  it("Should mint Gold and Silver and keep the cooldown across restarts", async function () {
+    const { gold, silver, owner, addr1, addresses } = await loadFixture(deployFaucetFixture);
+    const faucet = newFaucet(owner, addresses);
+
+    const result = await faucet.drip(addr1.address.toLowerCase(), "10.0.0.1");
+    expect(result.address).to.equal(addr1.address);
+    expect(result.amount).to.equal(AMOUNT.toString());
+    expect(result.transactions).to.have.length(2);
+    expect(await gold.balanceOf(addr1.address)).to.equal(AMOUNT);
+    expect(await silver.balanceOf(addr1.address)).to.equal(AMOUNT);
+
+    // A new faucet on the same file still knows the address
+    clock += HOUR / 2;
+    const restarted = newFaucet(owner, addresses);
+    const status = restarted.status(addr1.address, "10.0.0.2");
+    expect(status.retryAfter).to.equal(COOLDOWN / 2);
+    expect(status.remainingToday).to.equal((DAILY_CAP - AMOUNT).toString());
+    await expect(restarted.drip(addr1.address, "10.0.0.2")).to.be.rejectedWith("Faucet cooldown");
+
+    clock += HOUR / 2;
+    await restarted.drip(addr1.address, "10.0.0.2");
+    expect(await gold.balanceOf(addr1.address)).to.equal(2n * AMOUNT);
+  });
+
+  it("Should limit every address and every IP separately", async function () {
+    const { owner, addr1, addr2, addresses } = await loadFixture(deployFaucetFixture);
+    const faucet = newFaucet(owner, addresses);
+
+    await faucet.drip(addr1.address, "10.0.0.1");
+    // Same IP with another address, and same address from another IP
+    await expect(faucet.drip(addr2.address, "10.0.0.1")).to.be.rejectedWith("Faucet cooldown");
+    await expect(faucet.drip(addr1.address, "10.0.0.2")).to.be.rejectedWith("Faucet cooldown");
+    await faucet.drip(addr2.address, "10.0.0.2");
+
+    expect(faucet.status(undefined, "10.0.0.3").retryAfter).to.equal(0);
+  });
+
+  it("Should cap every request and every UTC day", async function () {
+    const { gold, owner, addr1, addr2, addr3, addresses } = await loadFixture(deployFaucetFixture);
+    const faucet = newFaucet(owner, addresses);
+
+    await expect(faucet.drip(addr1.address, "10.0.0.1", AMOUNT + 1n)).to.be.rejectedWith("amount must be between");
+    await expect(faucet.drip(addr1.address, "10.0.0.1", 0n)).to.be.rejectedWith("amount must be between");
+
+    await faucet.drip(addr1.address, "10.0.0.1");
+    await faucet.drip(addr2.address, "10.0.0.2");
+    // 50 left today, until midnight UTC
+    const capped = await faucet.drip(addr3.address, "10.0.0.3").catch((err) => err);
+    expect(capped.message).to.equal("Daily faucet cap reached");
+    expect(capped.retryAfter).to.equal(12 * 3600);
+    await faucet.drip(addr3.address, "10.0.0.3", 50n);
+    expect(faucet.status(undefined, "10.0.0.4").remainingToday).to.equal("0");
+
+    // Restarted with a cap below what was minted today
+    const lowered = newFaucet(owner, addresses, DAILY_CAP / 2n);
+    expect(lowered.status(undefined, "10.0.0.4").remainingToday).to.equal("0");
+    await expect(lowered.drip(ethers.Wallet.createRandom().address, "10.0.0.4", 1n)).to.be.rejectedWith(
+      "Daily faucet cap reached"
+    );
+
+    clock = Date.parse("2026-01-02T00:00:00Z");
+    expect(faucet.status(undefined, "10.0.0.4").remainingToday).to.equal(DAILY_CAP.toString());
+    await faucet.drip(addr1.address, "10.0.0.1");
+    expect(await gold.balanceOf(addr1.address)).to.equal(2n * AMOUNT);
+  });
+
+  it("Should give the cooldown back when the mint fails", async function () {
+    const { gold, owner, addr1, addresses } = await loadFixture(deployFaucetFixture);
+
+    // addr1 does not own the tokens, its mints revert
+    const notOwner = newFaucet(addr1, addresses);
+    await expect(notOwner.drip(addr1.address, "10.0.0.1")).to.be.rejected;
+    expect(notOwner.status(addr1.address, "10.0.0.1").retryAfter).to.equal(0);
+    expect(notOwner.status(addr1.address, "10.0.0.1").remainingToday).to.equal(DAILY_CAP.toString());
+
+    await newFaucet(owner, addresses).drip(addr1.address, "10.0.0.1");
+    expect(await gold.balanceOf(addr1.address)).to.equal(AMOUNT);
+  });
+
+  it("POST /faucet answers the limits with their status and Retry-After", async function () {
+    const { silver, owner, addr1, addresses } = await loadFixture(deployFaucetFixture);
+    const app = express();
+    app.use("/api", createFaucetRouter(newFaucet(owner, addresses)));
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/api/faucet`;
+    const post = (body) =>
+      fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+    expect((await post({ address: "0x1234" })).status).to.equal(400);
+    expect((await post({ address: addr1.address, amount: "1.5" })).status).to.equal(400);
+    expect((await post({ address: addr1.address, amount: "1000" })).status).to.equal(400);
+
+    const minted = await post({ address: addr1.address, amount: "40" });
+    expect(minted.status).to.equal(200);
+    expect((await minted.json()).amount).to.equal("40");
+    expect(await silver.balanceOf(addr1.address)).to.equal(40n);
+
+    const limited = await post({ address: addr1.address });
+    expect(limited.status).to.equal(429);
+    expect(limited.headers.get("Retry-After")).to.equal(String(COOLDOWN));
+    expect((await limited.json()).retryAfter).to.equal(COOLDOWN);
+
+    const status = await (await fetch(`${url}?address=${addr1.address}`)).json();
+    expect(status.amount).to.equal(AMOUNT.toString());
+    expect(status.remainingToday).to.equal((DAILY_CAP - 40n).toString());
+    expect(status.retryAfter).to.equal(COOLDOWN);
+  });
+});
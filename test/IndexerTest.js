@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { connectContracts } = require("../api/contracts");
+const { createIndexer } = require("../api/indexer");
+const { createJsonStore } = require("../api/store");
+
+/**
+ * @title Test Suite for the event indexer
+ * @dev Runs the indexer against the Hardhat network and checks the recorded
+ * history, the daily volume, persistence and reorg handling.
+ */
+describe("Event indexer", function () {
+  let file;
+
+  /**
+   * @dev Deploys a funded pool with liquidity and approvals for addr1.
+   */
+  async function deployIndexerFixture() {
+    const [owner, addr1] = await ethers.getSigners();
+
+    const gold = await (await ethers.getContractFactory("Gold")).deploy();
+    const silver = await (await ethers.getContractFactory("Silver")).deploy();
+    const simpleSwap = await (await ethers.getContractFactory("SimpleSwap")).deploy(
+      await gold.getAddress(),
+      await silver.getAddress()
+    );
+    const swapAddress = await simpleSwap.getAddress();
+
+    await gold.transfer(swapAddress, 1000n);
+    await silver.transfer(swapAddress, 1000n);
+    await gold.mint(addr1.address, 10000n);
+    await silver.mint(addr1.address, 10000n);
+    await gold.connect(addr1).approve(swapAddress, 10000n);
+    await silver.connect(addr1).approve(swapAddress, 10000n);
+
+    const contracts = connectContracts(ethers.provider, {
+      swap: swapAddress,
+      gold: await gold.getAddress(),
+      silver: await silver.getAddress(),
+    });
+
+    return { simpleSwap, gold, silver, owner, addr1, contracts };
+  }
+
+  async function deadline() {
+    return (await ethers.provider.getBlock("latest")).timestamp + 60;
+  }
+
+  function newIndexer(contracts) {
+    return createIndexer({ provider: ethers.provider, contracts, store: createJsonStore(file) });
+  }
+
+  beforeEach(function () {
+    file = path.join(os.tmpdir(), `simpleswap-events-${process.pid}-${Date.now()}.json`);
+  });
+
+  afterEach(function () {
+    fs.rmSync(file, { force: true });
+  });
+
+  it("Should index swaps and liquidity events with per account and per type filters", async function () {
+    const { simpleSwap, gold, silver, owner, addr1, contracts } = await loadFixture(deployIndexerFixture);
+
+    await simpleSwap.connect(addr1).swapExactTokensForTokens(
+      100, 1, [await gold.getAddress(), await silver.getAddress()], addr1.address, await deadline()
+    );
+    await simpleSwap.connect(addr1).addLiquidity(
+      await gold.getAddress(), await silver.getAddress(), 100, 1000, 1, 1, addr1.address, await deadline()
+    );
+
+    const indexer = newIndexer(contracts);
+    const { added } = await indexer.sync();
+    expect(added).to.equal(2);
+
+    const swaps = indexer.history({ type: "TokensSwapped" });
+    expect(swaps.total).to.equal(1);
+    expect(swaps.items[0].amountIn).to.equal("100");
+    expect(swaps.items[0].amountGold).to.equal("100");
+    expect(swaps.items[0].amountSilver).to.equal(swaps.items[0].amountOut);
+
+    const mine = indexer.history({ account: addr1.address.toLowerCase() });
+    expect(mine.total).to.equal(2);
+    expect(mine.items[0].type).to.equal("LiquidityAdded");
+
+    expect(indexer.history({ account: owner.address }).total).to.equal(0);
+
+    // A second sync without new blocks adds nothing
+    expect((await indexer.sync()).added).to.equal(0);
+  });
+
+  it("Should paginate newest first and aggregate daily volume and fees", async function () {
+    const { simpleSwap, gold, silver, addr1, contracts } = await loadFixture(deployIndexerFixture);
+    const swapPath = [await silver.getAddress(), await gold.getAddress()];
+
+    // 1% fee, so each swap of i * 100 Silver pays i Silver of fee
+    await simpleSwap.setFee(100);
+    for (let i = 1; i <= 5; i++) {
+      await simpleSwap.connect(addr1).swapExactTokensForTokens(i * 100, 1, swapPath, addr1.address, await deadline());
+    }
+
+    const indexer = newIndexer(contracts);
+    await indexer.sync();
+
+    const page = indexer.history({ page: 2, pageSize: 2 });
+    expect(page.total).to.equal(5);
+    expect(page.items.map((e) => e.amountIn)).to.deep.equal(["300", "200"]);
+    expect(page.items.map((e) => e.fee)).to.deep.equal(["3", "2"]);
+
+    const volume = indexer.volumeByDay();
+    const sum = (field) => volume.reduce((total, day) => total + BigInt(day[field]), 0n);
+    expect(volume.reduce((total, day) => total + day.swaps, 0)).to.equal(5);
+    expect(sum("volumeSilver")).to.equal(1500n);
+    expect(sum("feeSilver")).to.equal(15n);
+    expect(sum("feeGold")).to.equal(0n);
+  });
+
+  it("Should persist the store and resume from the last indexed block", async function () {
+    const { simpleSwap, gold, silver, addr1, contracts } = await loadFixture(deployIndexerFixture);
+    const swapPath = [await gold.getAddress(), await silver.getAddress()];
+
+    await simpleSwap.connect(addr1).swapExactTokensForTokens(10, 1, swapPath, addr1.address, await deadline());
+    await newIndexer(contracts).sync();
+
+    await simpleSwap.connect(addr1).swapExactTokensForTokens(20, 1, swapPath, addr1.address, await deadline());
+    const resumed = newIndexer(contracts);
+    expect((await resumed.sync()).added).to.equal(1);
+    expect(resumed.history().total).to.equal(2);
+  });
+
+  it("Should roll back events from reorganized blocks", async function () {
+    const { simpleSwap, gold, silver, addr1, contracts } = await loadFixture(deployIndexerFixture);
+    const swapPath = [await gold.getAddress(), await silver.getAddress()];
+
+    await simpleSwap.connect(addr1).swapExactTokensForTokens(10, 1, swapPath, addr1.address, await deadline());
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    await simpleSwap.connect(addr1).swapExactTokensForTokens(20, 1, swapPath, addr1.address, await deadline());
+    const indexer = newIndexer(contracts);
+    await indexer.sync();
+    expect(indexer.history().total).to.equal(2);
+
+    // Replace the last block with a different one at the same height
+    await network.provider.send("evm_revert", [snapshot]);
+    await simpleSwap.connect(addr1).swapExactTokensForTokens(30, 1, swapPath, addr1.address, await deadline());
+
+    const { removed, added } = await indexer.sync();
+    expect(removed).to.equal(1);
+    expect(added).to.equal(1);
+    expect(indexer.history().items.map((e) => e.amountIn)).to.deep.equal(["30", "10"]);
+  });
+});
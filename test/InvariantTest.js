@@ -0,0 +1,480 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const path = require("path");
+const SimpleSwapModule = require("../ignition/modules/SimpleSwap");
+
+/**
+ * Number of random sequences, steps per sequence and PRNG seed. The seed is
+ * fixed so every run tests the same sequences, FUZZ_SEED explores others.
+ * Every failure prints the seed and a shrunk sequence that can be replayed
+ * with FUZZ_REPLAY.
+ */
+const RUNS = Number(process.env.FUZZ_RUNS || 8);
+const STEPS = Number(process.env.FUZZ_STEPS || 40);
+const SEED = Number(process.env.FUZZ_SEED || 1);
+
+// Far enough to never expire during a run
+const DEADLINE = 4102444800;
+
+// GSLP locked by the first deposit of an empty pool, and their holder
+const MINIMUM_LIQUIDITY = 1000n;
+const LOCKED_LIQUIDITY = "0x000000000000000000000000000000000000dEaD";
+
+// Values are geometric means of Gold and Silver amounts, scaled by 1e18 so
+// the square roots keep their fractional part
+const SCALE = 10n ** 18n;
+
+// Rounding allowed per step in the withdrawal bound: one wei of geometric value
+const ROUNDING = SCALE;
+
+/**
+ * @dev Integer square root, rounded down.
+ */
+function sqrt(value) {
+  if (value < 2n) {
+    return value;
+  }
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+/**
+ * @dev Value of a Gold and Silver amount: their geometric mean, which the pool
+ * trades at no gain or loss, so it compares amounts taken at different prices.
+ */
+function geometricValue(amountGold, amountSilver) {
+  return sqrt(amountGold * amountSilver * SCALE * SCALE);
+}
+
+/**
+ * @dev Small deterministic PRNG (mulberry32), so a seed always yields the same sequences.
+ */
+function mulberry32(seed) {
+  return function () {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @dev Builds a random step. Amounts are per-mille fractions of the actor's
+ * balance at execution time, so any subsequence of steps is still valid.
+ */
+function randomStep(random, actors) {
+  const int = (n) => Math.floor(random() * n);
+  const kinds = ["swap", "swap", "swap", "buy", "add", "remove", "transfer", "overdraw", "fee"];
+  return {
+    kind: kinds[int(kinds.length)],
+    actor: int(actors),
+    to: int(actors),
+    goldIn: random() < 0.5,
+    fraction: 1 + int(1000),
+    fraction2: 1 + int(1000),
+  };
+}
+
+/**
+ * @title Invariant and fuzz test suite for SimpleSwap's AMM math
+ * @dev Runs random sequences of exact input and exact output swaps, liquidity adds and removes, GSLP
+ * transfers from several signers and fee changes by the owner. Every step is checked against the expected
+ * outcome of the contract formulas and the pool invariants are asserted after
+ * each one.
+ */
+describe("SimpleSwap invariants", function () {
+  this.timeout(0);
+
+  /**
+   * @dev Deploys the 'balanced' preset and funds three more actors with
+   * Gold and Silver, every actor approves the pool once. A fifth signer
+   * receives the protocol share of the fees.
+   */
+  async function deployInvariantFixture() {
+    const signers = await ethers.getSigners();
+    const actors = signers.slice(0, 4);
+    const feeTo = signers[4];
+    const { gold, silver, simpleSwap } = await ignition.deploy(SimpleSwapModule, {
+      parameters: path.join(__dirname, "..", "ignition", "parameters", "balanced.json"),
+    });
+
+    for (const actor of actors) {
+      if (actor !== actors[0]) {
+        await gold.mint(actor.address, ethers.parseEther("1000"));
+        await silver.mint(actor.address, ethers.parseEther("1000"));
+      }
+      await gold.connect(actor).approve(simpleSwap.target, ethers.MaxUint256);
+      await silver.connect(actor).approve(simpleSwap.target, ethers.MaxUint256);
+    }
+
+    await simpleSwap.setProtocolFee(feeTo.address, 1000);
+
+    return { gold, silver, simpleSwap, actors, feeTo };
+  }
+
+  /**
+   * @dev Reads the pool reserves and LP supply.
+   */
+  async function poolState({ simpleSwap }) {
+    return {
+      reserveGold: await simpleSwap.reserveGold(),
+      reserveSilver: await simpleSwap.reserveSilver(),
+      totalSupply: await simpleSwap.totalSupply(),
+    };
+  }
+
+  /**
+   * @dev Executes one step and checks its outcome against the contract formulas.
+   * @param ledger Value deposited, withdrawn and earned in fees per actor, see geometricValue.
+   */
+  async function runStep(pool, ledger, step) {
+    const { gold, silver, simpleSwap, actors, feeTo } = pool;
+    const actor = actors[step.actor];
+    const state = await poolState(pool);
+
+    if (step.kind === "swap") {
+      const [tokenIn, tokenOut] = step.goldIn ? [gold, silver] : [silver, gold];
+      const [reserveIn, reserveOut] = step.goldIn
+        ? [state.reserveGold, state.reserveSilver]
+        : [state.reserveSilver, state.reserveGold];
+
+      // At most half of the balance per swap
+      const amountIn = ((await tokenIn.balanceOf(actor.address)) * BigInt(step.fraction)) / 2000n;
+      if (amountIn === 0n) {
+        return;
+      }
+
+      // Read before sending, the transaction is mined as soon as it is sent
+      const balanceBefore = await tokenOut.balanceOf(actor.address);
+      const feeToBefore = await tokenIn.balanceOf(feeTo.address);
+      const feeBps = await simpleSwap.feeBps();
+      const protocolFeeBps = await simpleSwap.protocolFeeBps();
+
+      const swap = simpleSwap
+        .connect(actor)
+        .swapExactTokensForTokens(amountIn, 0, [tokenIn.target, tokenOut.target], actor.address, DEADLINE);
+
+      if (reserveIn === 0n || reserveOut === 0n) {
+        await expect(swap).to.be.revertedWith("Invalid reserves or amount");
+        return;
+      }
+
+      // Same fee math as SimpleSwap._getAmountOut
+      const amountInWithFee = amountIn * (10000n - feeBps);
+      const expectedOut = (amountInWithFee * reserveOut) / (reserveIn * 10000n + amountInWithFee);
+      if (expectedOut === 0n) {
+        await expect(swap).to.be.revertedWith("Insufficient output amount");
+        return;
+      }
+      const protocolFee = (((amountIn * feeBps) / 10000n) * protocolFeeBps) / 10000n;
+
+      await (await swap).wait();
+      expect(await tokenOut.balanceOf(actor.address)).to.equal(balanceBefore + expectedOut, "swap output");
+      expect(await tokenIn.balanceOf(feeTo.address)).to.equal(feeToBefore + protocolFee, "protocol fee");
+
+      // k never decreases from swaps
+      const after = await poolState(pool);
+      expect(after.reserveGold * after.reserveSilver).to.be.gte(state.reserveGold * state.reserveSilver, "k decreased");
+      return;
+    }
+
+    if (step.kind === "buy") {
+      const [tokenIn, tokenOut] = step.goldIn ? [gold, silver] : [silver, gold];
+      const [reserveIn, reserveOut] = step.goldIn
+        ? [state.reserveGold, state.reserveSilver]
+        : [state.reserveSilver, state.reserveGold];
+
+      // Up to half of the output reserve, paying at most the whole balance
+      const amountOut = (reserveOut * BigInt(step.fraction)) / 2000n;
+      const balanceIn = await tokenIn.balanceOf(actor.address);
+      const balanceOut = await tokenOut.balanceOf(actor.address);
+      const feeToBefore = await tokenIn.balanceOf(feeTo.address);
+      const feeBps = await simpleSwap.feeBps();
+      const protocolFeeBps = await simpleSwap.protocolFeeBps();
+
+      const buy = simpleSwap
+        .connect(actor)
+        .swapTokensForExactTokens(amountOut, balanceIn, [tokenIn.target, tokenOut.target], actor.address, DEADLINE);
+
+      if (amountOut === 0n || reserveIn === 0n) {
+        await expect(buy).to.be.revertedWith("Invalid reserves or amount");
+        return;
+      }
+
+      // Same fee math as SimpleSwap._getAmountIn
+      const numerator = reserveIn * amountOut * 10000n;
+      const denominator = (reserveOut - amountOut) * (10000n - feeBps);
+      const expectedIn = (numerator + denominator - 1n) / denominator;
+      if (expectedIn > balanceIn) {
+        await expect(buy).to.be.revertedWith("Slippage: excessive input");
+        return;
+      }
+      const protocolFee = (((expectedIn * feeBps) / 10000n) * protocolFeeBps) / 10000n;
+
+      await (await buy).wait();
+      expect(await tokenOut.balanceOf(actor.address)).to.equal(balanceOut + amountOut, "exact output");
+      expect(await tokenIn.balanceOf(actor.address)).to.equal(balanceIn - expectedIn, "exact output input");
+      expect(await tokenIn.balanceOf(feeTo.address)).to.equal(feeToBefore + protocolFee, "protocol fee");
+
+      // k never decreases from swaps, the input is rounded up
+      const after = await poolState(pool);
+      expect(after.reserveGold * after.reserveSilver).to.be.gte(state.reserveGold * state.reserveSilver, "k decreased");
+      return;
+    }
+
+    if (step.kind === "add") {
+      const goldDesired = ((await gold.balanceOf(actor.address)) * BigInt(step.fraction)) / 1000n;
+      const silverDesired = ((await silver.balanceOf(actor.address)) * BigInt(step.fraction2)) / 1000n;
+      if (goldDesired === 0n || silverDesired === 0n) {
+        return;
+      }
+
+      const add = simpleSwap
+        .connect(actor)
+        .addLiquidity(gold.target, silver.target, goldDesired, silverDesired, 0, 0, actor.address, DEADLINE);
+
+      // Same math as SimpleSwap.addLiquidity, the first deposit of an empty pool mints
+      // the sum and locks MINIMUM_LIQUIDITY of it
+      let liquidity;
+      if (state.totalSupply === 0n) {
+        const sum = goldDesired + silverDesired;
+        liquidity = sum > MINIMUM_LIQUIDITY ? sum - MINIMUM_LIQUIDITY : 0n;
+      } else if (state.reserveGold === 0n || state.reserveSilver === 0n) {
+        await expect(add).to.be.reverted;
+        return;
+      } else {
+        let amountGold = goldDesired;
+        let amountSilver = (goldDesired * state.reserveSilver) / state.reserveGold;
+        if (amountSilver > silverDesired) {
+          amountGold = (silverDesired * state.reserveGold) / state.reserveSilver;
+          amountSilver = silverDesired;
+        }
+        const byGold = (amountGold * state.totalSupply) / state.reserveGold;
+        const bySilver = (amountSilver * state.totalSupply) / state.reserveSilver;
+        liquidity = byGold < bySilver ? byGold : bySilver;
+      }
+
+      if (liquidity === 0n) {
+        await expect(add).to.be.revertedWith("Insufficient liquidity minted");
+        return;
+      }
+
+      const lpBefore = await simpleSwap.balanceOf(actor.address);
+      await (await add).wait();
+      expect(await simpleSwap.balanceOf(actor.address)).to.equal(lpBefore + liquidity, "LP minted");
+      const after = await poolState(pool);
+      ledger[step.actor].deposited += geometricValue(
+        after.reserveGold - state.reserveGold,
+        after.reserveSilver - state.reserveSilver
+      );
+      return;
+    }
+
+    if (step.kind === "remove") {
+      const balance = await simpleSwap.balanceOf(actor.address);
+      const deposited = await simpleSwap.liquidities(actor.address);
+      const liquidity = (balance * BigInt(step.fraction)) / 1000n;
+      if (liquidity === 0n) {
+        return;
+      }
+
+      const expectedGold = (liquidity * state.reserveGold) / state.totalSupply;
+      const expectedSilver = (liquidity * state.reserveSilver) / state.totalSupply;
+      const goldBefore = await gold.balanceOf(actor.address);
+      const silverBefore = await silver.balanceOf(actor.address);
+
+      const remove = simpleSwap
+        .connect(actor)
+        .removeLiquidity(gold.target, silver.target, liquidity, 0, 0, actor.address, DEADLINE);
+
+      // GSLP received by transfer cannot be redeemed, only the actor's own deposits
+      if (liquidity > deposited) {
+        await expect(remove).to.be.revertedWith("Insufficient liquidity");
+        return;
+      }
+
+      await (await remove).wait();
+
+      // Paid out exactly the pro-rata share of the reserves, never more
+      expect(await gold.balanceOf(actor.address)).to.equal(goldBefore + expectedGold, "Gold withdrawn");
+      expect(await silver.balanceOf(actor.address)).to.equal(silverBefore + expectedSilver, "Silver withdrawn");
+      ledger[step.actor].withdrawn += geometricValue(expectedGold, expectedSilver);
+      return;
+    }
+
+    if (step.kind === "overdraw") {
+      // Burning more than both the balance and the liquidities entry must always fail
+      const balance = await simpleSwap.balanceOf(actor.address);
+      const deposited = await simpleSwap.liquidities(actor.address);
+      const liquidity = (balance > deposited ? balance : deposited) + 1n;
+
+      await expect(
+        simpleSwap.connect(actor).removeLiquidity(gold.target, silver.target, liquidity, 0, 0, actor.address, DEADLINE)
+      ).to.be.reverted;
+      return;
+    }
+
+    if (step.kind === "fee") {
+      // Any fee within the caps, set by the owner (actor 0)
+      const feeBps = BigInt(step.fraction % 101);
+      const protocolFeeBps = BigInt((step.fraction2 * 5) % 5001);
+      await (await simpleSwap.connect(actors[0]).setFee(feeBps)).wait();
+      await (await simpleSwap.connect(actors[0]).setProtocolFee(feeTo.address, protocolFeeBps)).wait();
+      return;
+    }
+
+    if (step.kind === "transfer") {
+      const recipient = actors[step.to];
+      const amount = ((await simpleSwap.balanceOf(actor.address)) * BigInt(step.fraction)) / 1000n;
+      if (amount === 0n || recipient === actor) {
+        return;
+      }
+
+      await (await simpleSwap.connect(actor).transfer(recipient.address, amount)).wait();
+    }
+  }
+
+  /**
+   * @dev Credits every actor with their pro-rata share of what a step added to
+   * the value of one GSLP (swap fees, mints and burns rounded in the pool's favor).
+   * Shares are counted by liquidities, the GSLP an actor can redeem.
+   * @param before Pool state before the step.
+   * @param held Liquidities of every actor before the step.
+   */
+  async function creditFees(pool, ledger, before, held) {
+    const after = await poolState(pool);
+    if (before.totalSupply === 0n || after.totalSupply === 0n) {
+      return;
+    }
+
+    // held * (valueAfter / supplyAfter - valueBefore / supplyBefore), with a single division
+    const valueBefore = geometricValue(before.reserveGold, before.reserveSilver);
+    const valueAfter = geometricValue(after.reserveGold, after.reserveSilver);
+    const numerator = valueAfter * before.totalSupply - valueBefore * after.totalSupply;
+    const denominator = before.totalSupply * after.totalSupply;
+    held.forEach((liquidity, i) => {
+      ledger[i].fees += (liquidity * numerator) / denominator;
+    });
+  }
+
+  /**
+   * @dev Pool invariants that must hold after every step.
+   * @param steps Number of steps run so far, the rounding allowed grows with it.
+   */
+  async function checkInvariants(pool, ledger, steps) {
+    const { gold, silver, simpleSwap, actors } = pool;
+    const state = await poolState(pool);
+
+    expect(state.reserveGold).to.equal(await gold.balanceOf(simpleSwap.target), "reserveGold != Gold balance");
+    expect(state.reserveSilver).to.equal(await silver.balanceOf(simpleSwap.target), "reserveSilver != Silver balance");
+
+    let liquidities = await simpleSwap.liquidities(LOCKED_LIQUIDITY);
+    let balances = await simpleSwap.balanceOf(LOCKED_LIQUIDITY);
+    for (const actor of actors) {
+      liquidities += await simpleSwap.liquidities(actor.address);
+      balances += await simpleSwap.balanceOf(actor.address);
+    }
+    expect(liquidities).to.equal(state.totalSupply, "sum of liquidities != totalSupply");
+    expect(balances).to.equal(state.totalSupply, "sum of GSLP balances != totalSupply");
+
+    ledger.forEach((entry, i) => {
+      expect(entry.withdrawn).to.be.lte(
+        entry.deposited + entry.fees + BigInt(steps) * ROUNDING,
+        `actor ${i} withdrew more than they deposited plus their share of the fees`
+      );
+    });
+  }
+
+  /**
+   * @dev Runs a sequence on a fresh pool.
+   * @returns {Error|null} The first failure, or null when every step passed.
+   */
+  async function runSequence(steps) {
+    const pool = await loadFixture(deployInvariantFixture);
+
+    // The deployer deposited the reserves the constructor started with
+    const initial = await poolState(pool);
+    const ledger = pool.actors.map(() => ({ deposited: 0n, withdrawn: 0n, fees: 0n }));
+    ledger[0].deposited = geometricValue(initial.reserveGold, initial.reserveSilver);
+
+    for (let i = 0; i < steps.length; i++) {
+      try {
+        const before = await poolState(pool);
+        const held = await Promise.all(pool.actors.map((actor) => pool.simpleSwap.liquidities(actor.address)));
+        await runStep(pool, ledger, steps[i]);
+        await creditFees(pool, ledger, before, held);
+        await checkInvariants(pool, ledger, i + 1);
+      } catch (err) {
+        err.message = `step ${i} ${JSON.stringify(steps[i])}: ${err.message}`;
+        return err;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @dev Removes chunks of steps, halving the chunk size, as long as the
+   * sequence keeps failing.
+   */
+  async function shrink(steps) {
+    let current = steps;
+    let chunk = Math.ceil(current.length / 2);
+
+    while (chunk >= 1) {
+      let reduced = false;
+      for (let i = 0; i < current.length; i += chunk) {
+        const candidate = current.slice(0, i).concat(current.slice(i + chunk));
+        if (candidate.length > 0 && (await runSequence(candidate))) {
+          current = candidate;
+          reduced = true;
+          i -= chunk;
+        }
+      }
+      if (!reduced) {
+        chunk = Math.floor(chunk / 2);
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * @dev Shrinks a failing sequence and fails the test with a replayable report.
+   */
+  async function report(steps, label) {
+    const shrunk = await shrink(steps);
+    const err = await runSequence(shrunk);
+    expect.fail(
+      `${label}: ${err.message}\n` +
+        `Shrunk from ${steps.length} to ${shrunk.length} steps, replay with:\n` +
+        `FUZZ_REPLAY='${JSON.stringify(shrunk)}' npx hardhat test test/InvariantTest.js`
+    );
+  }
+
+  if (process.env.FUZZ_REPLAY) {
+    it("Should keep the invariants on the replayed sequence", async function () {
+      const steps = JSON.parse(process.env.FUZZ_REPLAY);
+      if (await runSequence(steps)) {
+        await report(steps, "Replay failed");
+      }
+    });
+    return;
+  }
+
+  it(`Should keep the invariants over ${RUNS} random sequences of ${STEPS} steps (seed ${SEED})`, async function () {
+    const random = mulberry32(SEED);
+
+    for (let run = 0; run < RUNS; run++) {
+      const steps = Array.from({ length: STEPS }, () => randomStep(random, 4));
+      if (await runSequence(steps)) {
+        await report(steps, `Seed ${SEED}, run ${run}`);
+      }
+    }
+  });
+});
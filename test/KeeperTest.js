@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const express = require("express");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { connectContracts } = require("../api/contracts");
+const { createOrderBook, createOrdersRouter, ORDER_TYPES } = require("../api/orders");
+const { createKeeper } = require("../api/keeper");
+const { createJsonStore } = require("../api/store");
+
+/**
+ * @title Test Suite for the limit order book and its keeper
+ * @dev Stores orders signed by the Hardhat accounts, then runs the keeper's polls
+ * against the Hardhat network as the pool's price moves.
+ */
+describe("Limit order keeper", function () {
+  let file;
+  let clock;
+  let server;
+
+  /**
+   * @dev Deploys a pool with 1000/1000 reserves and the executor. The maker (addr1)
+   * has Gold approved to the executor, the trader (addr2) Silver approved to the pool.
+   */
+  async function deployKeeperFixture() {
+    const [owner, addr1, addr2, keeper] = await ethers.getSigners();
+
+    const gold = await (await ethers.getContractFactory("Gold")).deploy();
+    const silver = await (await ethers.getContractFactory("Silver")).deploy();
+    const simpleSwap = await (await ethers.getContractFactory("SimpleSwap")).deploy(
+      await gold.getAddress(),
+      await silver.getAddress()
+    );
+    const executor = await (await ethers.getContractFactory("LimitOrderExecutor")).deploy();
+    const swapAddress = await simpleSwap.getAddress();
+
+    await gold.transfer(swapAddress, 1000n);
+    await silver.transfer(swapAddress, 1000n);
+    await gold.mint(addr1.address, 10000n);
+    await gold.connect(addr1).approve(await executor.getAddress(), 10000n);
+    await silver.mint(addr2.address, 10000n);
+    await silver.connect(addr2).approve(swapAddress, 10000n);
+
+    const addresses = {
+      swap: swapAddress,
+      gold: await gold.getAddress(),
+      silver: await silver.getAddress(),
+      executor: await executor.getAddress(),
+    };
+
+    return { simpleSwap, gold, silver, executor, owner, addr1, addr2, keeper, addresses };
+  }
+
+  function newOrderBook(addresses) {
+    const store = createJsonStore(file, {});
+    const { executor, factory } = connectContracts(ethers.provider, addresses);
+    return { store, orderBook: createOrderBook({ executor, pools: [addresses.swap], factory, store, now: () => clock }) };
+  }
+
+  function newKeeper(signer, addresses, { store, orderBook }) {
+    return createKeeper({
+      provider: ethers.provider,
+      executor: connectContracts(signer, addresses).executor,
+      orderBook,
+      store,
+      now: () => clock,
+    });
+  }
+
+  /**
+   * @dev Signs an order of the maker selling amountIn Gold for at least amountOutMin Silver.
+   */
+  async function signedOrder({ executor, addresses }, maker, fields = {}) {
+    const order = {
+      maker: maker.address,
+      pool: addresses.swap,
+      tokenIn: addresses.gold,
+      tokenOut: addresses.silver,
+      amountIn: "100",
+      amountOutMin: "80",
+      expiry: String(Math.floor(clock / 1000) + 3600),
+      nonce: "1",
+      ...fields,
+    };
+    const { name, version, chainId, verifyingContract } = await executor.eip712Domain();
+    const signature = await maker.signTypedData({ name, version, chainId, verifyingContract }, ORDER_TYPES, order);
+    return { order, signature };
+  }
+
+  async function deadline() {
+    return (await time.latest()) + 60;
+  }
+
+  beforeEach(async function () {
+    file = path.join(os.tmpdir(), `simpleswap-orders-${process.pid}-${Date.now()}.json`);
+  });
+
+  afterEach(function () {
+    fs.rmSync(file, { force: true });
+    if (server) {
+      server.close();
+      server = undefined;
+    }
+  });
+
+  it("POST /orders stores signed orders and rejects the invalid ones", async function () {
+    const fixture = await loadFixture(deployKeeperFixture);
+    const { owner, addr1, addresses } = fixture;
+    clock = (await time.latest()) * 1000;
+    const app = express();
+    app.use("/api", createOrdersRouter(newOrderBook(addresses).orderBook));
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/api/orders`;
+    const post = (body) =>
+      fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+    const { order, signature } = await signedOrder(fixture, addr1);
+    const otherSigner = await signedOrder(fixture, owner, { maker: addr1.address });
+    expect((await post({ order, signature: otherSigner.signature })).status).to.equal(400);
+    expect((await post({ order: { ...order, amountOutMin: "1" }, signature })).status).to.equal(400);
+    expect((await post({ order: { ...order, amountIn: "1.5" }, signature })).status).to.equal(400);
+    const samePair = await signedOrder(fixture, addr1, { tokenOut: addresses.gold });
+    expect(await (await post(samePair)).json()).to.deep.equal({ error: "Invalid token pair" });
+    const expired = await signedOrder(fixture, addr1, { expiry: String(Math.floor(clock / 1000) - 1) });
+    expect(await (await post(expired)).json()).to.deep.equal({ error: "Order expired" });
+    // Any contract with the pool's views, the keeper would spend gas on it
+    const unlisted = await (await ethers.getContractFactory("SimpleSwap")).deploy(addresses.gold, addresses.silver);
+    const unknownPool = await signedOrder(fixture, addr1, { pool: await unlisted.getAddress() });
+    expect(await (await post(unknownPool)).json()).to.deep.equal({ error: "Unknown pool" });
+
+    const placed = await post({ order, signature });
+    expect(placed.status).to.equal(201);
+    expect((await placed.json()).status).to.equal("open");
+    expect((await post({ order, signature })).status).to.equal(409);
+
+    const listed = await (await fetch(`${url}?maker=${addr1.address.toLowerCase()}&status=open`)).json();
+    expect(listed.total).to.equal(1);
+    expect(listed.items[0].order).to.deep.equal(order);
+    expect(listed.domain.verifyingContract).to.equal(addresses.executor);
+    expect((await (await fetch(`${url}?status=filled`)).json()).total).to.equal(0);
+    expect((await fetch(`${url}?status=pending`)).status).to.equal(400);
+  });
+
+  it("Should accept orders for the pools the factory lists", async function () {
+    const fixture = await loadFixture(deployKeeperFixture);
+    const { addr1, addresses } = fixture;
+    clock = (await time.latest()) * 1000;
+    const usdt = await (await ethers.getContractFactory("TestToken")).deploy("Tether USD", "USDT", 6);
+    const factory = await (await ethers.getContractFactory("SimpleSwapFactory")).deploy();
+    await factory.createPool(addresses.gold, await usdt.getAddress());
+    const pool = await factory.getPool(addresses.gold, await usdt.getAddress());
+
+    const fields = { pool, tokenOut: await usdt.getAddress() };
+    const { order, signature } = await signedOrder(fixture, addr1, fields);
+    await expect(newOrderBook(addresses).orderBook.place(order, signature)).to.be.rejectedWith("Unknown pool");
+
+    const { orderBook } = newOrderBook({ ...addresses, factory: await factory.getAddress() });
+    expect((await orderBook.place(order, signature)).status).to.equal("open");
+    const otherPair = await signedOrder(fixture, addr1, { ...fields, tokenOut: addresses.silver, nonce: "2" });
+    await expect(orderBook.place(otherPair.order, otherPair.signature)).to.be.rejectedWith("Unknown pool");
+  });
+
+  it("Should fill an open order once a swap moves the price to its limit", async function () {
+    const fixture = await loadFixture(deployKeeperFixture);
+    const { simpleSwap, gold, silver, executor, addr1, addr2, keeper, addresses } = fixture;
+    clock = (await time.latest()) * 1000;
+    const book = newOrderBook(addresses);
+    const keeperInstance = newKeeper(keeper, addresses, book);
+
+    // 100 Gold pays about 90 Silver at 1000/1000, the maker wants 100
+    const { order, signature } = await signedOrder(fixture, addr1, { amountOutMin: "100" });
+    const stored = await book.orderBook.place(order, signature);
+    expect((await keeperInstance.poll()).filled).to.equal(0);
+    expect(stored.status).to.equal("open");
+    expect(stored.error).to.equal(undefined);
+
+    // Buying Gold with Silver makes Gold worth more Silver
+    await simpleSwap
+      .connect(addr2)
+      .swapExactTokensForTokens(300n, 1n, [addresses.silver, addresses.gold], addr2.address, await deadline());
+
+    expect((await keeperInstance.poll()).filled).to.equal(1);
+    expect(stored.status).to.equal("filled");
+    expect(BigInt(stored.amountOut)).to.be.gte(100n);
+    expect(await silver.balanceOf(addr1.address)).to.equal(BigInt(stored.amountOut));
+    expect(await gold.balanceOf(addr1.address)).to.equal(10000n - 100n);
+    expect(await executor.nonceUsed(addr1.address, 1n)).to.equal(true);
+
+    // The next poll reads the fill's event and leaves the order as it is
+    expect(await keeperInstance.poll()).to.include({ filled: 0, expired: 0 });
+    expect(newOrderBook(addresses).orderBook.list({ status: "filled" }).total).to.equal(1);
+  });
+
+  it("Should close cancelled and expired orders and keep the failed fills open", async function () {
+    const fixture = await loadFixture(deployKeeperFixture);
+    const { executor, addr1, addr2, keeper, addresses } = fixture;
+    clock = (await time.latest()) * 1000;
+    const book = newOrderBook(addresses);
+    const keeperInstance = newKeeper(keeper, addresses, book);
+    await keeperInstance.poll();
+
+    // Out of reach, cancelled on-chain by the maker
+    const cancelled = await signedOrder(fixture, addr1, { amountOutMin: "500" });
+    const toCancel = await book.orderBook.place(cancelled.order, cancelled.signature);
+    await executor.connect(addr1).cancel(1n);
+    // Out of reach, expires in a minute
+    const expiring = await signedOrder(fixture, addr1, {
+      amountOutMin: "500",
+      nonce: "2",
+      expiry: String(Math.floor(clock / 1000) + 60),
+    });
+    const toExpire = await book.orderBook.place(expiring.order, expiring.signature);
+    // Reachable, but addr2 never approved its Silver to the executor
+    const unapproved = await signedOrder(fixture, addr2, { tokenIn: addresses.silver, tokenOut: addresses.gold });
+    const failing = await book.orderBook.place(unapproved.order, unapproved.signature);
+
+    expect((await keeperInstance.poll()).filled).to.equal(0);
+    expect(toCancel.status).to.equal("cancelled");
+    expect(toExpire.status).to.equal("open");
+    expect(failing.status).to.equal("open");
+    expect(failing.error).to.be.a("string");
+
+    clock += 61 * 1000;
+    expect((await keeperInstance.poll()).expired).to.equal(1);
+    expect(toExpire.status).to.equal("expired");
+    expect(book.orderBook.list({ maker: addr1.address, status: "open" }).total).to.equal(0);
+  });
+});
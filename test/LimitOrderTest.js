@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ORDER_TYPES } = require("../api/orders");
+
+/**
+ * @title Test Suite for the LimitOrderExecutor Contract
+ * @dev Signs EIP-712 orders with the Hardhat accounts and fills them through a
+ * Gold/Silver pool, checking the limit, the expiry, the signature and the nonces.
+ */
+describe("Limit order executor", function () {
+  /**
+   * @dev Deploys a pool with 1000/1000 reserves, the executor, and gives the
+   * maker (addr1) Gold approved to the executor.
+   */
+  async function deployExecutorFixture() {
+    const [owner, addr1, keeper] = await ethers.getSigners();
+
+    const gold = await (await ethers.getContractFactory("Gold")).deploy();
+    const silver = await (await ethers.getContractFactory("Silver")).deploy();
+    const simpleSwap = await (await ethers.getContractFactory("SimpleSwap")).deploy(
+      await gold.getAddress(),
+      await silver.getAddress()
+    );
+    const executor = await (await ethers.getContractFactory("LimitOrderExecutor")).deploy();
+
+    await gold.transfer(await simpleSwap.getAddress(), 1000n);
+    await silver.transfer(await simpleSwap.getAddress(), 1000n);
+    await gold.mint(addr1.address, 10000n);
+    await gold.connect(addr1).approve(await executor.getAddress(), 10000n);
+
+    return { simpleSwap, gold, silver, executor, owner, addr1, keeper };
+  }
+
+  /**
+   * @dev Builds an order of maker selling amountIn Gold for at least amountOutMin Silver.
+   */
+  async function goldOrder({ simpleSwap, gold, silver }, maker, fields = {}) {
+    return {
+      maker: maker.address,
+      pool: await simpleSwap.getAddress(),
+      tokenIn: await gold.getAddress(),
+      tokenOut: await silver.getAddress(),
+      amountIn: 100n,
+      amountOutMin: 80n,
+      expiry: BigInt(await time.latest()) + 3600n,
+      nonce: 1n,
+      ...fields,
+    };
+  }
+
+  async function sign(executor, signer, order) {
+    const { name, version, chainId, verifyingContract } = await executor.eip712Domain();
+    return signer.signTypedData({ name, version, chainId, verifyingContract }, ORDER_TYPES, order);
+  }
+
+  it("Should fill a signed order once and send the output to the maker", async function () {
+    const fixture = await loadFixture(deployExecutorFixture);
+    const { simpleSwap, gold, silver, executor, addr1, keeper } = fixture;
+    const order = await goldOrder(fixture, addr1);
+    const signature = await sign(executor, addr1, order);
+
+    const expectedOut = await simpleSwap.getAmountOut(100n, 1000n, 1000n);
+    await expect(executor.connect(keeper).fill(order, signature))
+      .to.emit(executor, "OrderFilled")
+      .withArgs(addr1.address, 1n, keeper.address, 100n, expectedOut);
+
+    expect(await silver.balanceOf(addr1.address)).to.equal(expectedOut);
+    expect(await gold.balanceOf(addr1.address)).to.equal(10000n - 100n);
+    expect(await gold.balanceOf(await executor.getAddress())).to.equal(0n);
+    expect(await executor.nonceUsed(addr1.address, 1n)).to.equal(true);
+
+    await expect(executor.connect(keeper).fill(order, signature)).to.be.revertedWith("Nonce already used");
+  });
+
+  it("Should only fill before the expiry and once the pool reaches the limit", async function () {
+    const fixture = await loadFixture(deployExecutorFixture);
+    const { executor, addr1 } = fixture;
+
+    // 100 Gold pays about 90 Silver on 1000/1000 reserves
+    const tooHigh = await goldOrder(fixture, addr1, { amountOutMin: 95n });
+    await expect(executor.fill(tooHigh, await sign(executor, addr1, tooHigh))).to.be.revertedWith(
+      "Slippage: insufficient output"
+    );
+
+    const order = await goldOrder(fixture, addr1, { nonce: 2n });
+    const signature = await sign(executor, addr1, order);
+    await time.increaseTo(order.expiry + 1n);
+    await expect(executor.fill(order, signature)).to.be.revertedWith("Order expired");
+    // Nothing was taken, the nonces are still free
+    expect(await executor.nonceUsed(addr1.address, 1n)).to.equal(false);
+    expect(await executor.nonceUsed(addr1.address, 2n)).to.equal(false);
+  });
+
+  it("Should reject orders not signed by their maker or outside the pool's pair", async function () {
+    const fixture = await loadFixture(deployExecutorFixture);
+    const { gold, executor, owner, addr1 } = fixture;
+    const order = await goldOrder(fixture, addr1);
+
+    await expect(executor.fill(order, await sign(executor, owner, order))).to.be.revertedWith("Invalid signature");
+    // A signed order cannot be changed, e.g. for a lower limit
+    const signature = await sign(executor, addr1, order);
+    await expect(executor.fill({ ...order, amountOutMin: 1n }, signature)).to.be.revertedWith("Invalid signature");
+    expect(await executor.hashOrder(order)).to.equal(
+      ethers.TypedDataEncoder.hash(
+        { name: "SimpleSwap Limit Orders", version: "1", chainId: 31337, verifyingContract: await executor.getAddress() },
+        ORDER_TYPES,
+        order
+      )
+    );
+
+    const samePair = await goldOrder(fixture, addr1, { tokenOut: await gold.getAddress() });
+    await expect(executor.fill(samePair, await sign(executor, addr1, samePair))).to.be.revertedWith("Invalid token pair");
+  });
+
+  it("Should let the maker cancel an order before it is filled", async function () {
+    const fixture = await loadFixture(deployExecutorFixture);
+    const { executor, addr1 } = fixture;
+    const order = await goldOrder(fixture, addr1);
+    const signature = await sign(executor, addr1, order);
+
+    await expect(executor.connect(addr1).cancel(1n)).to.emit(executor, "OrderCancelled").withArgs(addr1.address, 1n);
+    await expect(executor.fill(order, signature)).to.be.revertedWith("Nonce already used");
+    await expect(executor.connect(addr1).cancel(1n)).to.be.revertedWith("Nonce already used");
+  });
+});
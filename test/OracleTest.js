@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Far enough to never expire during the tests
+const DEADLINE = 4102444800;
+
+/**
+ * @title Test Suite for the SimpleSwap price oracle
+ * @dev Tests the cumulative price accumulators, the observations ring buffer
+ * and consult, the time-weighted average price.
+ */
+describe("Price oracle", function () {
+  /**
+   * @dev Deploys Gold, Silver and SimpleSwap, moves the 1000/1000 initial
+   * reserves into the pool and funds addr1 with Gold and Silver.
+   */
+  async function deployOracleFixture() {
+    const [owner, addr1] = await ethers.getSigners();
+
+    const gold = await ethers.deployContract("Gold");
+    const silver = await ethers.deployContract("Silver");
+    const simpleSwap = await ethers.deployContract("SimpleSwap", [gold.target, silver.target]);
+
+    await gold.transfer(simpleSwap.target, 1000n);
+    await silver.transfer(simpleSwap.target, 1000n);
+    await gold.mint(addr1.address, 1000000n);
+    await silver.mint(addr1.address, 1000000n);
+    await gold.connect(addr1).approve(simpleSwap.target, ethers.MaxUint256);
+    await silver.connect(addr1).approve(simpleSwap.target, ethers.MaxUint256);
+
+    return { simpleSwap, gold, silver, owner, addr1 };
+  }
+
+  /**
+   * @dev Swaps Gold for Silver from addr1 in a block with the given timestamp.
+   */
+  async function swapGoldAt({ simpleSwap, gold, silver, addr1 }, timestamp, amountIn) {
+    await time.setNextBlockTimestamp(timestamp);
+    await simpleSwap.connect(addr1).swapExactTokensForTokens(amountIn, 1, [gold.target, silver.target], addr1.address, DEADLINE);
+  }
+
+  it("Should average the price over time, weighted by how long it held", async function () {
+    const fixture = await loadFixture(deployOracleFixture);
+    const { simpleSwap, gold, silver } = fixture;
+    const start = await simpleSwap.blockTimestampLast();
+
+    // 1:1 for 100 seconds, then the swap moves the price for 200 seconds
+    await swapGoldAt(fixture, start + 100n, 1000n);
+    const reserveGold = await simpleSwap.reserveGold();
+    const reserveSilver = await simpleSwap.reserveSilver();
+    await time.increaseTo(start + 300n);
+
+    const goldPrice = (reserveSilver * 10n ** 18n) / reserveGold;
+    const silverPrice = (reserveGold * 10n ** 18n) / reserveSilver;
+    expect(await simpleSwap.consult(gold.target, 300)).to.equal((10n ** 18n * 100n + goldPrice * 200n) / 300n);
+    expect(await simpleSwap.consult(silver.target, 300)).to.equal((10n ** 18n * 100n + silverPrice * 200n) / 300n);
+
+    // Windows after the swap only see the new price
+    expect(await simpleSwap.consult(gold.target, 150)).to.equal(goldPrice);
+    // A window starting between two observations is interpolated
+    expect(await simpleSwap.consult(gold.target, 250)).to.equal((10n ** 18n * 50n + goldPrice * 200n) / 250n);
+  });
+
+  it("Should not be moved by a direct transfer or a swap in the current block", async function () {
+    const fixture = await loadFixture(deployOracleFixture);
+    const { simpleSwap, gold, silver, addr1 } = fixture;
+    const start = await simpleSwap.blockTimestampLast();
+    await time.increaseTo(start + 600n);
+
+    // A direct transfer moves the balance based spot price only
+    await gold.connect(addr1).transfer(simpleSwap.target, 1000n);
+    expect(await simpleSwap.getPrice(gold.target, silver.target)).to.equal(5n * 10n ** 17n);
+    await time.increase(1);
+    expect(await simpleSwap.consult(gold.target, 600)).to.equal(10n ** 18n);
+
+    // A large swap only weighs for the seconds its price holds
+    await swapGoldAt(fixture, start + 1200n, 100000n);
+    expect(await simpleSwap.reserveSilver()).to.be.lt(20n);
+    expect(await simpleSwap.consult(gold.target, 1200)).to.equal(10n ** 18n);
+  });
+
+  it("Should keep the accumulators and observations in sync with the reserve changes", async function () {
+    const fixture = await loadFixture(deployOracleFixture);
+    const { simpleSwap, gold, silver, addr1 } = fixture;
+    const start = await simpleSwap.blockTimestampLast();
+
+    await swapGoldAt(fixture, start + 10n, 100n);
+    await time.setNextBlockTimestamp(start + 30n);
+    await simpleSwap.connect(addr1).addLiquidity(gold.target, silver.target, 100n, 100n, 0, 0, addr1.address, DEADLINE);
+
+    const observations = await simpleSwap.getObservations();
+    expect(observations.map((observation) => observation.timestamp)).to.deep.equal([start, start + 10n, start + 30n]);
+    expect(observations[1].priceGoldCumulative).to.equal(10n ** 18n * 10n);
+    expect(observations[2].priceGoldCumulative).to.equal(await simpleSwap.priceGoldCumulativeLast());
+    expect(await simpleSwap.blockTimestampLast()).to.equal(start + 30n);
+
+    const [goldCumulative, , timestamp] = await simpleSwap.currentCumulativePrices();
+    expect(timestamp).to.equal(start + 30n);
+    expect(goldCumulative).to.equal(observations[2].priceGoldCumulative);
+  });
+
+  it("Should overwrite the oldest observations once the ring buffer is full", async function () {
+    const fixture = await loadFixture(deployOracleFixture);
+    const { simpleSwap, gold } = fixture;
+    const start = await simpleSwap.blockTimestampLast();
+    const cardinality = await simpleSwap.OBSERVATION_CARDINALITY();
+
+    for (let i = 1n; i <= cardinality; i++) {
+      await swapGoldAt(fixture, start + i * 10n, 10n);
+    }
+
+    const observations = await simpleSwap.getObservations();
+    expect(observations.length).to.equal(Number(cardinality));
+    expect(observations[0].timestamp).to.equal(start + 10n);
+    expect(observations[observations.length - 1].timestamp).to.equal(start + cardinality * 10n);
+
+    await expect(simpleSwap.consult(gold.target, cardinality * 10n)).to.be.revertedWith("Window exceeds history");
+    expect(await simpleSwap.consult(gold.target, cardinality * 10n - 10n)).to.be.gt(0n);
+  });
+
+  it("Should revert for other tokens, empty windows and windows older than the history", async function () {
+    const { simpleSwap, gold, addr1 } = await loadFixture(deployOracleFixture);
+    await time.increase(100);
+
+    await expect(simpleSwap.consult(addr1.address, 10)).to.be.revertedWith("Invalid token");
+    await expect(simpleSwap.consult(gold.target, 0)).to.be.revertedWith("Invalid window");
+    await expect(simpleSwap.consult(gold.target, 1000)).to.be.revertedWith("Window exceeds history");
+  });
+});
@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const express = require("express");
+const { createRpcRouter } = require("../api/rpc");
+
+/**
+ * @title Test Suite for the read-only JSON-RPC proxy
+ * @dev Serves the Hardhat network over HTTP as the upstream node, mounts the
+ * proxy in front of it and checks what it forwards and what it refuses.
+ */
+describe("Read-only RPC proxy", function () {
+  let servers = [];
+  let upstreamCalls;
+
+  /**
+   * @dev Deploys Gold so the proxy has a contract to read.
+   */
+  async function deployRpcFixture() {
+    const [owner] = await ethers.getSigners();
+    const gold = await (await ethers.getContractFactory("Gold")).deploy();
+    return { gold, owner };
+  }
+
+  async function listen(app) {
+    const server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    servers.push(server);
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  /**
+   * @dev Starts an upstream node answering from the Hardhat network, and the proxy in front of it.
+   */
+  async function startProxy() {
+    upstreamCalls = [];
+    const upstream = express();
+    upstream.use(express.json());
+    upstream.post("/", async (req, res) => {
+      upstreamCalls.push(req.body.method);
+      try {
+        res.json({ jsonrpc: "2.0", id: req.body.id, result: await network.provider.send(req.body.method, req.body.params) });
+      } catch (err) {
+        res.json({ jsonrpc: "2.0", id: req.body.id, error: { code: -32000, message: err.message } });
+      }
+    });
+    return startProxyFor(await listen(upstream));
+  }
+
+  async function startProxyFor(rpcUrl) {
+    const app = express();
+    app.use("/api", createRpcRouter(rpcUrl));
+    return `${await listen(app)}/api/rpc`;
+  }
+
+  function post(url, body) {
+    return fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+  }
+
+  afterEach(function () {
+    servers.forEach((server) => server.close());
+    servers = [];
+  });
+
+  it("Should forward reads to the upstream node", async function () {
+    const { gold, owner } = await loadFixture(deployRpcFixture);
+    const url = await startProxy();
+
+    const chainId = await (await post(url, { jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] })).json();
+    expect(chainId).to.deep.equal({ jsonrpc: "2.0", id: 1, result: "0x7a69" });
+
+    const data = gold.interface.encodeFunctionData("balanceOf", [owner.address]);
+    const call = await (
+      await post(url, { jsonrpc: "2.0", id: 2, method: "eth_call", params: [{ to: await gold.getAddress(), data }, "latest"] })
+    ).json();
+    expect(call.id).to.equal(2);
+    expect(BigInt(call.result)).to.equal(await gold.balanceOf(owner.address));
+
+    // The proxy works for a JsonRpcProvider, as it does for the web app's web3
+    const provider = new ethers.JsonRpcProvider(url, undefined, { staticNetwork: true });
+    expect(await provider.getBlockNumber()).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("Should refuse signing and state changing methods without forwarding them", async function () {
+    await loadFixture(deployRpcFixture);
+    const url = await startProxy();
+
+    for (const method of ["eth_accounts", "eth_sendTransaction", "eth_sendRawTransaction", "hardhat_mine", "evm_increaseTime"]) {
+      const body = await (await post(url, { jsonrpc: "2.0", id: 7, method, params: [] })).json();
+      expect(body.id).to.equal(7);
+      expect(body.error.code).to.equal(-32601);
+    }
+    expect(upstreamCalls).to.deep.equal([]);
+  });
+
+  it("Should answer every call of a batch and reject invalid requests", async function () {
+    await loadFixture(deployRpcFixture);
+    const url = await startProxy();
+
+    const batch = await (
+      await post(url, [
+        { jsonrpc: "2.0", id: 1, method: "eth_blockNumber", params: [] },
+        { jsonrpc: "2.0", id: 2, method: "eth_sendTransaction", params: [] },
+        { jsonrpc: "2.0", id: 3 },
+      ])
+    ).json();
+    expect(batch.map((response) => response.id)).to.deep.equal([1, 2, 3]);
+    expect(BigInt(batch[0].result)).to.equal(BigInt(await ethers.provider.getBlockNumber()));
+    expect(batch[1].error.code).to.equal(-32601);
+    expect(batch[2].error.code).to.equal(-32600);
+    expect(upstreamCalls).to.deep.equal(["eth_blockNumber"]);
+
+    expect((await post(url, [])).status).to.equal(400);
+    const tooLarge = Array.from({ length: 21 }, (_, id) => ({ jsonrpc: "2.0", id, method: "eth_chainId" }));
+    expect((await post(url, tooLarge)).status).to.equal(400);
+
+    const unreadable = await post(url, "{");
+    expect(unreadable.status).to.equal(400);
+    expect((await unreadable.json()).error.code).to.equal(-32700);
+  });
+
+  it("Should refuse eth_getLogs over more than 2000 blocks", async function () {
+    const { gold } = await loadFixture(deployRpcFixture);
+    const url = await startProxy();
+    const address = await gold.getAddress();
+    const getLogs = async (filter) =>
+      (await post(url, { jsonrpc: "2.0", id: 1, method: "eth_getLogs", params: [{ address, ...filter }] })).json();
+
+    // The last 2000 blocks, Gold's deployment included
+    const head = await ethers.provider.getBlockNumber();
+    const recent = await getLogs({ fromBlock: ethers.toQuantity(Math.max(head - 1999, 0)), toBlock: "latest" });
+    expect(recent.result).to.be.an("array").that.is.not.empty;
+
+    await network.provider.send("hardhat_mine", ["0x7d0"]);
+    upstreamCalls = [];
+    expect((await getLogs({ fromBlock: "earliest" })).error.code).to.equal(-32005);
+    expect((await getLogs({ fromBlock: "0x0", toBlock: "0x7d0" })).error.code).to.equal(-32005);
+    expect((await getLogs({ fromBlock: "0x0", toBlock: "next" })).error.code).to.equal(-32602);
+    expect((await getLogs({ blockHash: (await ethers.provider.getBlock(1)).hash })).result).to.be.an("array");
+    expect(upstreamCalls).to.deep.equal(["eth_blockNumber", "eth_getLogs"]);
+  });
+
+  it("Should answer the other calls of a batch when one of them fails upstream", async function () {
+    await loadFixture(deployRpcFixture);
+    const upstream = express();
+    upstream.use(express.json());
+    upstream.post("/", async (req, res) => {
+      if (req.body.method === "eth_gasPrice") {
+        return req.socket.destroy();
+      }
+      res.json({ jsonrpc: "2.0", id: req.body.id, result: await network.provider.send(req.body.method, req.body.params) });
+    });
+    const url = await startProxyFor(await listen(upstream));
+
+    const batch = await post(url, [
+      { jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] },
+      { jsonrpc: "2.0", id: 2, method: "eth_gasPrice", params: [] },
+    ]);
+    expect(batch.status).to.equal(200);
+    const [chainId, gasPrice] = await batch.json();
+    expect(chainId.result).to.equal("0x7a69");
+    expect(gasPrice).to.deep.equal({ jsonrpc: "2.0", id: 2, error: { code: -32603, message: "Upstream node unavailable" } });
+  });
+
+  it("Should answer 502 when the upstream node is unreachable", async function () {
+    // Take a free port and close it, nothing listens there anymore
+    const closed = express().listen(0);
+    await new Promise((resolve) => closed.once("listening", resolve));
+    const port = closed.address().port;
+    await new Promise((resolve) => closed.close(resolve));
+
+    const url = await startProxyFor(`http://127.0.0.1:${port}`);
+    const response = await post(url, { jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] });
+    expect(response.status).to.equal(502);
+    expect((await response.json()).error.code).to.equal(-32603);
+  });
+});
@@ -2,6 +2,10 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
 
+// Base units the Gold and Silver constructors mint to the deployer, which the
+// SimpleSwap constructor counts as its first reserves (not 1000 whole tokens)
+const BOOTSTRAP = 1000n;
+
 /**
  * @title Test Suite for the SimpleSwap Contract
  * @dev This suite tests the functionality of the SimpleSwap contract,
@@ -33,6 +37,29 @@ describe("Swap contract", function () {
     return { simpleSwap, gold, silver, owner, addr1, addr2 };
   }
 
+  /**
+   * @dev Signs an EIP-2612 permit of the owner for the spender, split in the
+   * v, r, s struct the WithPermit functions take.
+   */
+  async function signPermit(token, owner, spender, value, deadline) {
+    const { name, version, chainId, verifyingContract } = await token.eip712Domain();
+    const signature = await owner.signTypedData(
+      { name, version, chainId, verifyingContract },
+      {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      },
+      { owner: owner.address, spender, value, nonce: await token.nonces(owner.address), deadline }
+    );
+    const { v, r, s } = ethers.Signature.from(signature);
+    return { v, r, s };
+  }
+
   /**
    * @dev Verifies that the initial GSLP (LP token) balance of the contract
    * deployer (owner) is correctly set upon deployment.
@@ -40,7 +67,7 @@ describe("Swap contract", function () {
   it("Initial GSLP balance of the owner should be 2000", async function () {
     const { simpleSwap, owner } = await loadFixture(deployTokenFixture);
 
-    expect(await simpleSwap.balanceOf(owner.address)).to.equal(2000n);
+    expect(await simpleSwap.balanceOf(owner.address)).to.equal(BOOTSTRAP * 2n);
   });
 
   /**
@@ -48,7 +75,7 @@ describe("Swap contract", function () {
    */
   it("Owner initial balance of Gold should be 1000", async function () {
     const { owner, gold } = await loadFixture(deployTokenFixture);
-    expect(await gold.balanceOf(owner.address)).to.equal(1000n);
+    expect(await gold.balanceOf(owner.address)).to.equal(BOOTSTRAP);
   });
 
   /**
@@ -56,7 +83,7 @@ describe("Swap contract", function () {
    */
   it("owner initial balance of Silver should be 1000", async function () {
     const { owner, silver } = await loadFixture(deployTokenFixture);
-    expect(await silver.balanceOf(owner.address)).to.equal(1000n);
+    expect(await silver.balanceOf(owner.address)).to.equal(BOOTSTRAP);
   });
 
   /**
@@ -66,6 +93,10 @@ describe("Swap contract", function () {
   it("Should add liquidity and mint LP tokens", async function () {
     const { gold, silver, simpleSwap, owner } = await loadFixture(deployTokenFixture);
 
+    // Move the bootstrap reserves into the pool so reserves match balances
+    await gold.transfer(await simpleSwap.getAddress(), BOOTSTRAP);
+    await silver.transfer(await simpleSwap.getAddress(), BOOTSTRAP);
+
     // Mint additional tokens for the owner
     await gold.mint(owner.address, ethers.parseEther("1000"));
     await silver.mint(owner.address, ethers.parseEther("1000"));
@@ -93,15 +124,16 @@ describe("Swap contract", function () {
     // Assert that the transaction was successful
     expect(receipt.status).to.equal(1);
 
-    // Assert that the owner's LP token balance has increased
+    // Assert that the owner's LP token balance has increased in proportion to the reserves
     const liquidityBalance = await simpleSwap.balanceOf(owner.address);
-    expect(liquidityBalance).to.be.gt(0);
+    expect(liquidityBalance).to.equal(BOOTSTRAP * 2n + (ethers.parseEther("500") * BOOTSTRAP * 2n) / BOOTSTRAP);
 
     // Assert that the contract's reserves have been updated correctly
     const reserveGold = await simpleSwap.reserveGold();
     const reserveSilver = await simpleSwap.reserveSilver();
-    expect(reserveGold).to.equal(ethers.parseEther("500") + 1000n); 
-    expect(reserveSilver).to.equal(ethers.parseEther("500") + 1000n); 
+    expect(reserveGold).to.equal(ethers.parseEther("500") + BOOTSTRAP);
+    expect(reserveSilver).to.equal(ethers.parseEther("500") + BOOTSTRAP);
+    expect(reserveGold).to.equal(await gold.balanceOf(await simpleSwap.getAddress()));
   });
   
   /**
@@ -111,19 +143,21 @@ describe("Swap contract", function () {
   it("Should correctly remove liquidity from an initialized pool", async function () {
     const { gold, silver, simpleSwap, owner } = await loadFixture(deployTokenFixture);
 
-    // Setup: Add initial liquidity to the pool
-    await gold.mint(owner.address, ethers.parseEther("1000"));
-    await silver.mint(owner.address, ethers.parseEther("1000"));
-    await gold.approve(simpleSwap.getAddress(), ethers.parseEther("500"));
-    await silver.approve(simpleSwap.getAddress(), ethers.parseEther("500"));
+    // Setup: Move the bootstrap reserves into the pool and add as much again, in base units
+    await gold.transfer(await simpleSwap.getAddress(), BOOTSTRAP);
+    await silver.transfer(await simpleSwap.getAddress(), BOOTSTRAP);
+    await gold.mint(owner.address, BOOTSTRAP);
+    await silver.mint(owner.address, BOOTSTRAP);
+    await gold.approve(simpleSwap.getAddress(), BOOTSTRAP);
+    await silver.approve(simpleSwap.getAddress(), BOOTSTRAP);
     const now = (await ethers.provider.getBlock("latest")).timestamp;
     await simpleSwap.addLiquidity(
       await gold.getAddress(),
       await silver.getAddress(),
-      ethers.parseEther("0.0000000000000010"),
-      ethers.parseEther("0.0000000000000010"),
-      ethers.parseEther("0.0000000000000009"),
-      ethers.parseEther("0.0000000000000009"),
+      BOOTSTRAP,
+      BOOTSTRAP,
+      900n,
+      900n,
       owner.address,
       now + 60 
     );
@@ -156,21 +190,24 @@ describe("Swap contract", function () {
     const now = (await ethers.provider.getBlock("latest")).timestamp;
     const path = [await gold.getAddress(), await silver.getAddress()];
 
-    // Setup: Mint tokens for user and provide initial liquidity to the contract
-    await gold.mint(owner.address, ethers.parseEther("1000"));
-    await silver.mint(owner.address, ethers.parseEther("1000"));
-    await gold.mint(await simpleSwap.getAddress(), ethers.parseEther("10000"));
-    await silver.mint(await simpleSwap.getAddress(), ethers.parseEther("10000"));
+    // Setup: Move the bootstrap reserves into the pool, add 10000 GLD/SLV and keep 1000 of each
+    await gold.transfer(await simpleSwap.getAddress(), BOOTSTRAP);
+    await silver.transfer(await simpleSwap.getAddress(), BOOTSTRAP);
+    await gold.mint(owner.address, ethers.parseEther("11000"));
+    await silver.mint(owner.address, ethers.parseEther("11000"));
+    await gold.approve(await simpleSwap.getAddress(), ethers.MaxUint256);
+    await silver.approve(await simpleSwap.getAddress(), ethers.MaxUint256);
+    await simpleSwap.addLiquidity(
+      path[0], path[1], ethers.parseEther("10000"), ethers.parseEther("10000"), 1, 1, owner.address, now + 60
+    );
 
     const initialGoldBalance = await gold.balanceOf(owner.address);
     const initialSilverBalance = await silver.balanceOf(owner.address);
 
     const amountIn = ethers.parseEther("1");
     const amountOutMin = 1; 
-
-    // Approve the contract to spend tokens
-    await gold.approve(await simpleSwap.getAddress(), ethers.parseEther("500"));
-    await silver.approve(await simpleSwap.getAddress(), ethers.parseEther("500"));
+    const reserveGoldBefore = await simpleSwap.reserveGold();
+    const expectedOut = await simpleSwap.getAmountOut(amountIn, reserveGoldBefore, await simpleSwap.reserveSilver());
 
     // Execute the swap
     const tx = await simpleSwap.swapExactTokensForTokens(
@@ -185,14 +222,51 @@ describe("Swap contract", function () {
     // Assert that the user's balances have changed as expected
     const finalGoldBalance = await gold.balanceOf(owner.address);
     const finalSilverBalance = await silver.balanceOf(owner.address);
-    expect(finalGoldBalance).to.be.lt(initialGoldBalance);
-    expect(finalSilverBalance).to.be.gt(initialSilverBalance);
+    expect(finalGoldBalance).to.equal(initialGoldBalance - amountIn);
+    expect(finalSilverBalance).to.equal(initialSilverBalance + expectedOut);
 
     // Assert that reserves have been updated
     const reserveGold = await simpleSwap.reserveGold();
     const reserveSilver = await simpleSwap.reserveSilver();
-    expect(reserveGold).to.be.gt(0);
-    expect(reserveSilver).to.be.gt(0);
+    expect(reserveGold).to.equal(reserveGoldBefore + amountIn);
+    expect(reserveSilver).to.equal(await silver.balanceOf(await simpleSwap.getAddress()));
+  });
+
+  /**
+   * @dev Tests that swapExactTokensForTokens returns the input and output
+   * amounts, even when the output is a large 18 decimals amount.
+   */
+  it("Should return the input and output amounts of a swap", async function () {
+    const { gold, silver, simpleSwap, owner } = await loadFixture(deployTokenFixture);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const path = [await silver.getAddress(), await gold.getAddress()];
+
+    // Setup: Move the initial reserves into the pool and add a large liquidity
+    await gold.transfer(await simpleSwap.getAddress(), 1000n);
+    await silver.transfer(await simpleSwap.getAddress(), 1000n);
+    await gold.mint(owner.address, ethers.parseEther("10000"));
+    await silver.mint(owner.address, ethers.parseEther("10010"));
+    await gold.approve(await simpleSwap.getAddress(), ethers.MaxUint256);
+    await silver.approve(await simpleSwap.getAddress(), ethers.MaxUint256);
+    await simpleSwap.addLiquidity(
+      await gold.getAddress(),
+      await silver.getAddress(),
+      ethers.parseEther("10000"),
+      ethers.parseEther("10000"),
+      1,
+      1,
+      owner.address,
+      now + 60
+    );
+
+    const amountIn = ethers.parseEther("10");
+    const reserveIn = await simpleSwap.reserveSilver();
+    const reserveOut = await simpleSwap.reserveGold();
+    const expectedOut = await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut);
+
+    // Silver to Gold, the direction the other swap test does not cover
+    const amounts = await simpleSwap.swapExactTokensForTokens.staticCall(amountIn, 1, path, owner.address, now + 60);
+    expect(amounts).to.deep.equal([amountIn, expectedOut]);
   });
 
   /**
@@ -289,15 +363,17 @@ describe("Swap contract", function () {
    */
   it("Should return a valid amountOut when given correct reserves and amountIn", async function () {
     const { simpleSwap } = await loadFixture(deployTokenFixture);
-    const amountIn = ethers.parseUnits("1000", 0); 
-    const reserveIn = ethers.parseUnits("5000", 0);
-    const reserveOut = ethers.parseUnits("8000", 0);
+    const amountIn = 1000n;
+    const reserveIn = 5000n;
+    const reserveOut = 8000n;
 
     // Call getAmountOut
     const amountOut = await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut);
 
-    // Calculate the expected output based on the formula: (amountIn * reserveOut) / (reserveIn + amountIn)
-    const expectedAmountOut = amountIn * reserveOut / (reserveIn + amountIn);
+    // Calculate the expected output based on the formula, with the default 0.30% fee taken from amountIn:
+    // (amountInWithFee * reserveOut) / (reserveIn + amountInWithFee)
+    const amountInWithFee = amountIn * 9970n;
+    const expectedAmountOut = amountInWithFee * reserveOut / (reserveIn * 10000n + amountInWithFee);
     expect(amountOut).to.equal(expectedAmountOut);
   });
 
@@ -313,4 +389,365 @@ describe("Swap contract", function () {
       simpleSwap.getAmountOut(0, 5000, 5000)
     ).to.be.revertedWith("Invalid reserves or amount");
   });
-});
\ No newline at end of file
+
+  /**
+   * @dev Tests that the swap fee stays in the pool and is reported in the
+   * TokensSwapped event, so the GSLP supply is backed by more tokens.
+   */
+  it("Should keep the swap fee in the pool", async function () {
+    const { gold, silver, simpleSwap, owner, addr1 } = await loadFixture(deployTokenFixture);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const swapAddress = await simpleSwap.getAddress();
+
+    // Setup: Move the initial reserves into the pool and fund addr1
+    await gold.transfer(swapAddress, 1000n);
+    await silver.transfer(swapAddress, 1000n);
+    await gold.mint(addr1.address, 1000n);
+    await gold.connect(addr1).approve(swapAddress, 1000n);
+
+    const amountIn = 1000n;
+    const expectedOut = await simpleSwap.getAmountOut(amountIn, 1000n, 1000n);
+    const feeFreeOut = (amountIn * 1000n) / (1000n + amountIn);
+    expect(expectedOut).to.be.lt(feeFreeOut);
+
+    await expect(
+      simpleSwap.connect(addr1).swapExactTokensForTokens(
+        amountIn, 1, [await gold.getAddress(), await silver.getAddress()], addr1.address, now + 60
+      )
+    )
+      .to.emit(simpleSwap, "TokensSwapped")
+      .withArgs(addr1.address, addr1.address, await gold.getAddress(), await silver.getAddress(), amountIn, expectedOut, 3n);
+
+    // The whole input stays in the pool, so k grows with the fee
+    expect(await simpleSwap.reserveGold()).to.equal(2000n);
+    expect(await simpleSwap.reserveSilver()).to.equal(1000n - expectedOut);
+    expect((await simpleSwap.reserveGold()) * (await simpleSwap.reserveSilver())).to.be.gt(1000n * 1000n);
+    expect(await simpleSwap.balanceOf(owner.address)).to.equal(2000n);
+  });
+
+  /**
+   * @dev Tests that only the owner can change the fees, within their caps.
+   */
+  it("Should only let the owner set the fees within the caps", async function () {
+    const { simpleSwap, owner, addr1 } = await loadFixture(deployTokenFixture);
+
+    expect(await simpleSwap.feeBps()).to.equal(30n);
+    await expect(simpleSwap.setFee(100)).to.emit(simpleSwap, "FeeUpdated").withArgs(100);
+    expect(await simpleSwap.feeBps()).to.equal(100n);
+
+    await expect(simpleSwap.setFee(101)).to.be.revertedWith("Fee too high");
+    await expect(simpleSwap.connect(addr1).setFee(10)).to.be.revertedWithCustomError(
+      simpleSwap,
+      "OwnableUnauthorizedAccount"
+    );
+
+    await expect(simpleSwap.setProtocolFee(owner.address, 5001)).to.be.revertedWith("Protocol fee too high");
+    await expect(simpleSwap.setProtocolFee(ethers.ZeroAddress, 100)).to.be.revertedWith("Invalid fee recipient");
+    await expect(simpleSwap.connect(addr1).setProtocolFee(addr1.address, 100)).to.be.revertedWithCustomError(
+      simpleSwap,
+      "OwnableUnauthorizedAccount"
+    );
+  });
+
+  /**
+   * @dev Tests that the protocol share of the fee is sent to feeTo and the
+   * reserves still match the pool balances.
+   */
+  it("Should send the protocol share of the fee to feeTo", async function () {
+    const { gold, silver, simpleSwap, addr1, addr2 } = await loadFixture(deployTokenFixture);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const swapAddress = await simpleSwap.getAddress();
+
+    await gold.transfer(swapAddress, 1000n);
+    await silver.transfer(swapAddress, 1000n);
+    await silver.mint(addr1.address, 100000n);
+    await silver.connect(addr1).approve(swapAddress, 100000n);
+
+    // 1% fee, half of it for the protocol
+    await simpleSwap.setFee(100);
+    await expect(simpleSwap.setProtocolFee(addr2.address, 5000))
+      .to.emit(simpleSwap, "ProtocolFeeUpdated")
+      .withArgs(addr2.address, 5000);
+
+    await simpleSwap.connect(addr1).swapExactTokensForTokens(
+      100000n, 1, [await silver.getAddress(), await gold.getAddress()], addr1.address, now + 60
+    );
+
+    expect(await silver.balanceOf(addr2.address)).to.equal(500n);
+    expect(await simpleSwap.reserveSilver()).to.equal(await silver.balanceOf(swapAddress));
+    expect(await simpleSwap.reserveSilver()).to.equal(1000n + 100000n - 500n);
+  });
+
+  /**
+   * @dev Tests that a swap can be approved with a permit signature instead of
+   * an approve transaction.
+   */
+  it("Should swap with a permit signature instead of an approve", async function () {
+    const { gold, silver, simpleSwap, addr1 } = await loadFixture(deployTokenFixture);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const swapAddress = await simpleSwap.getAddress();
+
+    await gold.transfer(swapAddress, 1000n);
+    await silver.transfer(swapAddress, 1000n);
+    await gold.mint(addr1.address, 100n);
+
+    const expectedOut = await simpleSwap.getAmountOut(100n, 1000n, 1000n);
+    const permit = await signPermit(gold, addr1, swapAddress, 100n, now + 60);
+
+    await expect(
+      simpleSwap.connect(addr1).swapExactTokensForTokensWithPermit(
+        100n, 1, [await gold.getAddress(), await silver.getAddress()], addr1.address, now + 60, permit
+      )
+    )
+      .to.emit(simpleSwap, "TokensSwapped")
+      .withArgs(addr1.address, addr1.address, await gold.getAddress(), await silver.getAddress(), 100n, expectedOut, 0n);
+
+    expect(await silver.balanceOf(addr1.address)).to.equal(expectedOut);
+    expect(await gold.nonces(addr1.address)).to.equal(1n);
+    expect(await gold.allowance(addr1.address, swapAddress)).to.equal(0n);
+  });
+
+  /**
+   * @dev Tests that liquidity can be added with a permit signature for each token.
+   */
+  it("Should add liquidity with permit signatures", async function () {
+    const { gold, silver, simpleSwap, addr1 } = await loadFixture(deployTokenFixture);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const swapAddress = await simpleSwap.getAddress();
+
+    await gold.transfer(swapAddress, 1000n);
+    await silver.transfer(swapAddress, 1000n);
+    await gold.mint(addr1.address, 100n);
+    await silver.mint(addr1.address, 100n);
+
+    const goldPermit = await signPermit(gold, addr1, swapAddress, 100n, now + 60);
+    const silverPermit = await signPermit(silver, addr1, swapAddress, 100n, now + 60);
+
+    await expect(
+      simpleSwap.connect(addr1).addLiquidityWithPermit(
+        await gold.getAddress(), await silver.getAddress(), 100n, 100n, 1, 1, addr1.address, now + 60, goldPermit, silverPermit
+      )
+    )
+      .to.emit(simpleSwap, "LiquidityAdded")
+      .withArgs(addr1.address, addr1.address, 100n, 100n, 200n);
+
+    expect(await simpleSwap.liquidities(addr1.address)).to.equal(200n);
+    expect(await gold.balanceOf(addr1.address)).to.equal(0n);
+    expect(await silver.balanceOf(addr1.address)).to.equal(0n);
+  });
+
+  /**
+   * @dev Tests that a permit front-run by someone else does not block the swap,
+   * and that a signature for less than amountIn does not allow the transfer.
+   */
+  it("Should ignore a permit that was already used", async function () {
+    const { gold, silver, simpleSwap, addr1, addr2 } = await loadFixture(deployTokenFixture);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const swapAddress = await simpleSwap.getAddress();
+    const path = [await gold.getAddress(), await silver.getAddress()];
+
+    await gold.transfer(swapAddress, 1000n);
+    await silver.transfer(swapAddress, 1000n);
+    await gold.mint(addr1.address, 200n);
+
+    // addr2 submits the signature it saw first, the allowance is set anyway
+    const permit = await signPermit(gold, addr1, swapAddress, 100n, now + 60);
+    await gold.connect(addr2).permit(addr1.address, swapAddress, 100n, now + 60, permit.v, permit.r, permit.s);
+
+    await expect(
+      simpleSwap.connect(addr1).swapExactTokensForTokensWithPermit(100n, 1, path, addr1.address, now + 60, permit)
+    ).to.emit(simpleSwap, "TokensSwapped");
+
+    // A permit for 50 does not cover a swap of 100
+    const smallPermit = await signPermit(gold, addr1, swapAddress, 50n, now + 60);
+    await expect(
+      simpleSwap.connect(addr1).swapExactTokensForTokensWithPermit(100n, 1, path, addr1.address, now + 60, smallPermit)
+    ).to.be.revertedWithCustomError(gold, "ERC20InsufficientAllowance");
+  });
+
+  /**
+   * @dev Tests that getAmountIn is the smallest input whose getAmountOut covers
+   * the wanted output, with and without a fee.
+   */
+  it("Should return the smallest amountIn for a given amountOut", async function () {
+    const { simpleSwap } = await loadFixture(deployTokenFixture);
+
+    for (const feeBps of [0n, 30n, 100n]) {
+      await simpleSwap.setFee(feeBps);
+      for (const [amountOut, reserveIn, reserveOut] of [[1000n, 5000n, 8000n], [1n, 10n ** 18n, 10n ** 6n], [799n, 800n, 800n]]) {
+        const amountIn = await simpleSwap.getAmountIn(amountOut, reserveIn, reserveOut);
+        expect(await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut)).to.be.gte(amountOut);
+        if (amountIn > 1n) {
+          expect(await simpleSwap.getAmountOut(amountIn - 1n, reserveIn, reserveOut)).to.be.lt(amountOut);
+        }
+      }
+    }
+
+    await expect(simpleSwap.getAmountIn(800n, 800n, 800n)).to.be.revertedWith("Invalid reserves or amount");
+    await expect(simpleSwap.getAmountIn(0n, 800n, 800n)).to.be.revertedWith("Invalid reserves or amount");
+  });
+
+  /**
+   * @dev Tests that an exact output swap sends exactly amountOut and takes
+   * getAmountIn of the input token, fee included.
+   */
+  it("Should swap tokens for an exact amount of tokens", async function () {
+    const { gold, silver, simpleSwap, addr1 } = await loadFixture(deployTokenFixture);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const swapAddress = await simpleSwap.getAddress();
+    const path = [await silver.getAddress(), await gold.getAddress()];
+
+    await gold.transfer(swapAddress, BOOTSTRAP);
+    await silver.transfer(swapAddress, BOOTSTRAP);
+    await silver.mint(addr1.address, 1000n);
+    await silver.connect(addr1).approve(swapAddress, 1000n);
+
+    const amountIn = await simpleSwap.getAmountIn(100n, BOOTSTRAP, BOOTSTRAP);
+
+    await expect(simpleSwap.connect(addr1).swapTokensForExactTokens(100n, amountIn, path, addr1.address, now + 60))
+      .to.emit(simpleSwap, "TokensSwapped")
+      .withArgs(addr1.address, addr1.address, path[0], path[1], amountIn, 100n, (amountIn * 30n) / 10000n);
+
+    expect(await gold.balanceOf(addr1.address)).to.equal(100n);
+    expect(await silver.balanceOf(addr1.address)).to.equal(1000n - amountIn);
+    expect(await simpleSwap.reserveSilver()).to.equal(BOOTSTRAP + amountIn);
+    expect(await simpleSwap.reserveGold()).to.equal(BOOTSTRAP - 100n);
+  });
+
+  /**
+   * @dev Tests the amountInMax guard and the path checks of exact output swaps.
+   */
+  it("Should revert exact output swaps above amountInMax or with an invalid path", async function () {
+    const { gold, silver, simpleSwap, owner, addr1 } = await loadFixture(deployTokenFixture);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const swapAddress = await simpleSwap.getAddress();
+    const path = [await gold.getAddress(), await silver.getAddress()];
+
+    await gold.transfer(swapAddress, BOOTSTRAP);
+    await silver.transfer(swapAddress, BOOTSTRAP);
+    await gold.mint(addr1.address, 1000n);
+    await gold.connect(addr1).approve(swapAddress, 1000n);
+
+    const amountIn = await simpleSwap.getAmountIn(100n, BOOTSTRAP, BOOTSTRAP);
+    await expect(
+      simpleSwap.connect(addr1).swapTokensForExactTokens(100n, amountIn - 1n, path, addr1.address, now + 60)
+    ).to.be.revertedWith("Slippage: excessive input");
+    await expect(
+      simpleSwap.connect(addr1).swapTokensForExactTokens(100n, amountIn, [path[0], path[0]], addr1.address, now + 60)
+    ).to.be.revertedWith("Invalid token pair");
+    await expect(
+      simpleSwap.connect(addr1).swapTokensForExactTokens(BOOTSTRAP, 1000n, path, addr1.address, now + 60)
+    ).to.be.revertedWith("Invalid reserves or amount");
+    await expect(
+      simpleSwap.connect(addr1).swapTokensForExactTokens(100n, amountIn, path, owner.address, now - 1)
+    ).to.be.revertedWith("Transaction expired");
+  });
+
+  /**
+   * @dev Tests that an exact output swap can be approved with a permit for
+   * amountInMax, leaving the unused part of the allowance.
+   */
+  it("Should swap for an exact amount with a permit for amountInMax", async function () {
+    const { gold, silver, simpleSwap, addr1 } = await loadFixture(deployTokenFixture);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const swapAddress = await simpleSwap.getAddress();
+    const path = [await gold.getAddress(), await silver.getAddress()];
+
+    await gold.transfer(swapAddress, BOOTSTRAP);
+    await silver.transfer(swapAddress, BOOTSTRAP);
+    await gold.mint(addr1.address, 200n);
+
+    const amountIn = await simpleSwap.getAmountIn(50n, BOOTSTRAP, BOOTSTRAP);
+    const permit = await signPermit(gold, addr1, swapAddress, 200n, now + 60);
+
+    await expect(
+      simpleSwap.connect(addr1).swapTokensForExactTokensWithPermit(50n, 200n, path, addr1.address, now + 60, permit)
+    ).to.emit(simpleSwap, "TokensSwapped");
+
+    expect(await silver.balanceOf(addr1.address)).to.equal(50n);
+    expect(await gold.allowance(addr1.address, swapAddress)).to.equal(200n - amountIn);
+  });
+
+  /**
+   * @dev Tests that sync moves the reserves to the balances after a direct
+   * transfer, or after the constructor counted tokens the pool does not hold,
+   * and that only the owner syncs.
+   */
+  it("Should let the owner sync the reserves to the token balances", async function () {
+    const { gold, silver, simpleSwap, addr1 } = await loadFixture(deployTokenFixture);
+    const swapAddress = await simpleSwap.getAddress();
+
+    await expect(simpleSwap.connect(addr1).sync())
+      .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount");
+
+    // The constructor reserves are the owner's balances, the pool holds nothing yet
+    await expect(simpleSwap.sync()).to.emit(simpleSwap, "Sync").withArgs(0n, 0n);
+    expect(await simpleSwap.reserveGold()).to.equal(0n);
+
+    await gold.transfer(swapAddress, BOOTSTRAP);
+    await silver.transfer(swapAddress, 400n);
+    await expect(simpleSwap.sync()).to.emit(simpleSwap, "Sync").withArgs(BOOTSTRAP, 400n);
+    expect(await simpleSwap.reserveGold()).to.equal(BOOTSTRAP);
+    expect(await simpleSwap.reserveSilver()).to.equal(400n);
+  });
+
+  /**
+   * @dev Tests that only the owner skims, and only the tokens above the reserves.
+   */
+  it("Should let the owner skim the tokens above the reserves", async function () {
+    const { gold, silver, simpleSwap, addr1, addr2 } = await loadFixture(deployTokenFixture);
+    const swapAddress = await simpleSwap.getAddress();
+
+    await gold.transfer(swapAddress, BOOTSTRAP);
+    await silver.transfer(swapAddress, BOOTSTRAP);
+    await gold.mint(addr1.address, 300n);
+    await gold.connect(addr1).transfer(swapAddress, 300n);
+
+    await expect(simpleSwap.connect(addr1).skim(addr1.address))
+      .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount");
+    await expect(simpleSwap.skim(addr2.address)).to.emit(simpleSwap, "Skim").withArgs(addr2.address, 300n, 0n);
+
+    expect(await gold.balanceOf(addr2.address)).to.equal(300n);
+    expect(await gold.balanceOf(swapAddress)).to.equal(BOOTSTRAP);
+    expect(await simpleSwap.reserveGold()).to.equal(BOOTSTRAP);
+
+    // Nothing left above the reserves
+    await expect(simpleSwap.skim(addr2.address)).to.emit(simpleSwap, "Skim").withArgs(addr2.address, 0n, 0n);
+  });
+
+  /**
+   * @dev Tests that pausing stops swaps and deposits but not withdrawals,
+   * and that only the owner pauses.
+   */
+  it("Should pause swaps and liquidity deposits but not removals", async function () {
+    const { gold, silver, simpleSwap, owner, addr1 } = await loadFixture(deployTokenFixture);
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const swapAddress = await simpleSwap.getAddress();
+    const goldAddress = await gold.getAddress();
+    const silverAddress = await silver.getAddress();
+
+    await gold.transfer(swapAddress, BOOTSTRAP);
+    await silver.transfer(swapAddress, BOOTSTRAP);
+    await gold.mint(addr1.address, 1000n);
+    await gold.connect(addr1).approve(swapAddress, 1000n);
+
+    await expect(simpleSwap.connect(addr1).pause())
+      .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount");
+    await expect(simpleSwap.pause()).to.emit(simpleSwap, "Paused").withArgs(owner.address);
+    expect(await simpleSwap.paused()).to.equal(true);
+
+    const path = [goldAddress, silverAddress];
+    await expect(simpleSwap.connect(addr1).swapExactTokensForTokens(100n, 1, path, addr1.address, now + 60))
+      .to.be.revertedWithCustomError(simpleSwap, "EnforcedPause");
+    await expect(simpleSwap.connect(addr1).swapTokensForExactTokens(10n, 100n, path, addr1.address, now + 60))
+      .to.be.revertedWithCustomError(simpleSwap, "EnforcedPause");
+    await expect(simpleSwap.addLiquidity(goldAddress, silverAddress, 10n, 10n, 0, 0, owner.address, now + 60))
+      .to.be.revertedWithCustomError(simpleSwap, "EnforcedPause");
+    await expect(simpleSwap.removeLiquidity(goldAddress, silverAddress, 200n, 0, 0, owner.address, now + 60))
+      .to.emit(simpleSwap, "LiquidityRemoved");
+
+    await expect(simpleSwap.unpause()).to.emit(simpleSwap, "Unpaused").withArgs(owner.address);
+    await expect(simpleSwap.connect(addr1).swapExactTokensForTokens(100n, 1, path, addr1.address, now + 60))
+      .to.emit(simpleSwap, "TokensSwapped");
+  });
+});
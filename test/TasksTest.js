@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SimpleSwapModule = require("../ignition/modules/SimpleSwap");
+
+const { ethers, ignition } = hre;
+
+/**
+ * @title Test Suite for the pool Hardhat tasks
+ * @dev Runs the tasks against pools deployed on the Hardhat network. Ignition keeps
+ * those deployments in memory, so their addresses are written to a throwaway
+ * ignition folder the tasks read instead of the project's one.
+ */
+describe("Hardhat tasks", function () {
+  let ignitionPath;
+
+  beforeEach(function () {
+    ignitionPath = hre.config.paths.ignition;
+    hre.config.paths.ignition = fs.mkdtempSync(path.join(os.tmpdir(), "simpleswap-ignition-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(hre.config.paths.ignition, { recursive: true, force: true });
+    hre.config.paths.ignition = ignitionPath;
+  });
+
+  /**
+   * @dev Writes the deployed_addresses.json Ignition would have written for the pool.
+   */
+  async function recordDeployment({ gold, silver, simpleSwap }) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const dir = path.join(hre.config.paths.ignition, "deployments", `chain-${chainId}`);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+      path.join(dir, "deployed_addresses.json"),
+      JSON.stringify({
+        "SimpleSwapModule#Gold": gold.target,
+        "SimpleSwapModule#Silver": silver.target,
+        "SimpleSwapModule#SimpleSwap": simpleSwap.target,
+      })
+    );
+  }
+
+  /**
+   * @dev Runs a task and returns the lines it printed.
+   */
+  async function runTask(name, args = {}) {
+    const lines = [];
+    const log = console.log;
+    console.log = (...values) => lines.push(values.join(" "));
+    try {
+      await hre.run(name, args);
+    } finally {
+      console.log = log;
+    }
+    return lines;
+  }
+
+  it("Should print the status, quote and swap on an Ignition-deployed pool", async function () {
+    const [owner] = await ethers.getSigners();
+    const pool = await ignition.deploy(SimpleSwapModule, {
+      parameters: path.join(__dirname, "..", "ignition", "parameters", "balanced.json"),
+    });
+    const { silver, simpleSwap } = pool;
+    await recordDeployment(pool);
+
+    const status = await runTask("pool:status");
+    expect(status[0]).to.equal(`SimpleSwap ${simpleSwap.target} on hardhat`);
+    expect(status).to.include("  Reserves:      10000.0 GLD / 10000.0 SLV");
+    expect(status).to.include("  1 GLD =        1.0 SLV");
+
+    const amountIn = ethers.parseEther("1.5");
+    const reserve = await simpleSwap.reserveGold();
+    const expectedOut = await simpleSwap.getAmountOut(amountIn, reserve, reserve);
+    const quote = await runTask("pool:quote", { from: "GLD", amount: "1.5" });
+    expect(quote[0]).to.equal(`1.5 GLD -> ${ethers.formatEther(expectedOut)} SLV`);
+
+    const silverBefore = await silver.balanceOf(owner.address);
+    const swap = await runTask("pool:swap", { from: "GLD", amount: "1.5" });
+    expect(await silver.balanceOf(owner.address)).to.equal(silverBefore + expectedOut);
+    expect(swap).to.include(`  TokensSwapped: 1.5 GLD -> ${ethers.formatEther(expectedOut)} SLV to ${owner.address}, fee 0.0045 GLD`);
+  });
+
+  it("Should refuse to remove from an empty pool and make its first deposit", async function () {
+    const [owner] = await ethers.getSigners();
+    const gold = await ethers.deployContract("Gold");
+    const silver = await ethers.deployContract("Silver");
+    const factory = await ethers.deployContract("SimpleSwapFactory");
+    await factory.createPool(gold.target, silver.target);
+    const simpleSwap = await ethers.getContractAt("SimpleSwap", await factory.getPool(gold.target, silver.target));
+    await gold.mint(owner.address, ethers.parseEther("10"));
+    await silver.mint(owner.address, ethers.parseEther("10"));
+    await recordDeployment({ gold, silver, simpleSwap });
+
+    await expect(runTask("pool:remove-liquidity", { liquidity: "1" })).to.be.rejectedWith(
+      "The pool has no liquidity to remove"
+    );
+
+    // The preview of an empty pool takes the amounts as is, they set the price
+    await runTask("pool:add-liquidity", { gold: "1", silver: "2" });
+    expect(await simpleSwap.reserveGold()).to.equal(ethers.parseEther("1"));
+    expect(await simpleSwap.reserveSilver()).to.equal(ethers.parseEther("2"));
+    const minimumLiquidity = await simpleSwap.MINIMUM_LIQUIDITY();
+    expect(await simpleSwap.balanceOf(owner.address)).to.equal(ethers.parseEther("3") - minimumLiquidity);
+
+    await runTask("pool:remove-liquidity", { liquidity: ethers.formatEther(await simpleSwap.balanceOf(owner.address)) });
+    expect(await simpleSwap.totalSupply()).to.equal(minimumLiquidity);
+  });
+});